@@ -0,0 +1,181 @@
+// ==============================================
+// readersFixtures.js — Seed Data for the Mock SSOT
+// ==============================================
+// Purpose: Deterministic readers, assignments and hub data
+// Shapes follow ReadersDashboard/database/setupQolaeReaders.sql
+//   (readers, "readerAssignments", "readerActivityLog")
+// GDPR: internalCasePin / internalCaseDescription exist here so the mock
+//   can prove they are never returned to readers
+// ==============================================
+
+// Dev credentials — documented in MockSSOT/mockSsot_server.js
+export const MOCK_EMAIL_CODE = '123456';
+
+export function createReadersFixtures() {
+  const readers = [
+    {
+      id: '5b0f6c1e-6a57-4f8e-9c55-0c3f7d2b1a01',
+      readerPin: 'JS-123456',
+      readerName: 'Jane Smith',
+      firstName: 'Jane',
+      email: 'jane.smith@example.com',
+      phone: '+44 7700 900123',
+      readerType: 'firstReader',
+      specialization: null,
+      paymentRate: 50.00,
+      password: 'ReaderPass1!',
+      pinAccessTokenStatus: 'active',
+      passwordSetupCompleted: true,
+      complianceSubmitted: true,
+      complianceApproved: true,
+      ndaSigned: true,
+      ndaSignedAt: '2026-01-20T10:15:00.000Z',
+      portalAccessStatus: 'active',
+      totalAssignmentsCompleted: 3,
+      averageTurnaroundHours: 18.5,
+      totalEarnings: 150.00,
+      lastLogin: '2026-02-10T09:30:00.000Z',
+      // Authenticator app (TOTP): secret once activated, pending while enrolling
+      totpSecret: null,
+      totpPendingSecret: null,
+      recoveryCodes: [],
+      // WebAuthn passkeys: { credentialId, publicKey (COSE, base64url), counter, transports, label, createdAt, lastUsedAt }
+      passkeys: []
+    },
+    {
+      id: '5b0f6c1e-6a57-4f8e-9c55-0c3f7d2b1a02',
+      readerPin: 'KB-654321',
+      readerName: 'Kemi Bello',
+      firstName: 'Kemi',
+      email: 'kemi.bello@example.com',
+      phone: null,
+      readerType: 'secondReader',
+      specialization: 'Registered Nurse',
+      paymentRate: 75.00,
+      password: null,
+      pinAccessTokenStatus: 'pending',
+      passwordSetupCompleted: false,
+      complianceSubmitted: true,
+      complianceApproved: false,
+      ndaSigned: false,
+      ndaSignedAt: null,
+      portalAccessStatus: 'pending',
+      totalAssignmentsCompleted: 0,
+      averageTurnaroundHours: null,
+      totalEarnings: 0.00,
+      lastLogin: null,
+      totpSecret: null,
+      totpPendingSecret: null,
+      recoveryCodes: [],
+      // WebAuthn passkeys: { credentialId, publicKey (COSE, base64url), counter, transports, label, createdAt, lastUsedAt }
+      passkeys: []
+    },
+    {
+      id: '5b0f6c1e-6a57-4f8e-9c55-0c3f7d2b1a03',
+      readerPin: 'RS-111111',
+      readerName: 'Revoked Sample',
+      firstName: 'Revoked',
+      email: 'revoked.sample@example.com',
+      phone: null,
+      readerType: 'firstReader',
+      specialization: null,
+      paymentRate: 50.00,
+      password: 'ReaderPass1!',
+      pinAccessTokenStatus: 'expired',
+      passwordSetupCompleted: true,
+      complianceSubmitted: true,
+      complianceApproved: true,
+      ndaSigned: true,
+      ndaSignedAt: '2025-11-02T14:00:00.000Z',
+      portalAccessStatus: 'suspended',
+      totalAssignmentsCompleted: 1,
+      averageTurnaroundHours: 20,
+      totalEarnings: 50.00,
+      lastLogin: '2025-12-01T08:00:00.000Z',
+      totpSecret: null,
+      totpPendingSecret: null,
+      recoveryCodes: [],
+      // WebAuthn passkeys: { credentialId, publicKey (COSE, base64url), counter, transports, label, createdAt, lastUsedAt }
+      passkeys: []
+    }
+  ];
+
+  const assignments = [
+    {
+      id: '8d1e2f3a-0000-4000-8000-000000000047',
+      assignmentNumber: 47,
+      readerPin: 'JS-123456',
+      readerType: 'firstReader',
+      internalCasePin: 'CM-900047',
+      internalCaseDescription: 'INTERNAL — not for readers',
+      reportAssignedAt: '2026-02-11T09:00:00.000Z',
+      deadline: '2026-02-12T09:00:00.000Z',
+      correctionsSubmitted: false,
+      correctionsSubmittedAt: null,
+      corrections: null,
+      draftRevision: 0,
+      paymentStatus: 'pending',
+      paymentAmount: 50.00,
+      paymentReference: null,
+      paymentApprovedAt: null,
+      paymentProcessedAt: null
+    },
+    {
+      id: '8d1e2f3a-0000-4000-8000-000000000031',
+      assignmentNumber: 31,
+      readerPin: 'JS-123456',
+      readerType: 'firstReader',
+      internalCasePin: 'CM-900031',
+      internalCaseDescription: 'INTERNAL — not for readers',
+      reportAssignedAt: '2026-01-22T09:00:00.000Z',
+      deadline: '2026-01-23T09:00:00.000Z',
+      correctionsSubmitted: true,
+      correctionsSubmittedAt: '2026-01-22T21:30:00.000Z',
+      corrections: [],
+      draftRevision: 1,
+      paymentStatus: 'paid',
+      paymentAmount: 50.00,
+      paymentReference: 'QOL-PAY-0031',
+      paymentApprovedAt: '2026-01-24T10:00:00.000Z',
+      paymentProcessedAt: '2026-01-26T12:00:00.000Z'
+    }
+  ];
+
+  const calendarPatterns = {
+    'JS-123456': { monday: true, tuesday: true, wednesday: true, thursday: true, friday: true, saturday: false, sunday: false },
+    'KB-654321': { monday: false, tuesday: true, wednesday: false, thursday: true, friday: false, saturday: false, sunday: false }
+  };
+
+  const calendarOverrides = {
+    'JS-123456': [
+      { overrideDate: '2026-02-20', overrideType: 'blocked', overrideCategory: 'holiday', overrideReason: 'Half term' }
+    ],
+    'KB-654321': []
+  };
+
+  const documents = {
+    'JS-123456': [
+      { id: 'doc-nda-js', name: 'Signed Readers NDA', category: 'legal', uploadedDate: '2026-01-20T10:15:00.000Z', expiryDate: null },
+      { id: 'doc-dbs-js', name: 'DBS Certificate', category: 'certification', uploadedDate: '2025-12-01T09:00:00.000Z', expiryDate: '2028-12-01T00:00:00.000Z' }
+    ],
+    'KB-654321': []
+  };
+
+  // Redacted report text per assignment, block by block — anchors match
+  //   data-anchor in ReadersDashboard/views/inaReportReview.ejs
+  const reportBlocks = [
+    { anchor: 'section-1.p1', text: 'The patient, ████████, presented with symptoms consistent with █████████. Clinical evaluation was conducted on ██/██/████ at ████████ Hospital.' },
+    { anchor: 'section-1.p2', text: 'Diagnostic findings include:' },
+    { anchor: 'section-1.li1', text: 'Primary diagnosis: [Click here to add your professional assessment]' },
+    { anchor: 'section-1.li2', text: 'Secondary considerations: [Add additional clinical observations]' },
+    { anchor: 'section-1.li3', text: 'Treatment recommendations: [Provide your expert recommendations]' },
+    { anchor: 'section-2.p1', text: 'Based on the clinical evidence and medical records reviewed, the following professional opinion is provided:' },
+    { anchor: 'section-2.p2', text: '[This section requires your expert input. Please provide a detailed professional assessment based on the redacted information provided above.]' },
+    { anchor: 'section-3.p1', text: '[Add your professional recommendations and conclusions here.]' }
+  ];
+  const redactedReports = Object.fromEntries(
+    assignments.map(assignment => [assignment.id, reportBlocks.map(block => ({ ...block }))])
+  );
+
+  return { readers, assignments, redactedReports, calendarPatterns, calendarOverrides, documents };
+}
@@ -0,0 +1,86 @@
+// ==============================================
+// mockSsotApp.js — Mock SSOT Fastify Plugin
+// ==============================================
+// Purpose: Local stand-in for api.qolae.com
+// Used by: mockSsot_server.js (standalone dev server)
+//          ReadersDashboard / ReadersLoginPortal integration tests
+// Plugin has no fastify import of its own, so each package can mount it
+//   on its own Fastify instance
+//
+// Options:
+//   state          — from createMockSsotState() (fresh one if omitted)
+//   controlRoutes  — expose /__mock/* fault-injection endpoints (dev server)
+//
+// Fault injection (tests or /__mock/override):
+//   state.overrides.set('GET /readers/workspace/bootstrap', { status: 503, body: {...} })
+//   state.overrides.set('POST /auth/readers/pinAccess', { down: true })   // socket dropped
+//   state.overrides.set('*', { down: true })                               // full outage
+// ==============================================
+
+import mockAuthRoutes from './routes/mockAuthRoutes.js';
+import mockReadersRoutes from './routes/mockReadersRoutes.js';
+import { createMockSsotState } from './mockSsotState.js';
+
+export { createMockSsotState };
+
+export default async function mockSsotApp(fastify, opts) {
+  const state = opts.state || createMockSsotState();
+
+  // ==============================================
+  // LOCATION BLOCK 1: CONTROL ROUTES (dev only)
+  // ==============================================
+
+  if (opts.controlRoutes) {
+    fastify.post('/__mock/override', async (request) => {
+      const { key, status, body, down } = request.body || {};
+      state.overrides.set(key, { status, body, down });
+      return { success: true, overrides: Object.fromEntries(state.overrides) };
+    });
+
+    fastify.post('/__mock/reset', async () => {
+      Object.assign(state, createMockSsotState({ jwtSecret: state.jwtSecret, internalSecret: state.internalSecret }));
+      return { success: true };
+    });
+
+    fastify.get('/__mock/state', async () => ({
+      sessions: [...state.sessions.values()],
+      securityLog: state.securityLog,
+      calls: state.calls.slice(-50)
+    }));
+  }
+
+  // ==============================================
+  // LOCATION BLOCK 2: SSOT ROUTES
+  // ==============================================
+
+  await fastify.register(async function ssotScope(scope) {
+    // Record every call, enforce x-internal-secret, apply overrides
+    scope.addHook('onRequest', async (request, reply) => {
+      const key = `${request.method} ${request.routeOptions.url}`;
+      state.calls.push({
+        key,
+        url: request.url,
+        requestId: request.headers['x-request-id'] || null,
+        at: Date.now()
+      });
+
+      const secret = request.headers['x-internal-secret'];
+      if (!secret || (state.internalSecret && secret !== state.internalSecret)) {
+        return reply.code(403).send({ success: false, error: 'Invalid internal secret' });
+      }
+
+      const override = state.overrides.get(key) || state.overrides.get('*');
+      if (override?.down) {
+        reply.hijack();
+        request.raw.socket.destroy();
+        return reply;
+      }
+      if (override) {
+        return reply.code(override.status || 500).send(override.body ?? { success: false, error: 'Mock SSOT override' });
+      }
+    });
+
+    await scope.register(mockAuthRoutes, { state });
+    await scope.register(mockReadersRoutes, { state });
+  });
+}
@@ -0,0 +1,145 @@
+// ==============================================
+// mockSsotState.js — In-memory State for the Mock SSOT
+// ==============================================
+// Purpose: Seeded, mutable stand-in for the qolae_readers database
+// One state object per mock instance — tests get a fresh copy each time
+// ==============================================
+
+import crypto from 'crypto';
+import { createReadersFixtures } from './fixtures/readersFixtures.js';
+import { signMockJwt, verifyMockJwt } from './utils/mockJwt.js';
+
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+// validateAndRefreshSession reports warningLevel inside these windows
+const SESSION_WARNING_SECONDS = 15 * 60;
+const SESSION_CRITICAL_SECONDS = 5 * 60;
+
+/**
+ * createMockSsotState — fresh seeded state
+ * @param {object} [options]
+ * @param {string} [options.jwtSecret] — must match READERS_LOGIN_JWT_SECRET of the portals
+ * @param {string} [options.internalSecret] — expected x-internal-secret (any non-empty if unset)
+ * @returns {object} state
+ */
+export function createMockSsotState(options = {}) {
+  return {
+    ...createReadersFixtures(),
+    jwtSecret: options.jwtSecret || process.env.READERS_LOGIN_JWT_SECRET || 'mock-ssot-dev-secret',
+    internalSecret: options.internalSecret || process.env.INTERNAL_API_SECRET || null,
+    sessions: new Map(),
+    securityLog: [],
+    calls: [],
+    overrides: new Map(),
+    ndaPreviews: new Map(),
+    // Unlock links "emailed" by /auth/readers/unlock/request — token → { readerPin, expiresAt }
+    unlockTokens: new Map(),
+    // Reset links "emailed" by /auth/readers/passwordReset/request — token → { readerPin, expiresAt }
+    passwordResetTokens: new Map(),
+    // Corrections saves by Idempotency-Key — `${readerPin}:${key}` → first successful reply
+    idempotentSaves: new Map()
+  };
+}
+
+export function findReader(state, readerPin) {
+  return state.readers.find(r => r.readerPin === readerPin) || null;
+}
+
+export function findAssignment(state, readerPin, assignmentId) {
+  return state.assignments.find(a =>
+    a.readerPin === readerPin && (a.id === assignmentId || String(a.assignmentNumber) === String(assignmentId))
+  ) || null;
+}
+
+// Reader as the SSOT exposes it — never passwords or internal case data
+export function publicReader(reader) {
+  return {
+    readerPin: reader.readerPin,
+    readerName: reader.readerName,
+    firstName: reader.firstName,
+    readerEmail: reader.email,
+    readerType: reader.readerType,
+    phone: reader.phone,
+    lastLogin: reader.lastLogin,
+    complianceSubmitted: reader.complianceSubmitted,
+    complianceApproved: reader.complianceApproved,
+    passwordSetupCompleted: reader.passwordSetupCompleted,
+    hasPassword: !!reader.password,
+    totpEnabled: !!reader.totpSecret,
+    pinAccessTokenStatus: reader.pinAccessTokenStatus
+  };
+}
+
+export function publicAssignment(assignment) {
+  const { internalCasePin, internalCaseDescription, ...visible } = assignment;
+  return visible;
+}
+
+/**
+ * issueSession — sign a JWT and record the session
+ * @returns {{ token: string, expiresIn: number }}
+ */
+export function issueSession(state, reader, meta = {}) {
+  const token = signMockJwt({ readerPin: reader.readerPin, userType: 'reader' }, state.jwtSecret, SESSION_TTL_SECONDS);
+  const now = new Date().toISOString();
+  state.sessions.set(token, {
+    sessionId: meta.sessionId || crypto.randomUUID(),
+    readerPin: reader.readerPin,
+    deviceFingerprint: meta.deviceFingerprint || null,
+    ipAddress: meta.ipAddress || null,
+    userAgent: meta.userAgent || null,
+    createdAt: meta.createdAt || now,
+    lastActivityAt: now,
+    expiresAt: new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString()
+  });
+  return { token, expiresIn: SESSION_TTL_SECONDS };
+}
+
+/**
+ * extendSession — swap a live token for a fresh one with a full lifetime
+ * Same sessionId/createdAt/device; the old token stops working
+ * @returns {{ token: string, expiresIn: number }}
+ */
+export function extendSession(state, token, reader) {
+  const session = state.sessions.get(token);
+  state.sessions.delete(token);
+  return issueSession(state, reader, session);
+}
+
+/**
+ * sessionWarningLevel — 'critical' | 'warning' | null from the time left
+ */
+export function sessionWarningLevel(session) {
+  const secondsLeft = (Date.parse(session.expiresAt) - Date.now()) / 1000;
+  if (secondsLeft <= SESSION_CRITICAL_SECONDS) return 'critical';
+  if (secondsLeft <= SESSION_WARNING_SECONDS) return 'warning';
+  return null;
+}
+
+/**
+ * resolveSession — token → { session, reader } if signed, unexpired and not invalidated
+ */
+export function resolveSession(state, token) {
+  if (!token || !verifyMockJwt(token, state.jwtSecret)) return null;
+  const session = state.sessions.get(token);
+  if (!session) return null;
+  const reader = findReader(state, session.readerPin);
+  if (!reader) return null;
+  session.lastActivityAt = new Date().toISOString();
+  return { session, reader };
+}
+
+export function bearerToken(request) {
+  const header = request.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+export function invalidateReaderSessions(state, readerPin, exceptToken = null) {
+  let removed = 0;
+  for (const [token, session] of state.sessions) {
+    if (session.readerPin === readerPin && token !== exceptToken) {
+      state.sessions.delete(token);
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,69 @@
+// ==============================================
+// mockSsot_server.js - Local SSOT Stand-in Server
+// ==============================================
+// Purpose: Run ReadersDashboard and ReadersLoginPortal offline
+// Port: 3099 (override with PORT)
+//
+// Usage:
+//   cd MockSSOT && npm install && npm start
+//   SSOT_BASE_URL=http://127.0.0.1:3099 npm run dev   (in each portal)
+//
+// Env (share with the portals):
+//   READERS_LOGIN_JWT_SECRET — tokens are signed with it so portals can verify them
+//   INTERNAL_API_SECRET      — checked against x-internal-secret if set
+//
+// Seeded readers (fixtures/readersFixtures.js):
+//   JS-123456  jane.smith@example.com  password ReaderPass1!   returning, NDA signed
+//   KB-654321  kemi.bello@example.com  no password yet         first-time setup
+//   RS-111111  revoked.sample@example.com                      access revoked
+// Email 2FA code is always 123456; authenticator codes follow RFC 6238
+//   once enrolled from the Management Hub (utils/mockTotp.js)
+// Passkeys: utils/softAuthenticator.js stands in for the reader's device
+//   (RP ID readers.qolae.com — match WEBAUTHN_RP_ID / WEBAUTHN_ORIGIN)
+// ==============================================
+
+import Fastify from 'fastify';
+import mockSsotApp, { createMockSsotState } from './mockSsotApp.js';
+
+const server = Fastify({
+  logger: {
+    level: process.env.LOG_LEVEL || 'info',
+    transport: {
+      target: 'pino-pretty',
+      options: {
+        translateTime: 'HH:MM:ss Z',
+        ignore: 'pid,hostname',
+      },
+    },
+  },
+});
+
+await server.register(mockSsotApp, {
+  state: createMockSsotState(),
+  controlRoutes: true
+});
+
+server.get('/health', async () => ({
+  status: 'healthy',
+  service: 'qolae-mock-ssot',
+  timestamp: new Date().toISOString()
+}));
+
+const start = async () => {
+  try {
+    const port = process.env.PORT || 3099;
+    const host = process.env.HOST || '127.0.0.1';
+
+    await server.listen({ port, host });
+
+    server.log.info(`Mock SSOT running on port ${port}`);
+
+  } catch (err) {
+    server.log.error(err);
+    process.exit(1);
+  }
+};
+
+start();
+
+export default server;
@@ -0,0 +1,400 @@
+// ==============================================
+// mockAuthRoutes.js — Mock SSOT Authentication Endpoints
+// ==============================================
+// Purpose: /auth/* and /api/pin/* as called by ReadersLoginPortal
+//   and ReadersDashboard/middleware/sessionMiddleware.js
+// Response shapes mirror what those callers read — keep in step with them
+// ==============================================
+
+import crypto from 'crypto';
+import { MOCK_EMAIL_CODE } from '../fixtures/readersFixtures.js';
+import { verifyTotp } from '../utils/mockTotp.js';
+import {
+  findReader,
+  publicReader,
+  issueSession,
+  extendSession,
+  sessionWarningLevel,
+  resolveSession,
+  bearerToken,
+  invalidateReaderSessions
+} from '../mockSsotState.js';
+
+const PIN_FORMAT = /^[A-Z]{2}-\d{6}$/;
+const UNLOCK_TOKEN_TTL_MS = 30 * 60 * 1000;
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+
+export default async function mockAuthRoutes(fastify, opts) {
+  const { state } = opts;
+
+  // Reader for a live reset token, or null
+  function resetTokenReader(token) {
+    const entry = state.passwordResetTokens.get(token);
+    if (!entry || Date.parse(entry.expiresAt) <= Date.now()) {
+      return null;
+    }
+    return findReader(state, entry.readerPin);
+  }
+
+  // ==============================================
+  // LOCATION BLOCK 1: PIN & TOKEN ISSUE
+  // ==============================================
+
+  fastify.post('/api/pin/validate', async (request) => {
+    const { pin } = request.body || {};
+    const isValid = PIN_FORMAT.test(pin || '');
+    return {
+      success: true,
+      validation: { isValid, errors: isValid ? [] : ['PIN must look like AB-123456'] }
+    };
+  });
+
+  fastify.post('/auth/readers/pinAccess', async (request, reply) => {
+    const { readerPin, deviceFingerprint, ipAddress, userAgent } = request.body || {};
+    const reader = findReader(state, readerPin);
+
+    if (!reader) {
+      return reply.code(401).send({ success: false, error: 'Invalid Reader PIN' });
+    }
+    if (reader.portalAccessStatus === 'suspended') {
+      return reply.code(403).send({ success: false, error: 'Access revoked' });
+    }
+
+    const { token, expiresIn } = issueSession(state, reader, { deviceFingerprint, ipAddress, userAgent });
+    return {
+      success: true,
+      reader: publicReader(reader),
+      token,
+      expiresIn,
+      isNewReader: !reader.passwordSetupCompleted
+    };
+  });
+
+  fastify.post('/auth/readers/requestToken', async (request, reply) => {
+    const { readerEmail, readerPin, ip, deviceFingerprint } = request.body || {};
+    const reader = findReader(state, readerPin);
+
+    if (!reader || reader.email.toLowerCase() !== String(readerEmail || '').toLowerCase()) {
+      return reply.code(401).send({ success: false, error: 'Email and Reader PIN do not match' });
+    }
+
+    const { token } = issueSession(state, reader, { ipAddress: ip, deviceFingerprint });
+    return { success: true, reader: publicReader(reader), accessToken: token };
+  });
+
+  fastify.get('/auth/readers/getStoredToken', async (request, reply) => {
+    const { readerPin } = request.query;
+    let latest = null;
+    for (const [token, session] of state.sessions) {
+      if (session.readerPin === readerPin) latest = token;
+    }
+    if (!latest) {
+      return reply.code(404).send({ success: false, error: 'No stored token' });
+    }
+    return { success: true, accessToken: latest };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 2: SESSION VALIDATION
+  // ==============================================
+
+  fastify.post('/auth/readers/session/validate', async (request, reply) => {
+    const resolved = resolveSession(state, request.body?.token);
+    if (!resolved) {
+      return reply.code(401).send({ success: false, valid: false, error: 'Session invalid or expired' });
+    }
+    return {
+      success: true,
+      valid: true,
+      reader: publicReader(resolved.reader),
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    };
+  });
+
+  fastify.post('/auth/validateAndRefreshSession/readers', async (request, reply) => {
+    const resolved = resolveSession(state, request.body?.token);
+    if (!resolved) {
+      return reply.code(401).send({ valid: false, error: 'Session invalid or expired' });
+    }
+    const { reader } = resolved;
+    let { session } = resolved;
+
+    // { extend: true } — the reader chose to stay signed in: new token, full lifetime
+    let extended = null;
+    if (request.body?.extend === true) {
+      extended = extendSession(state, request.body.token, reader);
+      session = state.sessions.get(extended.token);
+    }
+
+    return {
+      valid: true,
+      // Fingerprint recorded when this session was issued (null for legacy sessions)
+      deviceFingerprint: session.deviceFingerprint,
+      user: {
+        readerPin: reader.readerPin,
+        pin: reader.readerPin,
+        readerName: reader.readerName,
+        readerEmail: reader.email,
+        readerType: reader.readerType
+      },
+      sessionId: session.sessionId,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      warningLevel: sessionWarningLevel(session),
+      ...(extended && { accessToken: extended.token, expiresIn: extended.expiresIn })
+    };
+  });
+
+  // { pin } → every session for the reader (logout);
+  //   { pin, token | sessionId } → that session only (timeouts)
+  fastify.post('/auth/invalidateSession', async (request) => {
+    const { pin, token, sessionId } = request.body || {};
+    if (!token && !sessionId) {
+      return { success: true, sessionsInvalidated: invalidateReaderSessions(state, pin) };
+    }
+
+    let removed = 0;
+    for (const [sessionToken, session] of state.sessions) {
+      if (session.readerPin === pin && (sessionToken === token || (sessionId && session.sessionId === sessionId))) {
+        state.sessions.delete(sessionToken);
+        removed++;
+      }
+    }
+    return { success: true, sessionsInvalidated: removed };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 3: 2FA (EMAIL CODE / AUTHENTICATOR APP / RECOVERY CODE)
+  // ==============================================
+  // Dev email code is always MOCK_EMAIL_CODE (123456)
+  // verifyCode { method: 'email' (default) | 'totp' | 'recovery' }
+
+  fastify.post('/auth/readers/2fa/requestCode', async (request, reply) => {
+    const resolved = resolveSession(state, bearerToken(request));
+    if (!resolved) {
+      return reply.code(401).send({ success: false, error: 'Session invalid. Please log in again.' });
+    }
+    resolved.reader.pendingEmailCode = MOCK_EMAIL_CODE;
+    return { success: true, reader: publicReader(resolved.reader) };
+  });
+
+  fastify.post('/auth/readers/2fa/verifyCode', async (request, reply) => {
+    const resolved = resolveSession(state, bearerToken(request));
+    if (!resolved) {
+      return reply.code(401).send({ success: false, redirect: true, error: 'Session invalid. Please log in again.' });
+    }
+
+    const { reader } = resolved;
+    const method = request.body?.method || 'email';
+    const code = String(request.body?.verificationCode || '').trim();
+
+    if (method === 'totp' || method === 'recovery') {
+      if (!reader.totpSecret) {
+        return reply.code(400).send({ success: false, error: 'Authenticator app is not set up' });
+      }
+      if (method === 'totp' && !verifyTotp(reader.totpSecret, code)) {
+        return reply.code(401).send({ success: false, error: 'Invalid authenticator code' });
+      }
+      if (method === 'recovery') {
+        const index = reader.recoveryCodes.indexOf(code.toLowerCase());
+        if (index === -1) {
+          return reply.code(401).send({ success: false, error: 'Invalid recovery code' });
+        }
+        reader.recoveryCodes.splice(index, 1);
+      }
+    } else if (!reader.pendingEmailCode || code !== reader.pendingEmailCode) {
+      return reply.code(401).send({ success: false, error: 'Invalid verification code' });
+    } else {
+      reader.pendingEmailCode = null;
+    }
+
+    const { token } = issueSession(state, reader, {
+      deviceFingerprint: request.body?.deviceFingerprint,
+      ipAddress: request.body?.ipAddress,
+      userAgent: request.body?.userAgent
+    });
+    return {
+      success: true,
+      reader: publicReader(reader),
+      accessToken: token,
+      passwordSetupCompleted: reader.passwordSetupCompleted,
+      method,
+      ...(method === 'recovery' && { recoveryCodesRemaining: reader.recoveryCodes.length })
+    };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 4: PASSWORD & LOGIN STATUS
+  // ==============================================
+
+  fastify.get('/auth/readers/loginStatus', async (request, reply) => {
+    const resolved = resolveSession(state, bearerToken(request));
+    if (!resolved) {
+      return reply.code(401).send({ success: false, error: 'Session invalid' });
+    }
+    return { success: true, reader: publicReader(resolved.reader) };
+  });
+
+  fastify.post('/auth/readers/passwordSetup', async (request, reply) => {
+    const resolved = resolveSession(state, bearerToken(request));
+    if (!resolved) {
+      return reply.code(401).send({ success: false, error: 'Session invalid' });
+    }
+
+    const { reader } = resolved;
+    if (reader.passwordSetupCompleted) {
+      return reply.code(409).send({ success: false, error: 'Password already set up' });
+    }
+
+    reader.password = request.body?.password;
+    reader.passwordSetupCompleted = true;
+    reader.pinAccessTokenStatus = 'active';
+    const { token } = issueSession(state, reader, request.body);
+    return { success: true, accessToken: token, reader: publicReader(reader) };
+  });
+
+  fastify.post('/auth/readers/passwordVerify', async (request, reply) => {
+    const resolved = resolveSession(state, bearerToken(request));
+    if (!resolved) {
+      return reply.code(401).send({ success: false, error: 'Session invalid' });
+    }
+
+    const { reader } = resolved;
+    if (!reader.password || reader.password !== request.body?.password) {
+      return reply.code(401).send({ success: false, error: 'Invalid password' });
+    }
+
+    reader.lastLogin = new Date().toISOString();
+    const { token } = issueSession(state, reader, request.body);
+    return { success: true, accessToken: token, reader: publicReader(reader) };
+  });
+
+  // Reset link flow — the link is not really emailed, tests read state.passwordResetTokens
+  fastify.post('/auth/readers/passwordReset/request', async (request) => {
+    const { readerPin, readerEmail } = request.body || {};
+    const reader = findReader(state, readerPin);
+
+    if (reader && reader.email.toLowerCase() === String(readerEmail || '').trim().toLowerCase()) {
+      const token = crypto.randomBytes(24).toString('hex');
+      state.passwordResetTokens.set(token, {
+        readerPin,
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString()
+      });
+    }
+    return { success: true };
+  });
+
+  fastify.post('/auth/readers/passwordReset/validate', async (request, reply) => {
+    const reader = resetTokenReader(request.body?.token);
+    if (!reader) {
+      return reply.code(410).send({ success: false, error: 'Invalid or expired reset link' });
+    }
+    return { success: true, reader: publicReader(reader) };
+  });
+
+  fastify.post('/auth/readers/passwordReset', async (request, reply) => {
+    const { token, password } = request.body || {};
+    const reader = resetTokenReader(token);
+    if (!reader) {
+      return reply.code(410).send({ success: false, error: 'Invalid or expired reset link' });
+    }
+    if (!password || password.length < 8) {
+      return reply.code(400).send({ success: false, error: 'Password must be at least 8 characters' });
+    }
+
+    state.passwordResetTokens.delete(token);
+    reader.password = password;
+    reader.passwordSetupCompleted = true;
+    invalidateReaderSessions(state, reader.readerPin);
+    return { success: true, reader: publicReader(reader) };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 5: SECURITY LOG
+  // ==============================================
+
+  fastify.post('/auth/readers/securityLog', async (request) => {
+    state.securityLog.push({ ...request.body, loggedAt: new Date().toISOString() });
+    return { success: true };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 6: ACCOUNT UNLOCK
+  // ==============================================
+  // The link is not really emailed — tests read state.unlockTokens
+
+  fastify.post('/auth/readers/unlock/request', async (request) => {
+    const { readerPin, readerEmail } = request.body || {};
+    const reader = findReader(state, readerPin);
+
+    // Same answer either way — the caller must not learn whether the pair matched
+    if (reader && reader.email.toLowerCase() === String(readerEmail || '').trim().toLowerCase()) {
+      const token = crypto.randomBytes(24).toString('hex');
+      state.unlockTokens.set(token, {
+        readerPin,
+        expiresAt: new Date(Date.now() + UNLOCK_TOKEN_TTL_MS).toISOString()
+      });
+    }
+    return { success: true };
+  });
+
+  fastify.post('/auth/readers/unlock/verify', async (request, reply) => {
+    const entry = state.unlockTokens.get(request.body?.token);
+    if (!entry || Date.parse(entry.expiresAt) <= Date.now()) {
+      return reply.code(400).send({ success: false, error: 'Invalid or expired unlock link' });
+    }
+
+    state.unlockTokens.delete(request.body.token);
+    const reader = findReader(state, entry.readerPin);
+    return { success: true, readerPin: reader.readerPin, readerEmail: reader.email };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 7: PASSKEY SIGN-IN
+  // ==============================================
+  // The portal verifies the assertion against the stored public key, then
+  //   reports the new signature counter here to be issued a session
+
+  function findPasskey(credentialId) {
+    for (const reader of state.readers) {
+      const passkey = reader.passkeys.find(p => p.credentialId === credentialId);
+      if (passkey) return { reader, passkey };
+    }
+    return null;
+  }
+
+  fastify.post('/auth/readers/passkeys/lookup', async (request, reply) => {
+    const found = findPasskey(request.body?.credentialId);
+    if (!found) {
+      return reply.code(404).send({ success: false, error: 'Unknown passkey' });
+    }
+    const { credentialId, publicKey, counter, transports } = found.passkey;
+    return {
+      success: true,
+      credential: { credentialId, publicKey, counter, transports },
+      reader: publicReader(found.reader)
+    };
+  });
+
+  fastify.post('/auth/readers/passkeys/login', async (request, reply) => {
+    const { credentialId, newCounter, deviceFingerprint, ipAddress, userAgent } = request.body || {};
+    const found = findPasskey(credentialId);
+    if (!found) {
+      return reply.code(404).send({ success: false, error: 'Unknown passkey' });
+    }
+    const { reader, passkey } = found;
+    if (reader.portalAccessStatus === 'suspended') {
+      return reply.code(403).send({ success: false, error: 'Access revoked' });
+    }
+    // A counter that did not move forward means a cloned authenticator
+    if (passkey.counter > 0 && !(Number(newCounter) > passkey.counter)) {
+      return reply.code(409).send({ success: false, error: 'Passkey signature counter did not advance' });
+    }
+
+    passkey.counter = Number(newCounter) || 0;
+    passkey.lastUsedAt = new Date().toISOString();
+    reader.lastLogin = passkey.lastUsedAt;
+    const { token, expiresIn } = issueSession(state, reader, { deviceFingerprint, ipAddress, userAgent });
+    return { success: true, reader: publicReader(reader), accessToken: token, expiresIn };
+  });
+}
@@ -0,0 +1,672 @@
+// ==============================================
+// mockReadersRoutes.js — Mock SSOT Readers Endpoints
+// ==============================================
+// Purpose: Workspace bootstrap, corrections, payment, calendar, NDA,
+//   Management Hub, sessions and sign-in security endpoints called by ReadersDashboard
+// Response shapes mirror ReadersController.js / readerRoutes.js / ndaRoutes.js
+// ==============================================
+
+import crypto from 'crypto';
+import {
+  findReader,
+  findAssignment,
+  publicReader,
+  publicAssignment,
+  resolveSession,
+  bearerToken
+} from '../mockSsotState.js';
+import { generateTotpSecret, verifyTotp, otpauthUri } from '../utils/mockTotp.js';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_KEYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+// Smallest valid single-page PDF — enough for browser viewers and Range tests
+function buildMockPdf(title) {
+  const text = String(title).replace(/[()\\]/g, '');
+  const stream = `BT /F1 18 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(pdf.length);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Single-range byte serving (bytes=a-b, bytes=a-, bytes=-n) like a real file server
+function sendMockPdf(request, reply, pdf) {
+  reply.type('application/pdf').header('accept-ranges', 'bytes');
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.range || '');
+  if (!match || (!match[1] && !match[2])) {
+    return reply.send(pdf);
+  }
+
+  const start = match[1] ? Number(match[1]) : Math.max(pdf.length - Number(match[2]), 0);
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), pdf.length - 1) : pdf.length - 1;
+  if (start >= pdf.length || start > end) {
+    return reply.code(416).header('content-range', `bytes */${pdf.length}`).send();
+  }
+
+  return reply
+    .code(206)
+    .header('content-range', `bytes ${start}-${end}/${pdf.length}`)
+    .send(pdf.subarray(start, end + 1));
+}
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function resolveCalendar(state, readerPin, month, year) {
+  const today = new Date();
+  const m = Number(month) || today.getUTCMonth() + 1;
+  const y = Number(year) || today.getUTCFullYear();
+  const pattern = state.calendarPatterns[readerPin] || {};
+  const overrides = state.calendarOverrides[readerPin] || [];
+  const assignments = state.assignments.filter(a => a.readerPin === readerPin);
+
+  const first = new Date(Date.UTC(y, m - 1, 1));
+  const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const leadingBlanks = (first.getUTCDay() + 6) % 7; // Monday-first grid
+  const todayIso = toIsoDate(today);
+
+  const cells = Array.from({ length: leadingBlanks }, () => ({ isEmpty: true }));
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = new Date(Date.UTC(y, m - 1, day));
+    const iso = toIsoDate(date);
+    const override = overrides.find(o => o.overrideDate === iso);
+    const assigned = assignments.some(a => a.deadline && a.deadline.slice(0, 10) === iso);
+    let status = pattern[DAY_KEYS[(date.getUTCDay() + 6) % 7]] ? 'available' : 'off';
+    if (override) status = override.overrideType;
+    if (assigned) status = 'assigned';
+
+    cells.push({
+      isEmpty: false,
+      dayNumber: day,
+      date: iso,
+      status,
+      isToday: iso === todayIso,
+      isPast: iso < todayIso
+    });
+  }
+  while (cells.length % 7 !== 0) cells.push({ isEmpty: true });
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+
+  return {
+    calendar: {
+      month: m,
+      year: y,
+      monthName: MONTH_NAMES[m - 1],
+      dayLabels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+      weeks,
+      weeklyPattern: pattern,
+      prevMonth: m === 1 ? { month: 12, year: y - 1 } : { month: m - 1, year: y },
+      nextMonth: m === 12 ? { month: 1, year: y + 1 } : { month: m + 1, year: y }
+    },
+    overrides: overrides.map(o => {
+      const date = new Date(`${o.overrideDate}T00:00:00.000Z`);
+      return {
+        ...o,
+        displayDate: date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' }),
+        displayDateLong: date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' })
+      };
+    }),
+    assignments: assignments.map(a => {
+      const deadline = new Date(a.deadline);
+      const hoursLeft = (deadline - today) / 3600000;
+      return {
+        assignmentNumber: a.assignmentNumber,
+        readerType: a.readerType,
+        deadlineDay: deadline.getUTCDate(),
+        deadlineMonth: MONTH_NAMES[deadline.getUTCMonth()].slice(0, 3),
+        deadlineDisplay: deadline.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }),
+        isNew: !a.correctionsSubmitted && hoursLeft > 12,
+        isDueSoon: !a.correctionsSubmitted && hoursLeft > 0 && hoursLeft <= 12
+      };
+    })
+  };
+}
+
+function paymentTimeline(assignment) {
+  const step1 = assignment.correctionsSubmitted ? 'completed' : 'current';
+  const step2 = assignment.paymentApprovedAt ? 'completed' : (assignment.correctionsSubmitted ? 'current' : 'pending');
+  const step3 = assignment.paymentStatus === 'paid' ? 'completed' : (assignment.paymentApprovedAt ? 'current' : 'pending');
+  return { step1, step2, step3 };
+}
+
+function draftOf(assignment) {
+  return {
+    revision: assignment.draftRevision,
+    corrections: assignment.corrections || [],
+    savedAt: assignment.correctionsSavedAt || null
+  };
+}
+
+function paymentData(reader, assignment) {
+  return {
+    assignmentId: assignment.id,
+    assignmentNumber: assignment.assignmentNumber,
+    readerPin: reader.readerPin,
+    readerName: reader.readerName,
+    readerEmail: reader.email,
+    readerType: reader.readerType,
+    paymentStatus: assignment.paymentStatus,
+    paymentAmount: assignment.paymentAmount,
+    paymentReference: assignment.paymentReference,
+    assignedAt: assignment.reportAssignedAt,
+    correctionsSubmittedAt: assignment.correctionsSubmittedAt,
+    paymentApprovedAt: assignment.paymentApprovedAt,
+    paymentProcessedAt: assignment.paymentProcessedAt
+  };
+}
+
+export default async function mockReadersRoutes(fastify, opts) {
+  const { state } = opts;
+
+  function readerOr404(readerPin, reply) {
+    const reader = findReader(state, readerPin);
+    if (!reader) {
+      reply.code(404).send({ success: false, error: 'Reader not found' });
+      return null;
+    }
+    return reader;
+  }
+
+  // ==============================================
+  // LOCATION BLOCK 1: WORKSPACE BOOTSTRAP
+  // ==============================================
+
+  fastify.get('/readers/workspace/bootstrap', async (request, reply) => {
+    const resolved = resolveSession(state, bearerToken(request));
+    if (!resolved) {
+      return reply.code(401).send({ valid: false, error: 'Session invalid' });
+    }
+
+    const { reader } = resolved;
+    const assignments = state.assignments.filter(a => a.readerPin === reader.readerPin);
+    return {
+      valid: true,
+      user: publicReader(reader),
+      gates: {
+        nda: { completed: reader.ndaSigned, signedAt: reader.ndaSignedAt },
+        compliance: { completed: reader.complianceApproved }
+      },
+      features: {
+        reportReview: reader.ndaSigned,
+        payments: reader.ndaSigned,
+        calendar: true
+      },
+      stats: {
+        completedAssignments: reader.totalAssignmentsCompleted,
+        averageTurnaroundHours: reader.averageTurnaroundHours,
+        totalEarnings: reader.totalEarnings
+      },
+      assignments: assignments.map(publicAssignment)
+    };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 2: CORRECTIONS
+  // ==============================================
+
+  fastify.get('/api/readers/corrections/draft', async (request, reply) => {
+    const { readerPin, assignmentId } = request.query;
+    const assignment = findAssignment(state, readerPin, assignmentId);
+    if (!assignment) {
+      return reply.code(404).send({ success: false, error: 'Assignment not found' });
+    }
+    return {
+      success: true,
+      draft: draftOf(assignment),
+      submitted: assignment.correctionsSubmitted,
+      submittedAt: assignment.correctionsSubmittedAt,
+      assignmentNumber: assignment.assignmentNumber
+    };
+  });
+
+  // Report as delivered to the reader (redaction bars in place), block by block
+  fastify.get('/api/readers/report/redacted', async (request, reply) => {
+    const { readerPin, assignmentId } = request.query;
+    const assignment = findAssignment(state, readerPin, assignmentId);
+    if (!assignment) {
+      return reply.code(404).send({ success: false, error: 'Assignment not found' });
+    }
+    return { success: true, blocks: state.redactedReports[assignment.id] || [] };
+  });
+
+  // Optimistic concurrency: a save must name the revision it was based on —
+  //   anything older than the stored draft is a 409 carrying that draft
+  // Idempotency-Key: a save that already succeeded answers with its original
+  //   reply — a replay after a lost response is not a conflict with itself
+  fastify.post('/api/readers/corrections/save', async (request, reply) => {
+    const { readerPin, assignmentId, corrections, baseRevision } = request.body || {};
+    const idempotencyKey = request.headers['idempotency-key'];
+    const replayKey = idempotencyKey && `${readerPin}:${idempotencyKey}`;
+    if (replayKey && state.idempotentSaves.has(replayKey)) {
+      return reply.header('Idempotent-Replayed', 'true').send(state.idempotentSaves.get(replayKey));
+    }
+
+    const assignment = findAssignment(state, readerPin, assignmentId);
+    if (!assignment) {
+      return reply.code(404).send({ success: false, error: 'Assignment not found' });
+    }
+    if (assignment.correctionsSubmitted) {
+      return reply.code(409).send({ success: false, error: 'Corrections already submitted' });
+    }
+    if (!Array.isArray(corrections) || !Number.isInteger(baseRevision)) {
+      return reply.code(400).send({ success: false, error: 'corrections must be an array and baseRevision an integer' });
+    }
+    if (baseRevision !== assignment.draftRevision) {
+      return reply.code(409).send({
+        success: false,
+        conflict: true,
+        error: 'The draft was changed elsewhere',
+        draft: draftOf(assignment)
+      });
+    }
+
+    assignment.corrections = corrections;
+    assignment.correctionsSavedAt = new Date().toISOString();
+    assignment.draftRevision += 1;
+    const saved = { success: true, revision: assignment.draftRevision, savedAt: assignment.correctionsSavedAt };
+    if (replayKey) {
+      state.idempotentSaves.set(replayKey, saved);
+    }
+    return saved;
+  });
+
+  fastify.post('/api/readers/corrections/submit', async (request, reply) => {
+    const { readerPin, assignmentId } = request.body || {};
+    const assignment = findAssignment(state, readerPin, assignmentId);
+    if (!assignment) {
+      return reply.code(404).send({ success: false, error: 'Assignment not found' });
+    }
+    if (assignment.correctionsSubmitted) {
+      return reply.code(409).send({ success: false, error: 'Corrections already submitted' });
+    }
+
+    assignment.correctionsSubmitted = true;
+    assignment.correctionsSubmittedAt = new Date().toISOString();
+    return { success: true, submittedAt: assignment.correctionsSubmittedAt };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 3: PAYMENT
+  // ==============================================
+
+  fastify.get('/api/readers/payment/processing', async (request, reply) => {
+    const { readerPin, assignmentId } = request.query;
+    const reader = readerOr404(readerPin, reply);
+    if (!reader) return reply;
+
+    const assignment = findAssignment(state, readerPin, assignmentId);
+    if (!assignment) {
+      return reply.code(404).send({ success: false, error: 'Assignment not found' });
+    }
+    return { success: true, paymentData: paymentData(reader, assignment), timeline: paymentTimeline(assignment) };
+  });
+
+  fastify.get('/api/readers/payment/status/:assignmentId', async (request, reply) => {
+    const assignment = findAssignment(state, request.query.readerPin, request.params.assignmentId);
+    if (!assignment) {
+      return reply.code(404).send({ success: false, error: 'Assignment not found' });
+    }
+    return {
+      success: true,
+      paymentStatus: assignment.paymentStatus,
+      paymentReference: assignment.paymentReference,
+      timeline: paymentTimeline(assignment)
+    };
+  });
+
+  fastify.get('/api/readers/payment/history', async (request, reply) => {
+    const reader = readerOr404(request.query.readerPin, reply);
+    if (!reader) return reply;
+
+    const payments = state.assignments
+      .filter(a => a.readerPin === reader.readerPin)
+      .map(a => ({
+        assignmentId: a.id,
+        assignmentNumber: a.assignmentNumber,
+        paymentStatus: a.paymentStatus,
+        paymentAmount: a.paymentAmount,
+        paymentReference: a.paymentReference,
+        paymentProcessedAt: a.paymentProcessedAt
+      }));
+    return { success: true, payments };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 4: CALENDAR
+  // ==============================================
+
+  fastify.get('/api/readers/calendar/resolved', async (request, reply) => {
+    const { readerPin, month, year } = request.query;
+    const reader = readerOr404(readerPin, reply);
+    if (!reader) return reply;
+
+    return { success: true, reader: publicReader(reader), ...resolveCalendar(state, readerPin, month, year) };
+  });
+
+  fastify.post('/api/readers/calendar/setPattern', async (request, reply) => {
+    const { readerPin, ...days } = request.body || {};
+    if (!readerOr404(readerPin, reply)) return reply;
+
+    state.calendarPatterns[readerPin] = Object.fromEntries(DAY_KEYS.map(day => [day, !!days[day]]));
+    return { success: true, weeklyPattern: state.calendarPatterns[readerPin] };
+  });
+
+  fastify.post('/api/readers/calendar/addOverride', async (request, reply) => {
+    const { readerPin, date, type, category, reason } = request.body || {};
+    if (!readerOr404(readerPin, reply)) return reply;
+    if (!date || !type) {
+      return reply.code(400).send({ success: false, error: 'date and type are required' });
+    }
+
+    const overrides = (state.calendarOverrides[readerPin] ||= []);
+    const existing = overrides.findIndex(o => o.overrideDate === date);
+    const override = { overrideDate: date, overrideType: type, overrideCategory: category, overrideReason: reason };
+    if (existing >= 0) overrides[existing] = override;
+    else overrides.push(override);
+    return { success: true, override };
+  });
+
+  fastify.post('/api/readers/calendar/removeOverride', async (request, reply) => {
+    const { readerPin, date } = request.body || {};
+    if (!readerOr404(readerPin, reply)) return reply;
+
+    state.calendarOverrides[readerPin] = (state.calendarOverrides[readerPin] || []).filter(o => o.overrideDate !== date);
+    return { success: true };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 5: NDA WORKFLOW
+  // ==============================================
+
+  fastify.post('/api/readers/nda/continueToSign', async (request, reply) => {
+    const reader = readerOr404(request.body?.readerPin, reply);
+    if (!reader) return reply;
+    return { success: true };
+  });
+
+  fastify.post('/api/readers/nda/preview', async (request, reply) => {
+    const { readerPin, signatureData, agreedToTerms } = request.body || {};
+    const reader = readerOr404(readerPin, reply);
+    if (!reader) return reply;
+    if (!signatureData) {
+      return { success: false, error: 'Signature is required' };
+    }
+    if (!agreedToTerms) {
+      return { success: false, error: 'Please confirm you agree to the terms' };
+    }
+
+    state.ndaPreviews.set(readerPin, buildMockPdf(`NDA Preview ${readerPin}`));
+    return { success: true };
+  });
+
+  fastify.get('/api/readers/nda/previewPdf/:readerPin', async (request, reply) => {
+    const pdf = state.ndaPreviews.get(request.params.readerPin);
+    if (!pdf) {
+      return reply.code(404).send({ success: false, error: 'Preview not available' });
+    }
+    return sendMockPdf(request, reply, pdf);
+  });
+
+  fastify.post('/api/readers/nda/sign', async (request, reply) => {
+    const reader = readerOr404(request.body?.readerPin, reply);
+    if (!reader) return reply;
+    if (!state.ndaPreviews.has(reader.readerPin)) {
+      return { success: false, error: 'No preview to sign' };
+    }
+
+    reader.ndaSigned = true;
+    reader.ndaSignedAt = new Date().toISOString();
+    state.ndaPreviews.delete(reader.readerPin);
+    return { success: true, signedAt: reader.ndaSignedAt };
+  });
+
+  for (const action of ['view', 'download']) {
+    fastify.get(`/api/readers/nda/${action}/:readerPin`, async (request, reply) => {
+      const reader = findReader(state, request.params.readerPin);
+      if (!reader || !reader.ndaSigned) {
+        return reply.code(404).send({ success: false, error: 'Signed NDA not found' });
+      }
+      return sendMockPdf(request, reply, buildMockPdf(`Signed Readers NDA ${reader.readerPin}`));
+    });
+  }
+
+  // ==============================================
+  // LOCATION BLOCK 6: MANAGEMENT HUB
+  // ==============================================
+
+  fastify.get('/api/readers/managementHub/bootstrap', async (request, reply) => {
+    const reader = readerOr404(request.query.readerPin, reply);
+    if (!reader) return reply;
+
+    const assignments = state.assignments.filter(a => a.readerPin === reader.readerPin);
+    const reports = assignments.map(a => ({
+      id: a.id,
+      reportNumber: `#${a.assignmentNumber}`,
+      status: a.correctionsSubmitted ? 'completed' : 'new',
+      assignedDate: a.reportAssignedAt,
+      dueDate: a.deadline,
+      completedDate: a.correctionsSubmittedAt,
+      fee: a.paymentAmount,
+      paymentStatus: a.paymentStatus
+    }));
+    const paid = assignments.filter(a => a.paymentStatus === 'paid');
+    const documents = state.documents[reader.readerPin] || [];
+
+    return {
+      success: true,
+      reader: {
+        id: reader.id,
+        name: reader.readerName,
+        readerType: reader.readerType,
+        lastActive: reader.lastLogin || new Date().toISOString(),
+        stats: {
+          completedReports: reader.totalAssignmentsCompleted,
+          activeAssignments: assignments.filter(a => !a.correctionsSubmitted).length,
+          documentsUploaded: documents.length,
+          successRate: 100
+        }
+      },
+      documents,
+      reports,
+      payments: {
+        summary: {
+          totalEarnings: reader.totalEarnings,
+          totalReports: assignments.length,
+          paymentsReceived: paid.reduce((sum, a) => sum + a.paymentAmount, 0),
+          paidReports: paid.length,
+          pendingPayments: assignments.filter(a => a.paymentStatus !== 'paid').reduce((sum, a) => sum + a.paymentAmount, 0)
+        },
+        method: { type: 'bank_transfer', accountLast4: '4321', accountName: reader.readerName, verified: true },
+        transactions: assignments.map(a => ({
+          date: a.paymentProcessedAt || a.reportAssignedAt,
+          reportNumber: `#${a.assignmentNumber}`,
+          description: 'INA report review',
+          amount: a.paymentAmount,
+          status: a.paymentStatus
+        }))
+      }
+    };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 7: ACTIVE SESSIONS
+  // ==============================================
+  // Sessions as recorded at issue time — never the tokens themselves
+
+  fastify.get('/api/readers/sessions', async (request, reply) => {
+    const reader = readerOr404(request.query.readerPin, reply);
+    if (!reader) return reply;
+
+    const sessions = [...state.sessions.values()]
+      .filter(session => session.readerPin === reader.readerPin)
+      .map(session => ({
+        sessionId: session.sessionId,
+        deviceFingerprint: session.deviceFingerprint,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastActivityAt: session.lastActivityAt
+      }));
+    return { success: true, sessions };
+  });
+
+  // { readerPin, sessionId } → that session; { readerPin, exceptSessionId } → all others
+  fastify.post('/api/readers/sessions/revoke', async (request, reply) => {
+    const { readerPin, sessionId, exceptSessionId } = request.body || {};
+    const reader = readerOr404(readerPin, reply);
+    if (!reader) return reply;
+    if (!sessionId && !exceptSessionId) {
+      return reply.code(400).send({ success: false, error: 'sessionId or exceptSessionId required' });
+    }
+
+    const revoked = [];
+    for (const [token, session] of state.sessions) {
+      if (session.readerPin !== reader.readerPin) continue;
+      if (sessionId ? session.sessionId === sessionId : session.sessionId !== exceptSessionId) {
+        state.sessions.delete(token);
+        revoked.push(session.sessionId);
+      }
+    }
+
+    if (sessionId && revoked.length === 0) {
+      return reply.code(404).send({ success: false, error: 'Session not found' });
+    }
+    return { success: true, revokedSessionIds: revoked };
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 8: SIGN-IN SECURITY (AUTHENTICATOR APP & PASSKEYS)
+  // ==============================================
+  // enrol → pending secret (shown as a QR code until activated)
+  // activate { code } → secret live, 10 single-use recovery codes returned ONCE
+  // disable { code } → authenticator or recovery code required
+  // passkeys: the dashboard verifies the attestation, the SSOT only stores
+  //   the public key — it is never handed back to the dashboard
+
+  function securityStatus(reader) {
+    return {
+      success: true,
+      totp: {
+        enabled: !!reader.totpSecret,
+        recoveryCodesRemaining: reader.recoveryCodes.length,
+        pendingEnrolment: reader.totpPendingSecret
+          ? { secret: reader.totpPendingSecret, otpauthUri: otpauthUri(reader.totpPendingSecret, reader.email) }
+          : null
+      },
+      passkeys: reader.passkeys.map(({ credentialId, label, transports, createdAt, lastUsedAt }) => ({
+        credentialId, label, transports, createdAt, lastUsedAt
+      }))
+    };
+  }
+
+  fastify.get('/api/readers/security', async (request, reply) => {
+    const reader = readerOr404(request.query.readerPin, reply);
+    if (!reader) return reply;
+    return securityStatus(reader);
+  });
+
+  fastify.post('/api/readers/totp/enrol', async (request, reply) => {
+    const reader = readerOr404(request.body?.readerPin, reply);
+    if (!reader) return reply;
+    if (reader.totpSecret) {
+      return reply.code(409).send({ success: false, error: 'Authenticator app already set up' });
+    }
+    reader.totpPendingSecret = generateTotpSecret();
+    return securityStatus(reader);
+  });
+
+  fastify.post('/api/readers/totp/activate', async (request, reply) => {
+    const reader = readerOr404(request.body?.readerPin, reply);
+    if (!reader) return reply;
+    if (!reader.totpPendingSecret) {
+      return reply.code(409).send({ success: false, error: 'No authenticator enrolment in progress' });
+    }
+    if (!verifyTotp(reader.totpPendingSecret, String(request.body?.code || '').trim())) {
+      return reply.code(400).send({ success: false, error: 'Invalid authenticator code' });
+    }
+
+    reader.totpSecret = reader.totpPendingSecret;
+    reader.totpPendingSecret = null;
+    reader.recoveryCodes = Array.from({ length: 10 }, () => {
+      const hex = crypto.randomBytes(4).toString('hex');
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+    return { success: true, recoveryCodes: [...reader.recoveryCodes] };
+  });
+
+  fastify.post('/api/readers/totp/disable', async (request, reply) => {
+    const reader = readerOr404(request.body?.readerPin, reply);
+    if (!reader) return reply;
+    const code = String(request.body?.code || '').trim().toLowerCase();
+    if (!reader.totpSecret) {
+      return reply.code(409).send({ success: false, error: 'Authenticator app is not set up' });
+    }
+    if (!verifyTotp(reader.totpSecret, code) && !reader.recoveryCodes.includes(code)) {
+      return reply.code(400).send({ success: false, error: 'Invalid authenticator code' });
+    }
+
+    reader.totpSecret = null;
+    reader.recoveryCodes = [];
+    return { success: true };
+  });
+
+  fastify.post('/api/readers/passkeys', async (request, reply) => {
+    const { readerPin, credentialId, publicKey, counter, transports, label } = request.body || {};
+    const reader = readerOr404(readerPin, reply);
+    if (!reader) return reply;
+    if (!credentialId || !publicKey) {
+      return reply.code(400).send({ success: false, error: 'credentialId and publicKey are required' });
+    }
+    if (state.readers.some(r => r.passkeys.some(p => p.credentialId === credentialId))) {
+      return reply.code(409).send({ success: false, error: 'Passkey already registered' });
+    }
+
+    reader.passkeys.push({
+      credentialId,
+      publicKey,
+      counter: Number(counter) || 0,
+      transports: Array.isArray(transports) ? transports : [],
+      label: String(label || 'Passkey').slice(0, 60),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    });
+    return securityStatus(reader);
+  });
+
+  fastify.post('/api/readers/passkeys/remove', async (request, reply) => {
+    const reader = readerOr404(request.body?.readerPin, reply);
+    if (!reader) return reply;
+    const index = reader.passkeys.findIndex(p => p.credentialId === request.body?.credentialId);
+    if (index === -1) {
+      return reply.code(404).send({ success: false, error: 'Passkey not found' });
+    }
+
+    reader.passkeys.splice(index, 1);
+    return securityStatus(reader);
+  });
+}
@@ -0,0 +1,62 @@
+// ==============================================
+// mockJwt.js — Minimal HS256 JWT for the Mock SSOT
+// ==============================================
+// Purpose: Issue tokens the portals can jwt.verify() with
+//   READERS_LOGIN_JWT_SECRET, without adding a dependency
+// NOT for production use — the real SSOT owns token issuance
+// ==============================================
+
+import crypto from 'crypto';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * signMockJwt — HS256 sign
+ * @param {object} payload — claims (iat/exp added automatically)
+ * @param {string} secret — shared secret
+ * @param {number} expiresInSeconds — lifetime
+ * @returns {string} — compact JWT
+ */
+export function signMockJwt(payload, secret, expiresInSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({
+    ...payload,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + expiresInSeconds
+  }));
+  return `${header}.${body}.${hmac(secret, `${header}.${body}`)}`;
+}
+
+/**
+ * verifyMockJwt — HS256 verify
+ * @param {string} token — compact JWT
+ * @param {string} secret — shared secret
+ * @returns {object|null} — payload, or null when invalid/expired
+ */
+export function verifyMockJwt(token, secret) {
+  if (typeof token !== 'string') return null;
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature) return null;
+
+  const expected = hmac(secret, `${header}.${body}`);
+  if (expected.length !== signature.length
+    || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
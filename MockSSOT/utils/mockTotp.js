@@ -0,0 +1,98 @@
+// ==============================================
+// mockTotp.js — RFC 6238 TOTP for the Mock SSOT
+// ==============================================
+// Purpose: Authenticator-app codes (SHA-1, 6 digits, 30s steps — what
+//   Google Authenticator / Authy / 1Password expect) without a dependency
+// Tests import totpCode() to play the reader's authenticator app
+// NOT for production use — the real SSOT owns TOTP secrets
+// ==============================================
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+export function base32Decode(text) {
+  let bits = '';
+  for (const char of String(text).toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * generateTotpSecret — 160-bit random secret, base32 (as shown under the QR code)
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * totpCode — the code an authenticator app shows at a given time
+ * @param {string} secret — base32
+ * @param {number} [atMs] — defaults to now
+ * @returns {string} — 6 digits
+ */
+export function totpCode(secret, atMs = Date.now()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(atMs / 1000 / STEP_SECONDS)));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * verifyTotp — accept the current step ± window (clock drift)
+ * @param {string} secret
+ * @param {string} code
+ * @param {number} [window]
+ * @returns {boolean}
+ */
+export function verifyTotp(secret, code, window = 1) {
+  if (!/^\d{6}$/.test(String(code || ''))) {
+    return false;
+  }
+  const now = Date.now();
+  for (let step = -window; step <= window; step++) {
+    if (totpCode(secret, now + step * STEP_SECONDS * 1000) === code) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * otpauthUri — provisioning URI encoded in the enrolment QR code
+ * @param {string} secret
+ * @param {string} accountName — reader email
+ * @param {string} [issuer]
+ * @returns {string}
+ */
+export function otpauthUri(secret, accountName, issuer = 'QOLAE Readers') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,194 @@
+// ==============================================
+// softAuthenticator.js — Software WebAuthn Authenticator
+// ==============================================
+// Purpose: Play the reader's passkey (platform authenticator) in tests and
+//   local runs — answers navigator.credentials.create()/get() options with
+//   'none' attestation and ES256 (P-256) assertions, no browser needed
+// Tests import createSoftAuthenticator() and feed the JSON it returns
+//   straight to the portals, as the page script would
+// NOT for production use — real passkeys live on the reader's device
+// ==============================================
+
+import crypto from 'crypto';
+
+const DEFAULT_RP_ID = 'readers.qolae.com';
+const DEFAULT_ORIGIN = 'https://readers.qolae.com';
+
+// Flags byte: UP (user present) | UV (user verified) [| AT (attested credential data)]
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+// ----------------------------------------------
+// Minimal CBOR encoder — just what attestation objects and COSE keys use
+// (unsigned/negative ints, byte strings, text strings, maps)
+// ----------------------------------------------
+
+function cborHead(majorType, length) {
+  const major = majorType << 5;
+  if (length < 24) return Buffer.from([major | length]);
+  if (length < 0x100) return Buffer.from([major | 24, length]);
+  if (length < 0x10000) {
+    const head = Buffer.alloc(3);
+    head[0] = major | 25;
+    head.writeUInt16BE(length, 1);
+    return head;
+  }
+  const head = Buffer.alloc(5);
+  head[0] = major | 26;
+  head.writeUInt32BE(length, 1);
+  return head;
+}
+
+function cborEncode(value) {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([cborHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return Buffer.concat([cborHead(3, text.length), text]);
+  }
+  if (value instanceof Map) {
+    const parts = [cborHead(5, value.size)];
+    for (const [key, item] of value) {
+      parts.push(cborEncode(key), cborEncode(item));
+    }
+    return Buffer.concat(parts);
+  }
+  throw new Error(`softAuthenticator: cannot CBOR-encode ${typeof value}`);
+}
+
+// COSE_Key for an EC2 / P-256 / ES256 public key
+function coseEs256Key(publicKey) {
+  const jwk = publicKey.export({ format: 'jwk' });
+  return cborEncode(new Map([
+    [1, 2],     // kty: EC2
+    [3, -7],    // alg: ES256
+    [-1, 1],    // crv: P-256
+    [-2, Buffer.from(jwk.x, 'base64url')],
+    [-3, Buffer.from(jwk.y, 'base64url')]
+  ]));
+}
+
+function signCountBytes(signCount) {
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32BE(signCount);
+  return bytes;
+}
+
+/**
+ * createSoftAuthenticator — one simulated device holding any number of passkeys
+ * @param {object} [options]
+ * @param {string} [options.rpId] — must match the portals' WEBAUTHN_RP_ID
+ * @param {string} [options.origin] — must match the portals' WEBAUTHN_ORIGIN
+ * @returns {{ register: Function, authenticate: Function, credentials: Map }}
+ *   credentials exposes each passkey's COSE public key, so tests can seed
+ *   the SSOT without going through registration
+ */
+export function createSoftAuthenticator({ rpId = DEFAULT_RP_ID, origin = DEFAULT_ORIGIN } = {}) {
+  // credentialId (base64url) → { privateKey, publicKey (COSE, base64url), userHandle, signCount }
+  const credentials = new Map();
+  const rpIdHash = sha256(rpId);
+
+  function clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+  }
+
+  /**
+   * register — answer PublicKeyCredentialCreationOptionsJSON
+   * @param {object} creationOptions — from generateRegistrationOptions()
+   * @returns {object} RegistrationResponseJSON
+   */
+  function register(creationOptions) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const credentialId = crypto.randomBytes(16);
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+
+    const coseKey = coseEs256Key(publicKey);
+    const authData = Buffer.concat([
+      rpIdHash,
+      Buffer.from([FLAG_UP | FLAG_UV | FLAG_AT]),
+      signCountBytes(0),
+      Buffer.alloc(16), // AAGUID — all zeros for 'none' attestation
+      credentialIdLength,
+      credentialId,
+      coseKey
+    ]);
+    const attestationObject = cborEncode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', authData]
+    ]));
+
+    const id = base64url(credentialId);
+    credentials.set(id, { privateKey, publicKey: base64url(coseKey), userHandle: creationOptions.user?.id, signCount: 0 });
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: base64url(clientData('webauthn.create', creationOptions.challenge)),
+        attestationObject: base64url(attestationObject),
+        transports: ['internal']
+      },
+      authenticatorAttachment: 'platform',
+      clientExtensionResults: {}
+    };
+  }
+
+  /**
+   * authenticate — answer PublicKeyCredentialRequestOptionsJSON
+   * Uses the first allowed credential this device holds (any, for discoverable sign-in)
+   * @param {object} requestOptions — from generateAuthenticationOptions()
+   * @param {object} [overrides]
+   * @param {string} [overrides.credentialId] — pick a specific passkey
+   * @returns {object} AuthenticationResponseJSON
+   */
+  function authenticate(requestOptions, { credentialId } = {}) {
+    const allowed = (requestOptions.allowCredentials || []).map(c => c.id);
+    const id = credentialId
+      || [...credentials.keys()].find(key => allowed.length === 0 || allowed.includes(key));
+    const credential = credentials.get(id);
+    if (!credential) {
+      throw new Error('softAuthenticator: no matching passkey on this device');
+    }
+
+    credential.signCount += 1;
+    const authData = Buffer.concat([
+      rpIdHash,
+      Buffer.from([FLAG_UP | FLAG_UV]),
+      signCountBytes(credential.signCount)
+    ]);
+    const clientDataJSON = clientData('webauthn.get', requestOptions.challenge);
+    const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), credential.privateKey);
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: base64url(clientDataJSON),
+        authenticatorData: base64url(authData),
+        signature: base64url(signature),
+        ...(credential.userHandle && { userHandle: credential.userHandle })
+      },
+      authenticatorAttachment: 'platform',
+      clientExtensionResults: {}
+    };
+  }
+
+  return { register, authenticate, credentials };
+}
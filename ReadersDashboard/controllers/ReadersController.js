@@ -18,10 +18,198 @@
 // │ 11. addReaderCalendarOverride              │
 // │ 12. removeReaderCalendarOverride           │
 // │ 13. getReaderCalendarModalData             │
+// │ 14. revokeReaderSession                    │
+// │ 15. revokeOtherReaderSessions              │
+// │ 16. startTotpEnrolment                     │
+// │ 17. confirmTotpEnrolment                   │
+// │ 18. disableTotp                            │
+// │ 19. getPasskeyRegistrationOptions          │
+// │ 20. registerPasskey                        │
+// │ 21. removePasskey                          │
+// │ 22. getReaderCorrectionsDraft              │
+// │ 23. getReaderCorrectionsDiff               │
+// │ 24. getReaderCorrectionsPdf                │
 // └────────────────────────────────────────────┘
 
 // SSOT API Fetch Utility
 import ssotFetch from '../utils/ssotFetch.js';
+// Coalesced SSOT GETs — identical reads share one upstream call (see ssotRead.js)
+import ssotRead from '../utils/ssotRead.js';
+// JSON Schema contracts for SSOT payloads (defaults + precise violation logs)
+import { validateSsotPayload, SsotContractError } from '../utils/ssotContracts.js';
+// Revoked sessions must stop working now, not when the 5-minute cache expires
+import { evictSessionsById } from '../middleware/sessionMiddleware.js';
+// Authenticator enrolment QR code (rendered server-side as inline SVG)
+import QRCode from 'qrcode';
+// csrfMiddleware only issues tokens on GET — POST renders need their own
+import { issueCsrfToken } from '../middleware/csrfMiddleware.js';
+// Structured corrections ({ anchor, originalText, proposedText, note, category }) — validated before the SSOT sees them
+import { validateCorrectionsRequest, invalidCorrectionsResponse } from '../utils/correctionsModel.js';
+// Repeated Idempotency-Keys answered here (the SSOT must deduplicate them too)
+import { recallSave, rememberSave } from '../utils/idempotentSaves.js';
+// Track changes — word-level diff of each saved correction against the SSOT report text
+import { diffWords, countWords } from '../utils/wordDiff.js';
+// Submitted corrections as a PDF record (pdf-lib, built per request)
+import { buildCorrectionsPdf } from '../utils/correctionsPdf.js';
+// Passkey registration (WebAuthn) — attestation is verified here, the SSOT stores the public key
+import { generateRegistrationOptions, verifyRegistrationResponse } from '@simplewebauthn/server';
+import { createLruCache } from '../utils/lruCache.js';
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+const HUB_TABS = ['myDocs', 'clientDocs', 'paymentHistory', 'sessions', 'security'];
+
+// Must match the Login Portal (same origin) or its passkey sign-in rejects the credential
+const WEBAUTHN_RP_ID = process.env.WEBAUTHN_RP_ID || 'readers.qolae.com';
+const WEBAUTHN_ORIGIN = process.env.WEBAUTHN_ORIGIN || 'https://readers.qolae.com';
+const WEBAUTHN_RP_NAME = 'QOLAE Readers';
+
+// Registration challenge per reader session — one ceremony at a time, 5 minutes to finish it
+const PASSKEY_CHALLENGES = createLruCache({ maxEntries: 1000, ttlMs: 5 * 60 * 1000 });
+
+function passkeyChallengeKey(req) {
+  return `${req.user.readerPin}:${req.sessionInfo?.sessionId || ''}`;
+}
+
+// "Chrome on Windows" — enough for a reader to recognise their own device
+function describeDevice(userAgent = '') {
+  const browser = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([marker]) => userAgent.includes(marker))?.[1] || 'Unknown browser';
+  const os = [['Windows', 'Windows'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker))?.[1] || 'unknown OS';
+  return `${browser} on ${os}`;
+}
+
+// Payment method as the SSOT sent it — null fields when the reader has none
+//   on file, and paymentProcessing.ejs leaves the bank details out
+function paymentMethodOf(paymentData) {
+  return {
+    bankName: paymentData.bankName,
+    accountHolderName: paymentData.accountHolderName,
+    lastFourDigits: paymentData.lastFourDigits,
+    sortCode: paymentData.sortCode,
+    accountType: paymentData.accountType,
+    paymentDetailsVerified: paymentData.paymentDetailsVerified
+  };
+}
+
+// SSOT session record → row for the Active Sessions tab
+function toSessionRow(session, currentSessionId) {
+  return {
+    ...session,
+    deviceLabel: session.deviceFingerprint
+      ? `${describeDevice(session.userAgent || '')} · ${session.deviceFingerprint.slice(0, 8)}`
+      : describeDevice(session.userAgent || ''),
+    isCurrent: session.sessionId === currentSessionId
+  };
+}
+
+// Active sessions for the hub — an empty list (with a notice) if the SSOT fails
+async function fetchReaderSessions(readerPin, currentSessionId, log) {
+  try {
+    const apiResponse = await ssotFetch(`/api/readers/sessions?readerPin=${encodeURIComponent(readerPin)}`);
+    const apiData = await apiResponse.json();
+    if (!apiResponse.ok || !apiData.success) {
+      log.error({ status: apiResponse.status }, 'Sessions SSOT failed');
+      return null;
+    }
+    validateSsotPayload('readerSessions', apiData);
+    return apiData.sessions
+      .map(session => toSessionRow(session, currentSessionId))
+      .sort((a, b) => (b.isCurrent - a.isCurrent) || String(b.lastActivityAt).localeCompare(String(a.lastActivityAt)));
+  } catch (error) {
+    log.error({ err: error }, 'fetchReaderSessions error');
+    return null;
+  }
+}
+
+// Sign-in Security tab — authenticator status (+ QR while enrolling) and passkeys, null if the SSOT fails
+async function fetchReaderSecurity(readerPin, log) {
+  try {
+    const apiResponse = await ssotFetch(`/api/readers/security?readerPin=${encodeURIComponent(readerPin)}`);
+    const apiData = await apiResponse.json();
+    if (!apiResponse.ok || !apiData.success) {
+      log.error({ status: apiResponse.status }, 'Security SSOT failed');
+      return null;
+    }
+    const { totp, passkeys } = validateSsotPayload('readerSecurity', apiData);
+    const qrSvg = totp.pendingEnrolment
+      ? await QRCode.toString(totp.pendingEnrolment.otpauthUri, { type: 'svg', margin: 1, width: 200 })
+      : null;
+    return { ...totp, qrSvg, passkeys };
+  } catch (error) {
+    log.error({ err: error }, 'fetchReaderSecurity error');
+    return null;
+  }
+}
+
+// POST → SSOT /api/readers/totp/{action} → { response, data }
+async function postTotp(action, body) {
+  const apiResponse = await ssotFetch(`/api/readers/totp/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { apiResponse, apiData: await apiResponse.json() };
+}
+
+// Bootstrap + Active Sessions + Sign-in Security → readersManagementHub.ejs
+// Shared by GET /readersManagementHub and the one-time recovery codes render
+async function renderManagementHub(req, reply, { tab, revoked, sessionsError, securityStatus, securityError, recoveryCodes = null }) {
+  const { pin } = req.user;
+  const currentSessionId = req.sessionInfo?.sessionId || null;
+
+  const [apiResponse, sessions, security] = await Promise.all([
+    ssotFetch(`/api/readers/managementHub/bootstrap?readerPin=${encodeURIComponent(pin)}`),
+    fetchReaderSessions(pin, currentSessionId, req.log),
+    fetchReaderSecurity(pin, req.log)
+  ]);
+
+  const apiData = await apiResponse.json();
+
+  if (!apiResponse.ok || !apiData.success) {
+    req.log.error({ status: apiResponse.status }, 'ManagementHub SSOT failed');
+    return reply.redirect('https://readers.qolae.com/readersLogin');
+  }
+
+  validateSsotPayload('managementHubBootstrap', apiData);
+
+  return reply.view('readersManagementHub.ejs', {
+    reader: apiData.reader,
+    documents: apiData.documents,
+    reports: apiData.reports,
+    payments: apiData.payments,
+    sessions: sessions || [],
+    sessionsUnavailable: sessions === null,
+    sessionsRevoked: revoked !== undefined ? Number(revoked) || 0 : null,
+    sessionsError: sessionsError === 'true',
+    security,
+    securityStatus: securityStatus || null,
+    securityError: securityError || null,
+    recoveryCodes,
+    csrfToken: reply.locals?.csrfToken || issueCsrfToken(req),
+    activeTab: HUB_TABS.includes(tab) ? tab : 'myDocs'
+  });
+}
+
+// POST → SSOT /api/readers/sessions/revoke, then evict locally
+async function revokeSessions(readerPin, target, log) {
+  const apiResponse = await ssotFetch('/api/readers/sessions/revoke', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ readerPin, ...target })
+  });
+  const apiData = await apiResponse.json();
+  if (!apiResponse.ok || !apiData.success) {
+    log.error({ status: apiResponse.status }, 'Session revoke SSOT failed');
+    return null;
+  }
+  const revokedSessionIds = apiData.revokedSessionIds || [];
+  evictSessionsById(revokedSessionIds);
+  return revokedSessionIds.length;
+}
 
 // ==============================================
 // EXPORTED CONTROLLER METHODS
@@ -33,32 +221,72 @@ export default {
   // 1. SAVE READER CORRECTIONS (DRAFT)
   // ──────────────────────────────────────────────
   // Proxy: POST → SSOT /api/readers/corrections/save
+  // Body: { assignmentId, baseRevision, corrections: [{ anchor, originalText, proposedText, note, category }] }
+  //   (utils/correctionsModel.js) — 400 with details if it doesn't fit
+  // 200 { revision } — the page's new baseRevision
+  // 409 { conflict: true, draft } — saved elsewhere since baseRevision;
+  //   the page merges against draft and saves again on draft.revision
+  // Idempotency-Key is passed through — the SSOT answers a repeat with the
+  //   original reply, so the page's offline queue can replay safely
   // ──────────────────────────────────────────────
   saveReaderCorrections: async (req, reply) => {
     const { pin } = req.user;
-    const { assignmentId, corrections } = req.body;
+    const checked = validateCorrectionsRequest(req.body, req.headers);
+
+    if (!checked.valid) {
+      req.log.warn({ event: 'correctionsRejected', readerPin: pin, errors: checked.errors });
+      return reply.code(400).send(invalidCorrectionsResponse(checked.errors));
+    }
+
+    const { assignmentId, baseRevision, corrections, idempotencyKey } = checked;
+
+    const remembered = recallSave(pin, idempotencyKey);
+    if (remembered) {
+      req.log.info({ event: 'correctionsSaveReplayed', readerPin: pin, assignmentId, idempotencyKey, source: 'dashboard' });
+      return reply.header('Idempotent-Replayed', 'true').send(remembered);
+    }
 
     try {
+      // Idempotency-Key is forwarded: the SSOT deduplicates by readerPin + key
+      //   (see utils/idempotentSaves.js for the contract)
       const apiResponse = await ssotFetch(`/api/readers/corrections/save`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+        },
         body: JSON.stringify({
           readerPin: pin,
           assignmentId,
+          baseRevision,
           corrections
         })
       });
 
       const apiData = await apiResponse.json();
 
+      if (apiResponse.headers.get('idempotent-replayed')) {
+        req.log.info({ event: 'correctionsSaveReplayed', readerPin: pin, assignmentId, idempotencyKey });
+      }
+
       if (!apiResponse.ok) {
+        if (apiData.conflict) {
+          req.log.warn({
+            event: 'correctionsConflict',
+            readerPin: pin,
+            assignmentId,
+            baseRevision,
+            currentRevision: apiData.draft?.revision
+          });
+        }
         return reply.code(apiResponse.status).send(apiData);
       }
 
+      rememberSave(pin, idempotencyKey, apiData);
       return reply.send(apiData);
 
     } catch (error) {
-      console.error('[ReadersController] saveReaderCorrections error:', error.message);
+      req.log.error({ err: error }, 'saveReaderCorrections error');
       return reply.code(500).send({
         success: false,
         error: 'Failed to save corrections'
@@ -73,7 +301,11 @@ export default {
   // ──────────────────────────────────────────────
   submitReaderCorrections: async (req, reply) => {
     const { pin } = req.user;
-    const { assignmentId } = req.body;
+    const { assignmentId } = req.body || {};
+
+    if (!assignmentId) {
+      return reply.code(400).send({ success: false, error: 'assignmentId is required' });
+    }
 
     try {
       const apiResponse = await ssotFetch(`/api/readers/corrections/submit`, {
@@ -94,7 +326,7 @@ export default {
       return reply.send(apiData);
 
     } catch (error) {
-      console.error('[ReadersController] submitReaderCorrections error:', error.message);
+      req.log.error({ err: error }, 'submitReaderCorrections error');
       return reply.code(500).send({
         success: false,
         error: 'Failed to submit corrections'
@@ -113,7 +345,7 @@ export default {
     const { assignmentId } = req.query;
 
     try {
-      const apiResponse = await ssotFetch(
+      const apiResponse = await ssotRead(
         `/api/readers/payment/processing?readerPin=${encodeURIComponent(pin)}&assignmentId=${encodeURIComponent(assignmentId)}`
       );
 
@@ -126,7 +358,7 @@ export default {
         });
       }
 
-      const { paymentData, timeline } = apiData;
+      const { paymentData, timeline } = validateSsotPayload('paymentProcessing', apiData);
 
       // Render EJS view with SSOT data
       return reply.view('paymentProcessing.ejs', {
@@ -143,16 +375,11 @@ export default {
         paymentApprovedAt: paymentData.paymentApprovedAt,
         paymentProcessedAt: paymentData.paymentProcessedAt,
         timeline,
-        bankName: 'Not loaded',
-        accountHolderName: 'Not loaded',
-        lastFourDigits: '****',
-        sortCode: 'N/A',
-        accountType: 'unknown',
-        paymentDetailsVerified: false
+        ...paymentMethodOf(paymentData)
       });
 
     } catch (error) {
-      console.error('[ReadersController] getReaderPaymentProcessing error:', error.message);
+      req.log.error({ err: error }, 'getReaderPaymentProcessing error');
       return reply.code(500).send({
         success: false,
         error: 'Failed to load payment processing'
@@ -164,13 +391,14 @@ export default {
   // 4. GET READER PAYMENT STATUS (AUTO-REFRESH)
   // ──────────────────────────────────────────────
   // Proxy: GET → SSOT /api/readers/payment/status/:assignmentId
+  //   (coalesced — the status poller in paymentProcessing.ejs repeats this)
   // ──────────────────────────────────────────────
   getReaderPaymentStatus: async (req, reply) => {
     const { pin } = req.user;
     const { assignmentId } = req.params;
 
     try {
-      const apiResponse = await ssotFetch(
+      const apiResponse = await ssotRead(
         `/api/readers/payment/status/${encodeURIComponent(assignmentId)}?readerPin=${encodeURIComponent(pin)}`
       );
 
@@ -183,7 +411,7 @@ export default {
       return reply.send(apiData);
 
     } catch (error) {
-      console.error('[ReadersController] getReaderPaymentStatus error:', error.message);
+      req.log.error({ err: error }, 'getReaderPaymentStatus error');
       return reply.code(500).send({
         success: false,
         error: 'Failed to retrieve payment status'
@@ -213,7 +441,7 @@ export default {
       return reply.send(apiData);
 
     } catch (error) {
-      console.error('[ReadersController] getReaderPaymentHistory error:', error.message);
+      req.log.error({ err: error }, 'getReaderPaymentHistory error');
       return reply.code(500).send({
         success: false,
         error: 'Failed to retrieve payment history'
@@ -225,32 +453,24 @@ export default {
   // 6. GET READER MANAGEMENT HUB
   // ──────────────────────────────────────────────
   // Proxy: GET → SSOT /api/readers/managementHub/bootstrap
+  //   + SSOT /api/readers/sessions (Active Sessions tab, optional)
+  //   + SSOT /api/readers/security (Sign-in Security tab, optional)
   // Renders readersManagementHub.ejs with SSOT data
   // ──────────────────────────────────────────────
   getReaderManagementHub: async (req, reply) => {
-    const { pin } = req.user;
+    const { tab, revoked, sessionsError, security, securityError } = req.query;
 
     try {
-      const apiResponse = await ssotFetch(
-        `/api/readers/managementHub/bootstrap?readerPin=${encodeURIComponent(pin)}`
-      );
-
-      const apiData = await apiResponse.json();
-
-      if (!apiResponse.ok || !apiData.success) {
-        console.error('[ReadersController] ManagementHub SSOT failed:', apiResponse.status);
-        return reply.redirect('https://readers.qolae.com/readersLogin');
-      }
-
-      return reply.view('readersManagementHub.ejs', {
-        reader: apiData.reader,
-        documents: apiData.documents,
-        reports: apiData.reports,
-        payments: apiData.payments
+      return await renderManagementHub(req, reply, {
+        tab,
+        revoked,
+        sessionsError,
+        securityStatus: security,
+        securityError
       });
 
     } catch (error) {
-      console.error('[ReadersController] getReaderManagementHub error:', error.message);
+      req.log.error({ err: error }, 'getReaderManagementHub error');
       return reply.redirect('https://readers.qolae.com/readersLogin');
     }
   },
@@ -259,13 +479,15 @@ export default {
   // 7. GET READER REVIEW MODAL DATA
   // ──────────────────────────────────────────────
   // Proxy: GET → SSOT /api/readers/payment/processing
-  //   (reuses same SSOT endpoint, extracts assignment data)
+  //   (reuses same SSOT endpoint, extracts assignment data;
+  //   coalesced with the payment modal/page reads via ssotRead)
   // Used by GET /readersDashboard when modal=review
+  // log: request.log of that page load, so errors carry its reqId
   // Returns: { type, assignment, reader } or null
   // ──────────────────────────────────────────────
-  getReaderReviewModalData: async (readerPin, assignmentId) => {
+  getReaderReviewModalData: async (readerPin, assignmentId, log) => {
     try {
-      const apiResponse = await ssotFetch(
+      const apiResponse = await ssotRead(
         `/api/readers/payment/processing?readerPin=${encodeURIComponent(readerPin)}&assignmentId=${encodeURIComponent(assignmentId)}`
       );
 
@@ -275,7 +497,7 @@ export default {
         return null;
       }
 
-      const { paymentData } = apiData;
+      const { paymentData } = validateSsotPayload('paymentProcessing', apiData);
 
       return {
         type: 'review',
@@ -293,7 +515,7 @@ export default {
       };
 
     } catch (error) {
-      console.error('[ReadersController] getReaderReviewModalData error:', error.message);
+      log.error({ err: error }, 'getReaderReviewModalData error');
       return null;
     }
   },
@@ -305,9 +527,9 @@ export default {
   // Used by GET /readersDashboard when modal=payment
   // Returns: { type, ...paymentFields } or null
   // ──────────────────────────────────────────────
-  getReaderPaymentModalData: async (readerPin, assignmentId) => {
+  getReaderPaymentModalData: async (readerPin, assignmentId, log) => {
     try {
-      const apiResponse = await ssotFetch(
+      const apiResponse = await ssotRead(
         `/api/readers/payment/processing?readerPin=${encodeURIComponent(readerPin)}&assignmentId=${encodeURIComponent(assignmentId)}`
       );
 
@@ -317,7 +539,7 @@ export default {
         return null;
       }
 
-      const { paymentData } = apiData;
+      const { paymentData, timeline } = validateSsotPayload('paymentProcessing', apiData);
 
       return {
         type: 'payment',
@@ -332,11 +554,13 @@ export default {
         assignedAt: paymentData.assignedAt,
         correctionsSubmittedAt: paymentData.correctionsSubmittedAt,
         paymentApprovedAt: paymentData.paymentApprovedAt,
-        paymentProcessedAt: paymentData.paymentProcessedAt
+        paymentProcessedAt: paymentData.paymentProcessedAt,
+        timeline,
+        ...paymentMethodOf(paymentData)
       };
 
     } catch (error) {
-      console.error('[ReadersController] getReaderPaymentModalData error:', error.message);
+      log.error({ err: error }, 'getReaderPaymentModalData error');
       return null;
     }
   },
@@ -363,10 +587,12 @@ export default {
       const apiData = await apiResponse.json();
 
       if (!apiResponse.ok || !apiData.success) {
-        console.error('[ReadersController] Calendar SSOT failed:', apiResponse.status);
+        req.log.error({ status: apiResponse.status }, 'Calendar SSOT failed');
         return reply.redirect('https://readers.qolae.com/readersLogin');
       }
 
+      validateSsotPayload('calendarResolved', apiData);
+
       return reply.view('readersCalendar.ejs', {
         calendar: apiData.calendar,
         reader: apiData.reader,
@@ -378,7 +604,7 @@ export default {
       });
 
     } catch (error) {
-      console.error('[ReadersController] getReaderCalendar error:', error.message);
+      req.log.error({ err: error }, 'getReaderCalendar error');
       return reply.redirect('https://readers.qolae.com/readersLogin');
     }
   },
@@ -410,7 +636,7 @@ export default {
       });
 
       if (!apiResponse.ok) {
-        console.error('[ReadersController] setPattern SSOT failed:', apiResponse.status);
+        req.log.error({ status: apiResponse.status }, 'setPattern SSOT failed');
       }
 
       const params = new URLSearchParams();
@@ -420,7 +646,7 @@ export default {
       const qs = params.toString();
 
       if (returnTo === 'dashboard') {
-        const dashParams = new URLSearchParams({ readerPin, showModal: 'calendar' });
+        const dashParams = new URLSearchParams({ showModal: 'calendar' });
         if (view) dashParams.append('view', view);
         if (month) dashParams.append('month', month);
         if (year) dashParams.append('year', year);
@@ -430,7 +656,7 @@ export default {
       return reply.redirect(`/calendar${qs ? '?' + qs : ''}`);
 
     } catch (error) {
-      console.error('[ReadersController] setReaderCalendarPattern error:', error.message);
+      req.log.error({ err: error }, 'setReaderCalendarPattern error');
       return reply.redirect('/calendar');
     }
   },
@@ -459,7 +685,7 @@ export default {
       });
 
       if (!apiResponse.ok) {
-        console.error('[ReadersController] addOverride SSOT failed:', apiResponse.status);
+        req.log.error({ status: apiResponse.status }, 'addOverride SSOT failed');
       }
 
       const params = new URLSearchParams();
@@ -469,7 +695,7 @@ export default {
       const qs = params.toString();
 
       if (returnTo === 'dashboard') {
-        const dashParams = new URLSearchParams({ readerPin, showModal: 'calendar' });
+        const dashParams = new URLSearchParams({ showModal: 'calendar' });
         if (view) dashParams.append('view', view);
         if (month) dashParams.append('month', month);
         if (year) dashParams.append('year', year);
@@ -479,7 +705,7 @@ export default {
       return reply.redirect(`/calendar${qs ? '?' + qs : ''}`);
 
     } catch (error) {
-      console.error('[ReadersController] addReaderCalendarOverride error:', error.message);
+      req.log.error({ err: error }, 'addReaderCalendarOverride error');
       return reply.redirect('/calendar');
     }
   },
@@ -505,7 +731,7 @@ export default {
       });
 
       if (!apiResponse.ok) {
-        console.error('[ReadersController] removeOverride SSOT failed:', apiResponse.status);
+        req.log.error({ status: apiResponse.status }, 'removeOverride SSOT failed');
       }
 
       const params = new URLSearchParams();
@@ -515,7 +741,7 @@ export default {
       const qs = params.toString();
 
       if (returnTo === 'dashboard') {
-        const dashParams = new URLSearchParams({ readerPin, showModal: 'calendar' });
+        const dashParams = new URLSearchParams({ showModal: 'calendar' });
         if (view) dashParams.append('view', view);
         if (month) dashParams.append('month', month);
         if (year) dashParams.append('year', year);
@@ -525,7 +751,7 @@ export default {
       return reply.redirect(`/calendar${qs ? '?' + qs : ''}`);
 
     } catch (error) {
-      console.error('[ReadersController] removeReaderCalendarOverride error:', error.message);
+      req.log.error({ err: error }, 'removeReaderCalendarOverride error');
       return reply.redirect('/calendar');
     }
   },
@@ -539,7 +765,7 @@ export default {
   //   data object for EJS include (NOT req/reply).
   // Matches getReaderReviewModalData pattern.
   // ──────────────────────────────────────────────
-  getReaderCalendarModalData: async (readerPin, query) => {
+  getReaderCalendarModalData: async (readerPin, query, log) => {
     const { month, year, view, tab } = query;
 
     try {
@@ -554,10 +780,12 @@ export default {
       const apiData = await apiResponse.json();
 
       if (!apiResponse.ok || !apiData.success) {
-        console.error('[ReadersController] Calendar modal SSOT failed:', apiResponse.status);
+        log.error({ status: apiResponse.status }, 'Calendar modal SSOT failed');
         return null;
       }
 
+      validateSsotPayload('calendarResolved', apiData);
+
       return {
         type: 'calendar',
         calendar: apiData.calendar,
@@ -569,9 +797,494 @@ export default {
       };
 
     } catch (error) {
-      console.error('[ReadersController] getReaderCalendarModalData error:', error.message);
+      log.error({ err: error }, 'getReaderCalendarModalData error');
       return null;
     }
+  },
+
+  // ──────────────────────────────────────────────
+  // 14. REVOKE READER SESSION (ONE DEVICE)
+  // ──────────────────────────────────────────────
+  // Proxy: POST → SSOT /api/readers/sessions/revoke { sessionId }
+  // Signing out the current session is a logout
+  // Redirects back to the hub's Active Sessions tab
+  // ──────────────────────────────────────────────
+  revokeReaderSession: async (req, reply) => {
+    const { readerPin } = req.user;
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return reply.redirect('/readersManagementHub?tab=sessions&sessionsError=true');
+    }
+    if (sessionId === req.sessionInfo?.sessionId) {
+      return reply.redirect('/logout');
+    }
+
+    try {
+      const revoked = await revokeSessions(readerPin, { sessionId }, req.log);
+      if (revoked === null) {
+        return reply.redirect('/readersManagementHub?tab=sessions&sessionsError=true');
+      }
+      req.log.info({ event: 'readerSessionRevoked', readerPin, sessionId });
+      return reply.redirect(`/readersManagementHub?tab=sessions&revoked=${revoked}`);
+
+    } catch (error) {
+      req.log.error({ err: error }, 'revokeReaderSession error');
+      return reply.redirect('/readersManagementHub?tab=sessions&sessionsError=true');
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 15. REVOKE OTHER READER SESSIONS
+  // ──────────────────────────────────────────────
+  // Proxy: POST → SSOT /api/readers/sessions/revoke { exceptSessionId }
+  // "Sign out other devices" — keeps the session making this request
+  // ──────────────────────────────────────────────
+  revokeOtherReaderSessions: async (req, reply) => {
+    const { readerPin } = req.user;
+    const currentSessionId = req.sessionInfo?.sessionId;
+
+    // Without a sessionId we cannot tell which session to keep
+    if (!currentSessionId) {
+      return reply.redirect('/readersManagementHub?tab=sessions&sessionsError=true');
+    }
+
+    try {
+      const revoked = await revokeSessions(readerPin, { exceptSessionId: currentSessionId }, req.log);
+      if (revoked === null) {
+        return reply.redirect('/readersManagementHub?tab=sessions&sessionsError=true');
+      }
+      req.log.info({ event: 'readerOtherSessionsRevoked', readerPin, revoked });
+      return reply.redirect(`/readersManagementHub?tab=sessions&revoked=${revoked}`);
+
+    } catch (error) {
+      req.log.error({ err: error }, 'revokeOtherReaderSessions error');
+      return reply.redirect('/readersManagementHub?tab=sessions&sessionsError=true');
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 16. START TOTP ENROLMENT
+  // ──────────────────────────────────────────────
+  // Proxy: POST → SSOT /api/readers/totp/enrol
+  // SSOT holds a pending secret; the Sign-in Security tab shows it as a QR code
+  // ──────────────────────────────────────────────
+  startTotpEnrolment: async (req, reply) => {
+    const { readerPin } = req.user;
+
+    try {
+      const { apiResponse } = await postTotp('enrol', { readerPin });
+      if (!apiResponse.ok) {
+        req.log.error({ status: apiResponse.status }, 'TOTP enrol SSOT failed');
+        return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+      }
+      req.log.info({ event: 'readerTotpEnrolmentStarted', readerPin });
+      return reply.redirect('/readersManagementHub?tab=security');
+
+    } catch (error) {
+      req.log.error({ err: error }, 'startTotpEnrolment error');
+      return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 17. CONFIRM TOTP ENROLMENT
+  // ──────────────────────────────────────────────
+  // Proxy: POST → SSOT /api/readers/totp/activate { code }
+  // Recovery codes are shown exactly once — rendered directly (never
+  //   put in a redirect URL) with no-store
+  // ──────────────────────────────────────────────
+  confirmTotpEnrolment: async (req, reply) => {
+    const { readerPin } = req.user;
+    const { code } = req.body;
+
+    if (!code) {
+      return reply.redirect('/readersManagementHub?tab=security&securityError=invalidCode');
+    }
+
+    try {
+      const { apiResponse, apiData } = await postTotp('activate', { readerPin, code });
+      if (apiResponse.status === 400) {
+        return reply.redirect('/readersManagementHub?tab=security&securityError=invalidCode');
+      }
+      if (!apiResponse.ok || !apiData.success) {
+        req.log.error({ status: apiResponse.status }, 'TOTP activate SSOT failed');
+        return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+      }
+
+      req.log.info({ event: 'readerTotpEnabled', readerPin, gdprCategory: 'authentication' });
+      reply.header('Cache-Control', 'no-store');
+      return await renderManagementHub(req, reply, {
+        tab: 'security',
+        securityStatus: 'enabled',
+        recoveryCodes: apiData.recoveryCodes || []
+      });
+
+    } catch (error) {
+      req.log.error({ err: error }, 'confirmTotpEnrolment error');
+      return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 18. DISABLE TOTP
+  // ──────────────────────────────────────────────
+  // Proxy: POST → SSOT /api/readers/totp/disable { code }
+  // A current authenticator (or recovery) code is required — a borrowed
+  //   session alone cannot remove the second factor
+  // ──────────────────────────────────────────────
+  disableTotp: async (req, reply) => {
+    const { readerPin } = req.user;
+    const { code } = req.body;
+
+    if (!code) {
+      return reply.redirect('/readersManagementHub?tab=security&securityError=invalidCode');
+    }
+
+    try {
+      const { apiResponse } = await postTotp('disable', { readerPin, code });
+      if (apiResponse.status === 400) {
+        return reply.redirect('/readersManagementHub?tab=security&securityError=invalidCode');
+      }
+      if (!apiResponse.ok) {
+        req.log.error({ status: apiResponse.status }, 'TOTP disable SSOT failed');
+        return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+      }
+
+      req.log.info({ event: 'readerTotpDisabled', readerPin, gdprCategory: 'authentication' });
+      return reply.redirect('/readersManagementHub?tab=security&security=disabled');
+
+    } catch (error) {
+      req.log.error({ err: error }, 'disableTotp error');
+      return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 19. GET PASSKEY REGISTRATION OPTIONS
+  // ──────────────────────────────────────────────
+  // JSON for navigator.credentials.create() on the Sign-in Security tab
+  // Discoverable credential with user verification — the Login Portal
+  //   signs in with it without asking for the PIN
+  // Passkeys already registered are excluded so a device isn't added twice
+  // ──────────────────────────────────────────────
+  getPasskeyRegistrationOptions: async (req, reply) => {
+    const { readerPin, readerEmail, readerName } = req.user;
+
+    try {
+      const security = await fetchReaderSecurity(readerPin, req.log);
+      if (!security) {
+        return reply.code(503).send({ success: false, error: 'Sign-in security settings could not be loaded right now.' });
+      }
+
+      const options = await generateRegistrationOptions({
+        rpName: WEBAUTHN_RP_NAME,
+        rpID: WEBAUTHN_RP_ID,
+        userID: new TextEncoder().encode(readerPin),
+        userName: readerEmail || readerPin,
+        userDisplayName: readerName || readerPin,
+        attestationType: 'none',
+        excludeCredentials: security.passkeys.map(({ credentialId, transports }) => ({ id: credentialId, transports })),
+        authenticatorSelection: { residentKey: 'required', userVerification: 'required' }
+      });
+
+      PASSKEY_CHALLENGES.set(passkeyChallengeKey(req), options.challenge);
+      reply.header('Cache-Control', 'no-store');
+      return reply.send(options);
+
+    } catch (error) {
+      req.log.error({ err: error }, 'getPasskeyRegistrationOptions error');
+      return reply.code(500).send({ success: false, error: 'Passkey setup is unavailable right now.' });
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 20. REGISTER PASSKEY
+  // ──────────────────────────────────────────────
+  // Verify the attestation against the challenge from 19., then
+  // Proxy: POST → SSOT /api/readers/passkeys (credential id + COSE public key)
+  // ──────────────────────────────────────────────
+  registerPasskey: async (req, reply) => {
+    const { readerPin } = req.user;
+    const { credential, label } = req.body || {};
+
+    const challengeKey = passkeyChallengeKey(req);
+    const expectedChallenge = PASSKEY_CHALLENGES.get(challengeKey);
+    PASSKEY_CHALLENGES.delete(challengeKey);
+
+    if (!expectedChallenge || !credential?.response) {
+      return reply.code(400).send({ success: false, error: 'Passkey setup expired. Please try again.' });
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: credential,
+        expectedChallenge,
+        expectedOrigin: WEBAUTHN_ORIGIN,
+        expectedRPID: WEBAUTHN_RP_ID,
+        requireUserVerification: true
+      });
+    } catch (error) {
+      verification = { verified: false, reason: error.message };
+    }
+
+    if (!verification.verified) {
+      req.log.warn({ event: 'readerPasskeyRejected', readerPin, reason: verification.reason, gdprCategory: 'authentication' });
+      return reply.code(400).send({ success: false, error: 'This passkey could not be verified. Please try again.' });
+    }
+
+    try {
+      const { credential: registered } = verification.registrationInfo;
+      const apiResponse = await ssotFetch('/api/readers/passkeys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          readerPin,
+          credentialId: registered.id,
+          publicKey: Buffer.from(registered.publicKey).toString('base64url'),
+          counter: registered.counter,
+          transports: registered.transports || credential.response.transports || [],
+          label: String(label || '').trim() || 'Passkey'
+        })
+      });
+
+      if (apiResponse.status === 409) {
+        return reply.code(409).send({ success: false, error: 'This passkey is already registered.' });
+      }
+      if (!apiResponse.ok) {
+        req.log.error({ status: apiResponse.status }, 'Passkey register SSOT failed');
+        return reply.code(502).send({ success: false, error: 'Your passkey could not be saved. Please try again.' });
+      }
+
+      req.log.info({ event: 'readerPasskeyRegistered', readerPin, credentialId: registered.id, gdprCategory: 'authentication' });
+      return reply.send({ success: true, redirect: '/readersManagementHub?tab=security&security=passkeyAdded' });
+
+    } catch (error) {
+      req.log.error({ err: error }, 'registerPasskey error');
+      return reply.code(502).send({ success: false, error: 'Your passkey could not be saved. Please try again.' });
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 21. REMOVE PASSKEY
+  // ──────────────────────────────────────────────
+  // Proxy: POST → SSOT /api/readers/passkeys/remove { credentialId }
+  // The device keeps its copy; the SSOT no longer accepts it
+  // ──────────────────────────────────────────────
+  removePasskey: async (req, reply) => {
+    const { readerPin } = req.user;
+    const { credentialId } = req.body;
+
+    if (!credentialId) {
+      return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+    }
+
+    try {
+      const apiResponse = await ssotFetch('/api/readers/passkeys/remove', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ readerPin, credentialId })
+      });
+      if (!apiResponse.ok) {
+        req.log.error({ status: apiResponse.status }, 'Passkey remove SSOT failed');
+        return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+      }
+
+      req.log.info({ event: 'readerPasskeyRemoved', readerPin, credentialId, gdprCategory: 'authentication' });
+      return reply.redirect('/readersManagementHub?tab=security&security=passkeyRemoved');
+
+    } catch (error) {
+      req.log.error({ err: error }, 'removePasskey error');
+      return reply.redirect('/readersManagementHub?tab=security&securityError=unavailable');
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 22. GET READER CORRECTIONS DRAFT
+  // ──────────────────────────────────────────────
+  // Proxy: GET → SSOT /api/readers/corrections/draft
+  // Not coalesced — the review page reads this to pick up its baseRevision,
+  //   and a draft memoised from before a save would be stale on arrival
+  // Returns: { success, draft: { revision, corrections, savedAt }, submitted }
+  // ──────────────────────────────────────────────
+  getReaderCorrectionsDraft: async (req, reply) => {
+    const { pin } = req.user;
+    const { assignmentId } = req.query;
+
+    if (!assignmentId) {
+      return reply.code(400).send({ success: false, error: 'assignmentId is required' });
+    }
+
+    try {
+      const apiResponse = await ssotFetch(
+        `/api/readers/corrections/draft?readerPin=${encodeURIComponent(pin)}&assignmentId=${encodeURIComponent(assignmentId)}`
+      );
+
+      const apiData = await apiResponse.json();
+
+      if (!apiResponse.ok) {
+        return reply.code(apiResponse.status).send(apiData);
+      }
+
+      const { draft, submitted } = validateSsotPayload('correctionsDraft', apiData);
+      return reply.header('Cache-Control', 'no-store').send({ success: true, draft, submitted });
+
+    } catch (error) {
+      req.log.error({ err: error }, 'getReaderCorrectionsDraft error');
+      return reply.code(500).send({
+        success: false,
+        error: 'Failed to load your draft'
+      });
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 23. GET READER CORRECTIONS DIFF (TRACK CHANGES)
+  // ──────────────────────────────────────────────
+  // Proxy: GET → SSOT /api/readers/corrections/draft + /api/readers/report/redacted, diffed here
+  // Baseline is the SSOT's redacted report text per anchor — the originalText
+  //   the browser saved is never trusted; corrections on anchors the report
+  //   does not have are left out. Diffs the SAVED draft: the page saves first
+  //   and checks `revision` against its own before showing the result
+  // Returns: { success, revision, savedAt, changes: [{ anchor, category, note,
+  //   segments: [{ type: 'equal'|'delete'|'insert', text }], wordsInserted, wordsDeleted }],
+  //   totals: { corrections, wordsInserted, wordsDeleted, notes } }
+  // ──────────────────────────────────────────────
+  getReaderCorrectionsDiff: async (req, reply) => {
+    const { pin } = req.user;
+    const { assignmentId } = req.query;
+
+    if (!assignmentId) {
+      return reply.code(400).send({ success: false, error: 'assignmentId is required' });
+    }
+
+    try {
+      const query = `readerPin=${encodeURIComponent(pin)}&assignmentId=${encodeURIComponent(assignmentId)}`;
+      const [draftResponse, reportResponse] = await Promise.all([
+        ssotFetch(`/api/readers/corrections/draft?${query}`),
+        ssotFetch(`/api/readers/report/redacted?${query}`)
+      ]);
+
+      const draftData = await draftResponse.json();
+      if (!draftResponse.ok) {
+        return reply.code(draftResponse.status).send(draftData);
+      }
+      const reportData = await reportResponse.json();
+      if (!reportResponse.ok) {
+        return reply.code(reportResponse.status).send(reportData);
+      }
+
+      const { draft } = validateSsotPayload('correctionsDraft', draftData);
+      const { blocks } = validateSsotPayload('redactedReport', reportData);
+      const reportText = new Map(blocks.map(block => [block.anchor, block.text]));
+
+      const unknownAnchors = draft.corrections.filter(correction => !reportText.has(correction.anchor));
+      const staleOriginals = draft.corrections.filter(correction =>
+        reportText.has(correction.anchor) && correction.originalText !== reportText.get(correction.anchor)
+      );
+      if (unknownAnchors.length || staleOriginals.length) {
+        req.log.warn({
+          event: 'correctionsDiffBaselineMismatch',
+          readerPin: pin,
+          assignmentId,
+          unknownAnchors: unknownAnchors.map(correction => correction.anchor),
+          staleOriginals: staleOriginals.map(correction => correction.anchor)
+        });
+      }
+
+      const changes = draft.corrections
+        .filter(correction => reportText.has(correction.anchor))
+        .map(correction => {
+          const segments = diffWords(reportText.get(correction.anchor), correction.proposedText || '');
+          const wordsIn = type => segments
+            .filter(segment => segment.type === type)
+            .reduce((total, segment) => total + countWords(segment.text), 0);
+          return {
+            anchor: correction.anchor,
+            category: correction.category,
+            note: correction.note || '',
+            segments,
+            wordsInserted: wordsIn('insert'),
+            wordsDeleted: wordsIn('delete')
+          };
+        });
+
+      return reply.header('Cache-Control', 'no-store').send({
+        success: true,
+        revision: draft.revision,
+        savedAt: draft.savedAt,
+        changes,
+        totals: {
+          corrections: changes.length,
+          wordsInserted: changes.reduce((total, change) => total + change.wordsInserted, 0),
+          wordsDeleted: changes.reduce((total, change) => total + change.wordsDeleted, 0),
+          notes: changes.filter(change => change.note.trim()).length
+        }
+      });
+
+    } catch (error) {
+      req.log.error({ err: error }, 'getReaderCorrectionsDiff error');
+      if (error instanceof SsotContractError) {
+        return reply.code(502).send({ success: false, error: 'Tracked changes are temporarily unavailable' });
+      }
+      return reply.code(500).send({
+        success: false,
+        error: 'Failed to compare your corrections'
+      });
+    }
+  },
+
+  // ──────────────────────────────────────────────
+  // 24. GET READER CORRECTIONS PDF
+  // ──────────────────────────────────────────────
+  // Proxy: GET → SSOT /api/readers/corrections/draft, rendered here (pdf-lib)
+  // Submitted corrections only — a draft can still change, so 409 before submit
+  // Only whitelisted fields reach buildCorrectionsPdf (no internal case details)
+  // ──────────────────────────────────────────────
+  getReaderCorrectionsPdf: async (req, reply) => {
+    const { pin, readerName } = req.user;
+    const assignmentId = req.params.id;
+
+    try {
+      const apiResponse = await ssotFetch(
+        `/api/readers/corrections/draft?readerPin=${encodeURIComponent(pin)}&assignmentId=${encodeURIComponent(assignmentId)}`
+      );
+
+      const apiData = await apiResponse.json();
+
+      if (!apiResponse.ok) {
+        return reply.code(apiResponse.status).send(apiData);
+      }
+
+      const { draft, submitted, submittedAt, assignmentNumber } = validateSsotPayload('correctionsDraft', apiData);
+
+      if (!submitted) {
+        return reply.code(409).send({ success: false, error: 'Corrections have not been submitted yet' });
+      }
+
+      const pdfBytes = await buildCorrectionsPdf({
+        assignmentNumber: assignmentNumber ?? assignmentId,
+        submittedAt,
+        readerName,
+        corrections: draft.corrections
+      });
+
+      req.log.info({ event: 'correctionsPdfExported', readerPin: pin, assignmentId, corrections: draft.corrections.length });
+
+      return reply
+        .header('Content-Type', 'application/pdf')
+        .header('Content-Disposition', `attachment; filename="corrections-assignment-${assignmentNumber ?? 'record'}.pdf"`)
+        .header('Cache-Control', 'no-store')
+        .send(Buffer.from(pdfBytes));
+
+    } catch (error) {
+      req.log.error({ err: error }, 'getReaderCorrectionsPdf error');
+      return reply.code(500).send({
+        success: false,
+        error: 'Failed to create the corrections PDF'
+      });
+    }
   }
 
 };
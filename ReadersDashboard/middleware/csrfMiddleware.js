@@ -0,0 +1,69 @@
+// ==============================================
+// csrfMiddleware.js - CSRF Protection for Mutating Routes
+// ==============================================
+// Purpose: Reject cross-site form posts that ride on the session cookie
+// Pattern: Signed token (HS256 JWT) bound to the reader's PIN with a short
+//   expiry — stateless, so it survives restarts and needs no SSOT call
+// Issue: every authenticated request gets reply.locals.csrfToken, which
+//   @fastify/view merges into every view (partials inherit it via include)
+// Verify: POST/PUT/PATCH/DELETE must send it as the `_csrf` form field
+//   or the X-CSRF-Token header (fetch/JSON callers)
+// Runs after sessionMiddleware (needs request.user)
+// ==============================================
+
+export const CSRF_FIELD = '_csrf';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const CSRF_TOKEN_TTL = '2h';
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * issueCsrfToken — sign a CSRF token for the authenticated reader
+ * @param {FastifyRequest} request — request.user set by sessionMiddleware
+ * @returns {string} — JWT carrying { csrf: true, readerPin }
+ */
+export function issueCsrfToken(request) {
+  return request.server.jwt.sign(
+    { csrf: true, readerPin: request.user.readerPin },
+    { expiresIn: CSRF_TOKEN_TTL }
+  );
+}
+
+function readSubmittedToken(request) {
+  const fromBody = request.body && typeof request.body === 'object' ? request.body[CSRF_FIELD] : null;
+  return fromBody || request.headers[CSRF_HEADER] || null;
+}
+
+function isValidToken(request, token) {
+  try {
+    const payload = request.server.jwt.verify(token);
+    return payload.csrf === true && payload.readerPin === request.user.readerPin;
+  } catch (err) {
+    return false; // bad signature or expired
+  }
+}
+
+async function csrfMiddleware(request, reply) {
+  // Public routes never reach here with a user (sessionMiddleware skipped them)
+  if (!request.user?.readerPin) {
+    return;
+  }
+
+  if (!MUTATING_METHODS.includes(request.method)) {
+    reply.locals = { ...reply.locals, csrfToken: issueCsrfToken(request) };
+    return;
+  }
+
+  const token = readSubmittedToken(request);
+  if (!token || !isValidToken(request, token)) {
+    request.log.warn({
+      event: 'csrfRejected',
+      readerPin: request.user.readerPin,
+      url: request.url.split('?')[0],
+      reason: token ? 'invalid' : 'missing'
+    });
+    return reply.code(403).send({ success: false, error: 'Invalid or missing CSRF token' });
+  }
+}
+
+export default csrfMiddleware;
@@ -0,0 +1,155 @@
+// ==============================================
+// degradedModeGuard.js - Read-only Workspace While the SSOT is Down
+// ==============================================
+// Purpose: When sessionMiddleware reports serviceState 'ssotDown'
+//   (request.degradedMode), no write may reach — or pretend to reach — the SSOT
+// Replay-safe writes: draft corrections are queued per reader + assignment
+//   (latest queued save wins) and replayed on the reader's first request
+//   once the SSOT is reachable again — still against the revision the page
+//   started from, so a draft changed elsewhere meanwhile is a 409, not an overwrite
+// Everything else (submit, calendar, NDA signing, ...) is blocked:
+//   JSON callers → 503 { degraded: true }
+//   HTML forms   → back to the dashboard with the read-only banner
+// A replayed save's reply is remembered by its Idempotency-Key: the page
+//   keeps a 202'd save in its outbox and sends it again (utils/idempotentSaves.js)
+// Runs after csrfMiddleware, so queued writes were CSRF-checked
+// ==============================================
+
+import ssotFetch from '../utils/ssotFetch.js';
+import { createLruCache } from '../utils/lruCache.js';
+import { validateCorrectionsRequest, invalidCorrectionsResponse } from '../utils/correctionsModel.js';
+import { rememberSave } from '../utils/idempotentSaves.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const BLOCKED_FORM_REDIRECT = '/readersDashboard?readOnly=blocked';
+const READ_ONLY_ERROR = 'QOLAE is temporarily read-only. Your change was not saved — please try again shortly.';
+
+// route → how to turn the request into an SSOT call that can be replayed later
+// Returns { rejected } instead when the controller would answer 400 — an
+//   invalid write is refused now, never queued
+const REPLAYABLE_WRITES = {
+  '/api/readers/saveCorrections': (request) => {
+    const checked = validateCorrectionsRequest(request.body, request.headers);
+    if (!checked.valid) {
+      return { rejected: invalidCorrectionsResponse(checked.errors) };
+    }
+    return {
+      queueKey: `${request.user.readerPin}:${checked.assignmentId}`,
+      endpoint: '/api/readers/corrections/save',
+      idempotencyKey: checked.idempotencyKey,
+      body: {
+        readerPin: request.user.pin,
+        assignmentId: checked.assignmentId,
+        baseRevision: checked.baseRevision,
+        corrections: checked.corrections
+      }
+    };
+  }
+};
+
+// Pending replays — bounded, and dropped after a day rather than replaying very old drafts
+const REPLAY_QUEUE = createLruCache({ maxEntries: 1000, ttlMs: 24 * 60 * 60 * 1000 });
+
+function wantsJson(request) {
+  const contentType = request.headers['content-type'] || '';
+  const accept = request.headers.accept || '';
+  return contentType.includes('application/json') || accept.includes('application/json');
+}
+
+/**
+ * replayQueuedWrites — send a reader's queued writes to the SSOT
+ * Kept in the queue only if the SSOT is still unreachable; a 4xx
+ *   (e.g. 409 already submitted, or a stale revision) is final and the
+ *   draft is dropped — the reader's page still holds it and merges on its next save
+ */
+export async function replayQueuedWrites(request) {
+  const { readerPin } = request.user;
+  const pending = [];
+  REPLAY_QUEUE.deleteWhere(entry => {
+    if (entry.readerPin === readerPin) {
+      pending.push(entry);
+      return true;
+    }
+    return false;
+  });
+
+  for (const entry of pending) {
+    try {
+      const apiResponse = await ssotFetch(entry.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(entry.idempotencyKey && { 'Idempotency-Key': entry.idempotencyKey })
+        },
+        body: JSON.stringify(entry.body)
+      });
+      if (apiResponse.status >= 500) {
+        REPLAY_QUEUE.set(entry.queueKey, entry);
+        continue;
+      }
+      if (apiResponse.ok) {
+        rememberSave(readerPin, entry.idempotencyKey, await apiResponse.json());
+      }
+      request.log.info({
+        event: 'degradedWriteReplayed',
+        readerPin,
+        endpoint: entry.endpoint,
+        status: apiResponse.status,
+        queuedAt: entry.queuedAt
+      });
+    } catch (err) {
+      REPLAY_QUEUE.set(entry.queueKey, entry);
+    }
+  }
+}
+
+export function getReplayQueueMetrics() {
+  return REPLAY_QUEUE.metrics();
+}
+
+async function degradedModeGuard(request, reply) {
+  if (!request.user?.readerPin) {
+    return;
+  }
+
+  // SSOT reachable again — replay first, so a newer write in this request lands after the queued one
+  if (!request.degradedMode) {
+    await replayQueuedWrites(request);
+    return;
+  }
+
+  if (!MUTATING_METHODS.includes(request.method)) {
+    return;
+  }
+
+  const urlPath = request.url.split('?')[0];
+  const replayable = REPLAYABLE_WRITES[urlPath];
+
+  if (replayable) {
+    const write = replayable(request);
+    if (write.rejected) {
+      return reply.code(400).send(write.rejected);
+    }
+    const entry = {
+      ...write,
+      readerPin: request.user.readerPin,
+      queuedAt: new Date().toISOString()
+    };
+    REPLAY_QUEUE.set(entry.queueKey, entry);
+    request.log.warn({ event: 'degradedWriteQueued', readerPin: entry.readerPin, url: urlPath });
+    return reply.code(202).send({
+      success: true,
+      queued: true,
+      message: 'Draft saved — it will be sent to QOLAE as soon as the service is back.'
+    });
+  }
+
+  request.log.warn({ event: 'degradedWriteBlocked', readerPin: request.user.readerPin, url: urlPath });
+
+  if (wantsJson(request)) {
+    return reply.code(503).send({ success: false, degraded: true, error: READ_ONLY_ERROR });
+  }
+  return reply.code(303).redirect(BLOCKED_FORM_REDIRECT);
+}
+
+export default degradedModeGuard;
@@ -0,0 +1,61 @@
+// ==============================================
+// readerPinGuard.js - Bind readerPin to the Session Identity
+// ==============================================
+// Purpose: Central authorization check — a readerPin supplied in the path,
+//   query string or body must be the PIN of the authenticated session
+// Mismatch: GET/HEAD → back to login (another reader's link on this browser)
+//           anything else → 403 JSON
+// Matching PIN in a GET query (old email/bookmark links) → redirect to the
+//   same URL without it, so the PIN stays out of history and Referer headers
+// Runs after sessionMiddleware (needs request.user)
+// ==============================================
+
+const LOGIN_REDIRECT = '/readersLogin';
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+function claimedPins(request) {
+  const body = request.body && typeof request.body === 'object' ? request.body : {};
+  return [
+    ['path', request.params?.readerPin],
+    ['query', request.query?.readerPin],
+    ['body', body.readerPin]
+  ].filter(([, pin]) => pin !== undefined && pin !== null && pin !== '');
+}
+
+function urlWithoutPin(url) {
+  const [pathname, search = ''] = url.split('?');
+  const params = new URLSearchParams(search);
+  params.delete('readerPin');
+  const qs = params.toString();
+  return qs ? `${pathname}?${qs}` : pathname;
+}
+
+async function readerPinGuard(request, reply) {
+  const sessionPin = request.user?.readerPin;
+  if (!sessionPin) {
+    return;
+  }
+
+  const claims = claimedPins(request);
+  const mismatch = claims.find(([, pin]) => pin !== sessionPin);
+
+  if (mismatch) {
+    request.log.warn({
+      event: 'readerPinMismatch',
+      sessionPin,
+      claimedPin: String(mismatch[1]),
+      source: mismatch[0],
+      url: request.url.split('?')[0]
+    });
+    if (SAFE_METHODS.includes(request.method)) {
+      return reply.redirect(LOGIN_REDIRECT);
+    }
+    return reply.code(403).send({ success: false, error: 'Reader PIN does not match your session' });
+  }
+
+  if (SAFE_METHODS.includes(request.method) && claims.some(([source]) => source === 'query')) {
+    return reply.redirect(urlWithoutPin(request.url));
+  }
+}
+
+export default readerPinGuard;
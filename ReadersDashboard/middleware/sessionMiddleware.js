@@ -7,29 +7,296 @@
 // ==============================================
 
 import ssotFetch from '../utils/ssotFetch.js';
+import { createLruCache } from '../utils/lruCache.js';
 import crypto from 'crypto';
 
 const COOKIE_NAME = 'qolaeReaderToken';
 const LOGIN_REDIRECT = '/readersLogin';
+const STEP_UP_REDIRECT = '/readers2fa?stepUp=newDevice';
 
-const SESSION_CACHE = new Map();
+// Session validation cache — bounded LRU keyed by SHA-256 of the JWT,
+//   so raw tokens never sit in memory longer than the request
 const SESSION_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const SESSION_CACHE_MAX_ENTRIES = Number(process.env.SESSION_CACHE_MAX_ENTRIES) || 5000;
+// Past the TTL an entry is revalidated; it is only reused while the SSOT is unreachable
+const SESSION_CACHE_STALE_TTL = 30 * 60 * 1000; // 30 minutes
+const SESSION_CACHE = createLruCache({
+  maxEntries: SESSION_CACHE_MAX_ENTRIES,
+  ttlMs: SESSION_CACHE_TTL,
+  staleTtlMs: SESSION_CACHE_STALE_TTL
+});
 
-export const BOOTSTRAP_CACHE = new Map();
+// Session lifetime policy — on top of the SSOT's own token expiry
+// Idle: no reader activity for SESSION_IDLE_TIMEOUT_MINUTES (default 30)
+// Absolute: SESSION_ABSOLUTE_TIMEOUT_HOURS (default 12) after login,
+//   however active — /api/readers/session/extend keeps createdAt, so it cannot reset this
+export const SESSION_IDLE_TIMEOUT_MS = (Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+export const SESSION_ABSOLUTE_TIMEOUT_MS = (Number(process.env.SESSION_ABSOLUTE_TIMEOUT_HOURS) || 12) * 60 * 60 * 1000;
+// Polled by the countdown modal — must not count as reader activity
+const PASSIVE_ROUTES = ['/api/readers/session/status'];
+// Last activity per SSOT sessionId (survives token swaps by /api/readers/session/extend)
+// Per process: after a restart the idle clock starts again from the next request
+const SESSION_ACTIVITY = createLruCache({
+  maxEntries: SESSION_CACHE_MAX_ENTRIES,
+  ttlMs: SESSION_ABSOLUTE_TIMEOUT_MS
+});
+
+// Workspace bootstrap per reader — fresh for 10 minutes (dashboard loads
+//   skip getStoredToken + bootstrap), then kept for a day as the last
+//   known snapshot the dashboard renders read-only while the SSOT is down
+// Invalidated by our own writes (see invalidateBootstrap) and by the SSOT
+//   through POST /internal/bootstrap/purge
 export const BOOTSTRAP_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const BOOTSTRAP_CACHE_STALE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+export const BOOTSTRAP_CACHE = createLruCache({
+  maxEntries: Number(process.env.BOOTSTRAP_CACHE_MAX_ENTRIES) || 1000,
+  ttlMs: BOOTSTRAP_CACHE_TTL,
+  staleTtlMs: BOOTSTRAP_CACHE_STALE_TTL
+});
+
+/**
+ * invalidateBootstrap — next dashboard load refetches from the SSOT
+ * Expires rather than deletes: the snapshot stays available for degraded mode
+ * @param {string} [readerPin] — omit to invalidate every reader
+ * @returns {number} entries invalidated
+ */
+export function invalidateBootstrap(readerPin) {
+  if (!readerPin) {
+    return BOOTSTRAP_CACHE.expireAll();
+  }
+  return BOOTSTRAP_CACHE.expire(readerPin) ? 1 : 0;
+}
+
+// ==============================================
+// SERVICE STATE
+// ==============================================
+// live     — session validated by the SSOT on this request
+// cached   — session validated by the SSOT within the last 5 minutes
+// ssotDown — SSOT unreachable; stale session accepted, workspace is read-only
+//            (request.degradedMode === true only in this state)
+export const SERVICE_STATES = Object.freeze({
+  LIVE: 'live',
+  CACHED: 'cached',
+  SSOT_DOWN: 'ssotDown'
+});
+
+function setServiceState(request, reply, state) {
+  request.serviceState = state;
+  request.degradedMode = state === SERVICE_STATES.SSOT_DOWN;
+  reply.locals = { ...reply.locals, serviceState: state, degradedMode: request.degradedMode };
+  reply.header('X-Service-State', state);
+}
+
+// Session lifetime as last reported by the SSOT, plus the local idle and
+//   absolute deadlines — read by /api/readers/session/status
+function setSessionInfo(request, data, lastActivityAt) {
+  const createdAt = Date.parse(data.createdAt);
+  request.sessionInfo = {
+    sessionId: data.sessionId || null,
+    createdAt: data.createdAt || null,
+    expiresAt: data.expiresAt || null,
+    warningLevel: data.warningLevel || null,
+    idleExpiresAt: new Date(lastActivityAt + SESSION_IDLE_TIMEOUT_MS).toISOString(),
+    absoluteExpiresAt: createdAt ? new Date(createdAt + SESSION_ABSOLUTE_TIMEOUT_MS).toISOString() : null
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// ==============================================
+// SESSION CACHE EVICTION API
+// ==============================================
+// Called on logout (this server and, via /internal/sessions/revoke,
+//   the Login Portal) and whenever the SSOT revokes a reader
+
+/**
+ * evictSession — drop one token's cached validation
+ * @returns {boolean} whether an entry was removed
+ */
+export function evictSession(token) {
+  return token ? SESSION_CACHE.delete(hashToken(token)) : false;
+}
+
+/**
+ * evictReaderSessions — drop every cached session for a reader
+ * @returns {number} entries removed
+ */
+export function evictReaderSessions(readerPin) {
+  return readerPin ? SESSION_CACHE.deleteWhere(entry => entry.readerPin === readerPin) : 0;
+}
+
+/**
+ * evictSessionsById — drop cached sessions the SSOT revoked by sessionId
+ *   (Active Sessions tab: "sign out" one device / all other devices)
+ * @param {string[]} sessionIds
+ * @returns {number} entries removed
+ */
+export function evictSessionsById(sessionIds = []) {
+  const ids = new Set(sessionIds);
+  ids.forEach(id => SESSION_ACTIVITY.delete(id));
+  return ids.size ? SESSION_CACHE.deleteWhere(entry => ids.has(entry.data?.sessionId)) : 0;
+}
+
+// { size, maxEntries, ttlMs, hits, misses, hitRate, evictions: { capacity, expired, explicit } }
+export function getSessionCacheMetrics() {
+  return SESSION_CACHE.metrics();
+}
 
 // Device fingerprint generation
-function generateDeviceFingerprint(request) {
-  const userAgent = request.headers['user-agent'] || '';
-  const acceptLanguage = request.headers['accept-language'] || '';
-  const acceptEncoding = request.headers['accept-encoding'] || '';
+// MUST match ReadersLoginPortal/utils/deviceFingerprint.js — the SSOT stores
+//   the portal's hash when it issues the session
+// No Accept-Encoding: Range requests (NDA PDFs) send 'identity' and proxies rewrite it
+export function generateDeviceFingerprint(request) {
+  const components = [
+    request.headers['user-agent'],
+    request.headers['accept-language']
+  ].join('|');
+
+  return crypto.createHash('sha256').update(components).digest('hex');
+}
+
+// Session used from a device it was not issued to → step-up in the Login Portal
+// Sessions issued before fingerprints were recorded carry none and are not checked
+async function requireStepUp(request, reply, cacheKey, session, deviceFingerprint) {
+  SESSION_CACHE.delete(cacheKey);
+
+  const readerPin = session.user?.readerPin;
+  request.log.warn({
+    event: 'deviceFingerprintMismatch',
+    readerPin,
+    ip: request.ip,
+    url: request.url.split('?')[0]
+  });
+
+  // Security logging (non-blocking)
+  await ssotFetch('/auth/readers/securityLog', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      readerPin,
+      eventType: 'deviceFingerprintMismatch',
+      eventStatus: 'stepUpRequired',
+      details: {
+        expectedFingerprint: session.deviceFingerprint,
+        presentedFingerprint: deviceFingerprint,
+        path: request.url.split('?')[0],
+        source: 'ReadersDashboard'
+      },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent'],
+      riskScore: 70
+    })
+  }).catch(() => {});
+
+  return reply.redirect(STEP_UP_REDIRECT);
+}
+
+function isForeignDevice(session, deviceFingerprint) {
+  return !!session.deviceFingerprint && session.deviceFingerprint !== deviceFingerprint;
+}
+
+// 'absoluteTimeout' | 'idleTimeout' | null
+function timeoutReason(session, lastActivityAt, now) {
+  const createdAt = Date.parse(session.createdAt);
+  if (createdAt && now - createdAt >= SESSION_ABSOLUTE_TIMEOUT_MS) {
+    return 'absoluteTimeout';
+  }
+  if (lastActivityAt && now - lastActivityAt >= SESSION_IDLE_TIMEOUT_MS) {
+    return 'idleTimeout';
+  }
+  return null;
+}
+
+// Idle or absolute limit hit → invalidate this session at the SSOT, audit, back to login with the reason
+// Scoped by token + sessionId: the reader's sessions on other devices stay signed in
+async function endTimedOutSession(request, reply, cacheKey, activityKey, session, reason) {
+  SESSION_CACHE.delete(cacheKey);
+  SESSION_ACTIVITY.delete(activityKey);
+
+  const readerPin = session.user?.readerPin;
+
+  // GDPR Audit Log
+  request.log.info({
+    event: 'sessionTimeout',
+    reason,
+    readerPin,
+    sessionId: session.sessionId || null,
+    ip: request.ip,
+    timestamp: new Date().toISOString(),
+    gdprCategory: 'authentication'
+  });
 
-  const fingerprint = crypto
-    .createHash('sha256')
-    .update(`${userAgent}:${acceptLanguage}:${acceptEncoding}`)
-    .digest('hex');
+  await ssotFetch('/auth/invalidateSession', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      userType: 'readers',
+      pin: readerPin,
+      token: request.cookies?.[COOKIE_NAME],
+      sessionId: session.sessionId || null,
+      reason
+    })
+  }).catch(() => {});
 
-  return fingerprint;
+  await ssotFetch('/auth/readers/securityLog', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      readerPin,
+      eventType: 'sessionTimeout',
+      eventStatus: reason,
+      details: {
+        sessionId: session.sessionId || null,
+        createdAt: session.createdAt || null,
+        idleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+        absoluteTimeoutMs: SESSION_ABSOLUTE_TIMEOUT_MS,
+        path: request.url.split('?')[0],
+        source: 'ReadersDashboard',
+        gdprCategory: 'authentication'
+      },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    })
+  }).catch(() => {});
+
+  reply.clearCookie(COOKIE_NAME, {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'strict',
+    path: '/',
+    domain: '.qolae.com'
+  });
+  return reply.redirect(`${LOGIN_REDIRECT}?reason=${reason}`);
+}
+
+// Validated session (live, cached or stale) → device check, lifetime policy, request.user
+async function admitSession(request, reply, { cacheKey, session, state, deviceFingerprint, urlPath }) {
+  if (isForeignDevice(session, deviceFingerprint)) {
+    return requireStepUp(request, reply, cacheKey, session, deviceFingerprint);
+  }
+
+  const now = Date.now();
+  const activityKey = session.sessionId || cacheKey;
+  const lastActivityAt = SESSION_ACTIVITY.get(activityKey);
+  const reason = timeoutReason(session, lastActivityAt, now);
+  if (reason) {
+    return endTimedOutSession(request, reply, cacheKey, activityKey, session, reason);
+  }
+
+  const isPassive = PASSIVE_ROUTES.includes(urlPath);
+  const activityAt = isPassive && lastActivityAt ? lastActivityAt : now;
+  if (activityAt === now) {
+    SESSION_ACTIVITY.set(activityKey, now);
+  }
+
+  request.user = { ...session.user, deviceFingerprint };
+  setSessionInfo(request, session, activityAt);
+  setServiceState(request, reply, state);
+  if (session.warningLevel) {
+    reply.header('X-Session-Warning', session.warningLevel);
+  }
 }
 
 async function sessionMiddleware(request, reply) {
@@ -46,6 +313,11 @@ async function sessionMiddleware(request, reply) {
     return;
   }
 
+  // Service-to-service calls authenticate with x-internal-secret instead
+  if (urlPath.startsWith('/internal/')) {
+    return;
+  }
+
   // Read cookie
   const token = request.cookies?.[COOKIE_NAME];
 
@@ -53,20 +325,19 @@ async function sessionMiddleware(request, reply) {
     return reply.redirect(LOGIN_REDIRECT);
   }
 
-  // Check session validation cache first
-  const cached = SESSION_CACHE.get(token);
+  const deviceFingerprint = generateDeviceFingerprint(request);
+  const cacheKey = hashToken(token);
+
+  // Check session validation cache first (expired entries come back undefined)
+  const cached = SESSION_CACHE.get(cacheKey);
   if (cached) {
-    if (Date.now() < cached.expiresAt) {
-      const deviceFingerprint = generateDeviceFingerprint(request);
-      request.user = { ...cached.data.user, deviceFingerprint };
-      request.degradedMode = true;
-      if (cached.data.warningLevel) {
-        reply.header('X-Session-Warning', cached.data.warningLevel);
-      }
-      return;
-    } else {
-      SESSION_CACHE.delete(token);
-    }
+    return admitSession(request, reply, {
+      cacheKey,
+      session: cached.data,
+      state: SERVICE_STATES.CACHED,
+      deviceFingerprint,
+      urlPath
+    });
   }
 
   // Attempt SSOT validation
@@ -82,18 +353,27 @@ async function sessionMiddleware(request, reply) {
         userAgent: request.headers['user-agent']
       })
     });
-    ssotResult = await rawResponse.json();
+    // A 5xx is the SSOT failing, not the session — treat it like a timeout
+    if (rawResponse.status >= 500) {
+      ssotReachable = false;
+    } else {
+      ssotResult = await rawResponse.json();
+    }
   } catch (err) {
     ssotReachable = false;
   }
 
   if (!ssotReachable) {
-    const stale = SESSION_CACHE.get(token);
+    const stale = SESSION_CACHE.getStale(cacheKey);
     if (stale) {
-      const deviceFingerprint = generateDeviceFingerprint(request);
-      request.user = { ...stale.data.user, deviceFingerprint };
-      request.degradedMode = true;
-      return;
+      request.log.warn({ event: 'ssotDownStaleSession', readerPin: stale.readerPin });
+      return admitSession(request, reply, {
+        cacheKey,
+        session: stale.data,
+        state: SERVICE_STATES.SSOT_DOWN,
+        deviceFingerprint,
+        urlPath
+      });
     }
     return reply.redirect(LOGIN_REDIRECT);
   }
@@ -102,17 +382,18 @@ async function sessionMiddleware(request, reply) {
     return reply.redirect(LOGIN_REDIRECT);
   }
 
-  SESSION_CACHE.set(token, {
+  SESSION_CACHE.set(cacheKey, {
     data: ssotResult,
-    expiresAt: Date.now() + SESSION_CACHE_TTL
+    readerPin: ssotResult.user?.readerPin
   });
 
-  const deviceFingerprint = generateDeviceFingerprint(request);
-  request.user = { ...ssotResult.user, deviceFingerprint };
-  request.degradedMode = false;
-  if (ssotResult.warningLevel) {
-    reply.header('X-Session-Warning', ssotResult.warningLevel);
-  }
+  return admitSession(request, reply, {
+    cacheKey,
+    session: ssotResult,
+    state: SERVICE_STATES.LIVE,
+    deviceFingerprint,
+    urlPath
+  });
 }
 
 export default sessionMiddleware;
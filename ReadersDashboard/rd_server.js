@@ -17,8 +17,19 @@ import fastifyFormbody from '@fastify/formbody';
 import fastifyCors from '@fastify/cors';
 import fastifyJwt from '@fastify/jwt';
 import fastifyCookie from '@fastify/cookie';
-import ssotFetch from './utils/ssotFetch.js';
-import sessionMiddleware from './middleware/sessionMiddleware.js';
+import ssotFetch, { getCircuitBreakerStates } from './utils/ssotFetch.js';
+import sessionMiddleware, {
+  evictSession,
+  evictReaderSessions,
+  getSessionCacheMetrics,
+  invalidateBootstrap,
+  BOOTSTRAP_CACHE
+} from './middleware/sessionMiddleware.js';
+import readerPinGuard from './middleware/readerPinGuard.js';
+import csrfMiddleware from './middleware/csrfMiddleware.js';
+import degradedModeGuard, { getReplayQueueMetrics } from './middleware/degradedModeGuard.js';
+import { invalidateSsotReads, getSsotReadMetrics } from './utils/ssotRead.js';
+import { attachRequestContext, genRequestId } from './utils/requestContext.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,8 +45,12 @@ const __dirname = path.dirname(__filename);
 // ==============================================
 
 const server = Fastify({
+  // Correlation IDs: accept/generate X-Request-Id, logged as requestId
+  requestIdHeader: false,
+  genReqId: genRequestId,
+  requestIdLogLabel: 'requestId',
   logger: {
-    level: 'info',
+    level: process.env.LOG_LEVEL || 'info',
     transport: {
       target: 'pino-pretty',
       options: {
@@ -50,6 +65,9 @@ const server = Fastify({
 // MIDDLEWARE REGISTRATION
 // ==============================================
 
+// 0. Request Context (X-Request-Id → logs, ssotFetch, error JSON)
+attachRequestContext(server);
+
 // 1. CORS Configuration (Matches LawyersDashboard pattern)
 await server.register(fastifyCors, {
   origin: [
@@ -100,6 +118,26 @@ await server.register(fastifyView, {
 // SSOT-compliant session validation (replaces inline jwtVerify preHandler + authenticate decorator)
 server.addHook('preHandler', sessionMiddleware);
 
+// Any readerPin in path/query/body must be the session's own PIN
+server.addHook('preHandler', readerPinGuard);
+
+// CSRF: issue reply.locals.csrfToken on reads, require it on every POST (runs after session)
+server.addHook('preHandler', csrfMiddleware);
+
+// SSOT down (serviceState 'ssotDown'): block writes, queue replay-safe ones
+server.addHook('preHandler', degradedModeGuard);
+
+// Any successful write by a reader (corrections, NDA, calendar) may change
+//   their gates/assignments — the next dashboard load refetches the bootstrap
+//   and memoised SSOT reads (payment status/processing) are dropped
+server.addHook('onResponse', async (request, reply) => {
+  const isWrite = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(request.method);
+  if (isWrite && request.user?.readerPin && reply.statusCode < 400) {
+    invalidateBootstrap(request.user.readerPin);
+    invalidateSsotReads(request.user.readerPin);
+  }
+});
+
 // ==============================================
 // ROUTES REGISTRATION
 // ==============================================
@@ -116,12 +154,23 @@ await server.register(import('./routes/ndaRoutes.js'));
 // Management Hub Routes — operational home (hub, future calendar)
 await server.register(import('./routes/readersManagementHubRoutes.js'));
 
+// Session Routes — expiry countdown status + silent refresh
+await server.register(import('./routes/sessionRoutes.js'));
+
+// Internal Routes — SSOT / Login Portal only (x-internal-secret)
+await server.register(import('./routes/internalRoutes.js'));
+
 // ==============================================
 // LOGOUT ROUTE
 // ==============================================
 server.get('/logout', async (request, reply) => {
   try {
     const pin = request.user?.readerPin;
+
+    // Evict before the SSOT call so the token stops working even if that call fails
+    evictSession(request.cookies?.qolaeReaderToken);
+    evictReaderSessions(pin);
+
     if (pin) {
       try {
         await ssotFetch('/auth/invalidateSession', {
@@ -168,6 +217,11 @@ server.get('/health', async (request, reply) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
+    ssotCircuits: getCircuitBreakerStates(),
+    sessionCache: getSessionCacheMetrics(),
+    bootstrapCache: BOOTSTRAP_CACHE.metrics(),
+    degradedReplayQueue: getReplayQueueMetrics(),
+    ssotReads: getSsotReadMetrics(),
   };
 });
 
@@ -176,12 +230,13 @@ server.get('/health', async (request, reply) => {
 // ==============================================
 
 server.setErrorHandler((error, request, reply) => {
-  server.log.error(error);
+  request.log.error(error);
 
   // Send appropriate error response
   reply.status(error.statusCode || 500).send({
     success: false,
     error: error.message || 'Internal Server Error',
+    requestId: request.id,
     timestamp: new Date().toISOString(),
   });
 });
@@ -205,7 +260,9 @@ const start = async () => {
   }
 };
 
-// Start the server
-start();
+// Start the server (integration tests import the instance and use server.inject)
+if (process.env.NODE_ENV !== 'test') {
+  start();
+}
 
 export default server;
@@ -0,0 +1,90 @@
+// ==============================================
+// INTERNAL ROUTES (service-to-service)
+// ==============================================
+// Purpose: Endpoints called by the SSOT and ReadersLoginPortal, never by browsers
+// Auth: x-internal-secret must equal INTERNAL_API_SECRET (same secret
+//   ssotFetch sends the other way); sessionMiddleware skips /internal/*
+// ==============================================
+
+import crypto from 'crypto';
+import {
+  evictSession,
+  evictReaderSessions,
+  evictSessionsById,
+  getSessionCacheMetrics,
+  invalidateBootstrap
+} from '../middleware/sessionMiddleware.js';
+
+function hasInternalSecret(request) {
+  const expected = process.env.INTERNAL_API_SECRET;
+  const provided = request.headers['x-internal-secret'];
+  if (!expected || typeof provided !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export default async function internalRoutes(fastify, opts) {
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    if (!hasInternalSecret(request)) {
+      request.log.warn({ event: 'internalAuthRejected', url: request.url.split('?')[0], ip: request.ip });
+      return reply.code(401).send({ success: false, error: 'Unauthorized' });
+    }
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 1: SESSION REVOCATION
+  // ==============================================
+  // POST /internal/sessions/revoke { readerPin } → every cached session for the reader
+  // POST /internal/sessions/revoke { token }     → one session (logout)
+  // POST /internal/sessions/revoke { sessionIds } → sessions revoked at the SSOT
+  // Takes effect on the reader's next request — no 5-minute cache window
+
+  fastify.post('/internal/sessions/revoke', async (request, reply) => {
+    const { readerPin, token, sessionIds } = request.body || {};
+    const bySessionId = Array.isArray(sessionIds) && sessionIds.length > 0;
+
+    if (!readerPin && !token && !bySessionId) {
+      return reply.code(400).send({ success: false, error: 'readerPin, token or sessionIds required' });
+    }
+
+    const evicted = (readerPin ? evictReaderSessions(readerPin) : 0)
+      + (token && evictSession(token) ? 1 : 0)
+      + (bySessionId ? evictSessionsById(sessionIds) : 0);
+
+    request.log.info({ event: 'sessionsRevoked', readerPin: readerPin || null, byToken: !!token, bySessionId, evicted });
+    return reply.send({ success: true, evicted });
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 2: BOOTSTRAP PURGE
+  // ==============================================
+  // POST /internal/bootstrap/purge { readerPin } → one reader (e.g. compliance approved)
+  // POST /internal/bootstrap/purge { all: true } → everyone (e.g. bootstrap shape change)
+  // Next dashboard load refetches; the last snapshot is kept for degraded mode
+
+  fastify.post('/internal/bootstrap/purge', async (request, reply) => {
+    const { readerPin, all } = request.body || {};
+
+    if (!readerPin && all !== true) {
+      return reply.code(400).send({ success: false, error: 'readerPin or all: true required' });
+    }
+
+    const invalidated = invalidateBootstrap(all === true ? undefined : readerPin);
+
+    request.log.info({ event: 'bootstrapPurged', readerPin: readerPin || null, all: all === true, invalidated });
+    return reply.send({ success: true, invalidated });
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 3: CACHE METRICS
+  // ==============================================
+
+  fastify.get('/internal/sessions/metrics', async (request, reply) => {
+    return reply.send({ success: true, sessionCache: getSessionCacheMetrics() });
+  });
+
+}
@@ -14,6 +14,8 @@
 // ==============================================
 
 import ssotFetch from '../utils/ssotFetch.js';
+import { validateSsotPayload } from '../utils/ssotContracts.js';
+import { documentFetchOptions, isDocumentResponse, streamSsotDocument } from '../utils/ssotDocumentStream.js';
 
 async function ndaRoutes(fastify, options) {
 
@@ -34,18 +36,18 @@ async function ndaRoutes(fastify, options) {
         }
       );
 
-      const apiData = await apiResponse.json();
+      const apiData = validateSsotPayload('ndaStep', await apiResponse.json());
 
       if (apiData.success) {
-        return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=2');
+        return reply.redirect('/readersDashboard?showModal=nda&step=2');
       }
 
-      fastify.log.error({ event: 'ndaContinueToSignFailed', readerPin, error: apiData.error });
-      return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=1&error=' + encodeURIComponent('Unable to proceed. Please try again.'));
+      request.log.error({ event: 'ndaContinueToSignFailed', readerPin, error: apiData.error });
+      return reply.redirect('/readersDashboard?showModal=nda&step=1&error=' + encodeURIComponent('Unable to proceed. Please try again.'));
 
     } catch (error) {
-      fastify.log.error({ event: 'ndaContinueToSignError', readerPin, error: error.message });
-      return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=1&error=' + encodeURIComponent('Unable to proceed. Please try again.'));
+      request.log.error({ event: 'ndaContinueToSignError', readerPin, error: error.message });
+      return reply.redirect('/readersDashboard?showModal=nda&step=1&error=' + encodeURIComponent('Unable to proceed. Please try again.'));
     }
   });
 
@@ -71,18 +73,18 @@ async function ndaRoutes(fastify, options) {
         }
       );
 
-      const apiData = await apiResponse.json();
+      const apiData = validateSsotPayload('ndaStep', await apiResponse.json());
 
       if (apiData.success) {
-        return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=3');
+        return reply.redirect('/readersDashboard?showModal=nda&step=3');
       }
 
-      fastify.log.error({ event: 'ndaPreviewFailed', readerPin, error: apiData.error });
-      return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=2&error=' + encodeURIComponent(apiData.error || 'Signature processing failed. Please try again.'));
+      request.log.error({ event: 'ndaPreviewFailed', readerPin, error: apiData.error });
+      return reply.redirect('/readersDashboard?showModal=nda&step=2&error=' + encodeURIComponent(apiData.error || 'Signature processing failed. Please try again.'));
 
     } catch (error) {
-      fastify.log.error({ event: 'ndaPreviewError', readerPin, error: error.message });
-      return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=2&error=' + encodeURIComponent('Signature processing failed. Please try again.'));
+      request.log.error({ event: 'ndaPreviewError', readerPin, error: error.message });
+      return reply.redirect('/readersDashboard?showModal=nda&step=2&error=' + encodeURIComponent('Signature processing failed. Please try again.'));
     }
   });
 
@@ -95,21 +97,21 @@ async function ndaRoutes(fastify, options) {
 
     try {
       const apiResponse = await ssotFetch(
-        '/api/readers/nda/previewPdf/' + readerPin
+        '/api/readers/nda/previewPdf/' + readerPin,
+        documentFetchOptions(request)
       );
 
-      if (!apiResponse.ok) {
+      if (!isDocumentResponse(apiResponse)) {
         return reply.code(404).send({ error: 'Preview not available' });
       }
 
-      const pdfBuffer = Buffer.from(await apiResponse.arrayBuffer());
-
-      reply.header('Content-Type', 'application/pdf');
-      reply.header('Content-Disposition', 'inline; filename="NDA_Preview_' + readerPin + '.pdf"');
-      return reply.send(pdfBuffer);
+      return streamSsotDocument(reply, apiResponse, {
+        filename: 'NDA_Preview_' + readerPin + '.pdf',
+        disposition: 'inline'
+      });
 
     } catch (error) {
-      fastify.log.error({ event: 'ndaPreviewPdfError', readerPin, error: error.message });
+      request.log.error({ event: 'ndaPreviewPdfError', readerPin, error: error.message });
       return reply.code(404).send({ error: 'Preview not available' });
     }
   });
@@ -123,7 +125,7 @@ async function ndaRoutes(fastify, options) {
     const { confirmFromPreview } = request.body;
 
     if (!confirmFromPreview) {
-      return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=3&error=' + encodeURIComponent('Please confirm before submitting.'));
+      return reply.redirect('/readersDashboard?showModal=nda&step=3&error=' + encodeURIComponent('Please confirm before submitting.'));
     }
 
     try {
@@ -136,18 +138,18 @@ async function ndaRoutes(fastify, options) {
         }
       );
 
-      const apiData = await apiResponse.json();
+      const apiData = validateSsotPayload('ndaStep', await apiResponse.json());
 
       if (apiData.success) {
-        return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=4');
+        return reply.redirect('/readersDashboard?showModal=nda&step=4');
       }
 
-      fastify.log.error({ event: 'ndaSignFailed', readerPin, error: apiData.error });
-      return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=3&error=' + encodeURIComponent('Signing failed. Please try again.'));
+      request.log.error({ event: 'ndaSignFailed', readerPin, error: apiData.error });
+      return reply.redirect('/readersDashboard?showModal=nda&step=3&error=' + encodeURIComponent('Signing failed. Please try again.'));
 
     } catch (error) {
-      fastify.log.error({ event: 'ndaSignError', readerPin, error: error.message });
-      return reply.redirect('/readersDashboard?readerPin=' + readerPin + '&showModal=nda&step=3&error=' + encodeURIComponent('Signing failed. Please try again.'));
+      request.log.error({ event: 'ndaSignError', readerPin, error: error.message });
+      return reply.redirect('/readersDashboard?showModal=nda&step=3&error=' + encodeURIComponent('Signing failed. Please try again.'));
     }
   });
 
@@ -160,21 +162,21 @@ async function ndaRoutes(fastify, options) {
 
     try {
       const apiResponse = await ssotFetch(
-        '/api/readers/nda/view/' + readerPin
+        '/api/readers/nda/view/' + readerPin,
+        documentFetchOptions(request)
       );
 
-      if (!apiResponse.ok) {
+      if (!isDocumentResponse(apiResponse)) {
         return reply.code(404).send({ error: 'Signed NDA not found' });
       }
 
-      const pdfBuffer = Buffer.from(await apiResponse.arrayBuffer());
-
-      reply.header('Content-Type', 'application/pdf');
-      reply.header('Content-Disposition', 'inline; filename="signedReadersNda' + readerPin + '.pdf"');
-      return reply.send(pdfBuffer);
+      return streamSsotDocument(reply, apiResponse, {
+        filename: 'signedReadersNda' + readerPin + '.pdf',
+        disposition: 'inline'
+      });
 
     } catch (error) {
-      fastify.log.error({ event: 'ndaViewError', readerPin, error: error.message });
+      request.log.error({ event: 'ndaViewError', readerPin, error: error.message });
       return reply.code(404).send({ error: 'Signed NDA not found' });
     }
   });
@@ -188,21 +190,21 @@ async function ndaRoutes(fastify, options) {
 
     try {
       const apiResponse = await ssotFetch(
-        '/api/readers/nda/download/' + readerPin
+        '/api/readers/nda/download/' + readerPin,
+        documentFetchOptions(request)
       );
 
-      if (!apiResponse.ok) {
+      if (!isDocumentResponse(apiResponse)) {
         return reply.code(404).send({ error: 'Signed NDA not found' });
       }
 
-      const pdfBuffer = Buffer.from(await apiResponse.arrayBuffer());
-
-      reply.header('Content-Type', 'application/pdf');
-      reply.header('Content-Disposition', 'attachment; filename="signedReadersNda' + readerPin + '.pdf"');
-      return reply.send(pdfBuffer);
+      return streamSsotDocument(reply, apiResponse, {
+        filename: 'signedReadersNda' + readerPin + '.pdf',
+        disposition: 'attachment'
+      });
 
     } catch (error) {
-      fastify.log.error({ event: 'ndaDownloadError', readerPin, error: error.message });
+      request.log.error({ event: 'ndaDownloadError', readerPin, error: error.message });
       return reply.code(404).send({ error: 'Signed NDA not found' });
     }
   });
@@ -10,6 +10,8 @@
 
 import ReadersController from '../controllers/ReadersController.js';
 import ssotFetch from '../utils/ssotFetch.js';
+import { validateSsotPayload, SsotContractError } from '../utils/ssotContracts.js';
+import { BOOTSTRAP_CACHE, SERVICE_STATES } from '../middleware/sessionMiddleware.js';
 
 export default async function readerRoutes(fastify, options) {
 
@@ -18,67 +20,110 @@ export default async function readerRoutes(fastify, options) {
   // ==============================================
   // VIEW: readersDashboard.ejs
   // ARCHITECTURE: 100% Server-Side, SSOT Bootstrap Pattern
-  // SECURITY: PIN in URL is safe (bootstrap identifier + auth required)
-  // Modal pattern: /readersDashboard?readerPin=KB-123456&modal=nda
+  // SECURITY: Reader identity comes from the session only (readerPinGuard)
+  // Modal pattern: /readersDashboard?modal=nda
   // SSOT: Bootstrap from api.qolae.com, modal data via ReadersController
+  // CACHE: BOOTSTRAP_CACHE per reader, 10 min fresh, expired by writes (rd_server onResponse)
+  // DEGRADED: SSOT down → last known bootstrap (BOOTSTRAP_CACHE), read-only banner
 
   fastify.get('/readersDashboard', async (request, reply) => {
     reply.header('Cache-Control', 'no-cache, no-store, must-revalidate');
     reply.header('Pragma', 'no-cache');
     reply.header('Expires', '0');
 
-    const { readerPin, modal, showModal: showModalParam, assignmentId, step } = request.query;
+    const { readerPin } = request.user;
+    const { modal, showModal: showModalParam, assignmentId, step } = request.query;
     const showModal = modal || showModalParam || null;
     const currentStep = parseInt(step) || 1;
 
-    if (!readerPin) {
-      return reply.code(400).send({ error: 'Reader PIN required' });
+    let bootstrapData = null;
+    let serviceState = request.serviceState || SERVICE_STATES.LIVE;
+
+    // Fresh per-reader cache (invalidated by our writes / SSOT purge) saves two SSOT round trips
+    const cachedBootstrap = request.degradedMode ? null : BOOTSTRAP_CACHE.get(readerPin);
+    if (cachedBootstrap) {
+      bootstrapData = cachedBootstrap.data;
     }
 
-    try {
-      // ==============================================
-      // SINGLE SOURCE OF TRUTH - SSOT Bootstrap only
-      // ==============================================
-      // Step 1: Get stored JWT from SSOT
-      const tokenResponse = await ssotFetch(`/auth/readers/getStoredToken?readerPin=${readerPin}`, {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' }
-      });
+    // SSOT down: skip straight to the last known snapshot (below)
+    if (!bootstrapData && !request.degradedMode) {
+      try {
+        // ==============================================
+        // SINGLE SOURCE OF TRUTH - SSOT Bootstrap only
+        // ==============================================
+        // Step 1: Get stored JWT from SSOT
+        const tokenResponse = await ssotFetch(`/auth/readers/getStoredToken?readerPin=${encodeURIComponent(readerPin)}`, {
+          method: 'GET',
+          headers: { 'Content-Type': 'application/json' }
+        });
+
+        if (!tokenResponse.ok) {
+          console.error(`❌ No valid JWT token found for readerPin: ${readerPin}`);
+          return reply.code(401).send({ error: 'Invalid session - please login again' });
+        }
 
-      if (!tokenResponse.ok) {
-        console.error(`❌ No valid JWT token found for readerPin: ${readerPin}`);
-        return reply.code(401).send({ error: 'Invalid session - please login again' });
-      }
+        const tokenData = await tokenResponse.json();
+        const { accessToken } = tokenData;
+
+        // Step 2: Call SSOT bootstrap endpoint
+        const bootstrapResponse = await ssotFetch(`/readers/workspace/bootstrap`, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        if (!bootstrapResponse.ok) {
+          console.error(`❌ SSOT bootstrap failed for readerPin: ${readerPin}`);
+          return reply.code(401).send({ error: 'Invalid session - please login again' });
+        }
 
-      const tokenData = await tokenResponse.json();
-      const { accessToken } = tokenData;
+        const freshBootstrap = await bootstrapResponse.json();
 
-      // Step 2: Call SSOT bootstrap endpoint
-      const bootstrapResponse = await ssotFetch(`/readers/workspace/bootstrap`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
+        if (!freshBootstrap || !freshBootstrap.valid) {
+          console.error(`❌ Invalid bootstrap for readerPin: ${readerPin}`);
+          return reply.code(401).send({ error: 'Invalid session - please login again' });
         }
-      });
 
-      if (!bootstrapResponse.ok) {
-        console.error(`❌ SSOT bootstrap failed for readerPin: ${readerPin}`);
-        return reply.code(401).send({ error: 'Invalid session - please login again' });
-      }
+        // Contract check: fills optional defaults, throws on missing required fields
+        validateSsotPayload('workspaceBootstrap', freshBootstrap);
 
-      const bootstrapData = await bootstrapResponse.json();
+        bootstrapData = freshBootstrap;
+        BOOTSTRAP_CACHE.set(readerPin, { data: bootstrapData, savedAt: new Date().toISOString() });
 
-      if (!bootstrapData || !bootstrapData.valid) {
-        console.error(`❌ Invalid bootstrap for readerPin: ${readerPin}`);
-        return reply.code(401).send({ error: 'Invalid session - please login again' });
+      } catch (error) {
+        if (error instanceof SsotContractError) {
+          return reply.code(502).send({ success: false, error: 'Dashboard data is temporarily unavailable' });
+        }
+        // Session was fine moments ago but the SSOT stopped answering — fall back to the snapshot
+        request.log.warn({ event: 'bootstrapUnreachable', readerPin, error: error.message });
+        serviceState = SERVICE_STATES.SSOT_DOWN;
       }
+    }
+
+    // ===== DEGRADED MODE: last known bootstrap, read-only =====
+    let snapshotAt = null;
+    if (!bootstrapData) {
+      const snapshot = BOOTSTRAP_CACHE.getStale(readerPin);
+      if (!snapshot) {
+        request.log.error({ event: 'dashboardUnavailable', readerPin, reason: 'noBootstrapSnapshot' });
+        return reply.code(500).send({ success: false, error: 'Failed to load dashboard' });
+      }
+      bootstrapData = snapshot.data;
+      snapshotAt = snapshot.savedAt;
+      serviceState = SERVICE_STATES.SSOT_DOWN;
+      reply.header('X-Service-State', serviceState);
+    }
+
+    const degradedMode = serviceState === SERVICE_STATES.SSOT_DOWN;
 
+    try {
       // Extract data from bootstrap response
       const reader = {
         readerPin: bootstrapData.user.readerPin,
         readerName: bootstrapData.user.readerName,
-        firstName: bootstrapData.user.firstName || '',
+        firstName: bootstrapData.user.firstName,
         readerType: bootstrapData.user.readerType,
         readerEmail: bootstrapData.user.readerEmail,
         phone: bootstrapData.user.phone,
@@ -89,9 +134,10 @@ export default async function readerRoutes(fastify, options) {
         totalEarnings: bootstrapData.stats.totalEarnings
       };
 
-      const assignments = bootstrapData.assignments || [];
+      const assignments = bootstrapData.assignments;
 
       // ===== MODAL DATA LOADING (via ReadersController → SSOT) =====
+      // Degraded: only the NDA modal (built from the snapshot) — the rest need the SSOT
       let modalData = null;
 
       if (showModal === 'nda') {
@@ -102,25 +148,22 @@ export default async function readerRoutes(fastify, options) {
         };
       }
 
+      else if (degradedMode) {
+        modalData = null;
+      }
+
       else if (showModal === 'review' && assignmentId) {
-        modalData = await ReadersController.getReaderReviewModalData(readerPin, assignmentId);
+        modalData = await ReadersController.getReaderReviewModalData(readerPin, assignmentId, request.log);
       }
 
       else if (showModal === 'payment' && assignmentId) {
-        modalData = await ReadersController.getReaderPaymentModalData(readerPin, assignmentId);
+        modalData = await ReadersController.getReaderPaymentModalData(readerPin, assignmentId, request.log);
       }
 
       else if (showModal === 'calendar') {
-        modalData = await ReadersController.getReaderCalendarModalData(readerPin, request.query);
+        modalData = await ReadersController.getReaderCalendarModalData(readerPin, request.query, request.log);
       }
 
-      // Generate CSRF token for forms
-      const csrfToken = fastify.jwt.sign({
-        csrf: true,
-        readerPin: readerPin,
-        timestamp: new Date().toISOString()
-      });
-
       // Pass bootstrap data to EJS template
       return reply.view('readersDashboard.ejs', {
         reader,
@@ -130,14 +173,16 @@ export default async function readerRoutes(fastify, options) {
         stats: bootstrapData.stats,
         showModal: showModal,
         modalData: modalData,
-        csrfToken: csrfToken,
         currentStep: currentStep,
-        degradedMode: request.degradedMode || false
+        degradedMode: degradedMode,
+        serviceState: serviceState,
+        snapshotAt: snapshotAt,
+        writeBlocked: request.query.readOnly === 'blocked'
       });
 
     } catch (error) {
       console.error('❌ ERROR loading readers dashboard:', error);
-      fastify.log.error('Error loading readers dashboard:', error);
+      request.log.error('Error loading readers dashboard:', error);
       return reply.code(500).send({ success: false, error: 'Failed to load dashboard' });
     }
   });
@@ -145,12 +190,26 @@ export default async function readerRoutes(fastify, options) {
   // ==============================================
   // LOCATION BLOCK 2: SAVE CORRECTIONS
   // ==============================================
-  // Proxy → ReadersController → SSOT /api/readers/corrections/save
+  // Proxy → ReadersController → SSOT /api/readers/corrections/save (+ /draft)
 
   fastify.post('/api/readers/saveCorrections', async (request, reply) => {
     return await ReadersController.saveReaderCorrections(request, reply);
   });
 
+  // GET ?assignmentId= → { draft: { revision, corrections, savedAt } } — the
+  //   review page's baseRevision, re-read when a save comes back 409
+
+  fastify.get('/api/readers/correctionsDraft', async (request, reply) => {
+    return await ReadersController.getReaderCorrectionsDraft(request, reply);
+  });
+
+  // GET ?assignmentId= → word-level track changes of the saved draft
+  //   (step 3 "Preview Your Changes")
+
+  fastify.get('/api/readers/correctionsDiff', async (request, reply) => {
+    return await ReadersController.getReaderCorrectionsDiff(request, reply);
+  });
+
   // ==============================================
   // LOCATION BLOCK 3: SUBMIT CORRECTIONS
   // ==============================================
@@ -160,6 +219,13 @@ export default async function readerRoutes(fastify, options) {
     return await ReadersController.submitReaderCorrections(request, reply);
   });
 
+  // GET → PDF record of the submitted corrections (409 until submitted)
+  //   :id = assignment id or number
+
+  fastify.get('/api/readers/assignments/:id/corrections.pdf', async (request, reply) => {
+    return await ReadersController.getReaderCorrectionsPdf(request, reply);
+  });
+
   // ==============================================
   // LOCATION BLOCK 4: PAYMENT PROCESSING
   // ==============================================
@@ -205,7 +271,7 @@ export default async function readerRoutes(fastify, options) {
       return reply.redirect(`mailto:${supportEmail}?subject=${encodeURIComponent(emailSubject)}&body=${encodeURIComponent(emailBody)}`);
 
     } catch (error) {
-      fastify.log.error('Error accessing support:', error);
+      request.log.error('Error accessing support:', error);
       return reply.code(500).send({ error: 'Internal server error' });
     }
   });
@@ -1,7 +1,8 @@
 // ==============================================
 // READERS MANAGEMENT HUB ROUTES
 // ==============================================
-// Purpose: Operational home base — hub bootstrap, calendar, history
+// Purpose: Operational home base — hub bootstrap, calendar, history,
+//   active sessions, sign-in security
 // Author: Liz
 // Date: 12th February 2026
 // Architecture: SSOT Thin Proxy (Zero SQL, Zero import pg)
@@ -50,4 +51,56 @@ export default async function readersManagementHubRoutes(fastify, opts) {
     return await ReadersController.removeReaderCalendarOverride(request, reply);
   });
 
+  // ==============================================
+  // LOCATION BLOCK 3: ACTIVE SESSIONS
+  // ==============================================
+  // Listed on the hub's Active Sessions tab (GET /readersManagementHub)
+  // POST /readersManagementHub/sessions/revoke → sign out one device
+  // POST /readersManagementHub/sessions/revokeOthers → sign out all other devices
+  // Both evict the dashboard session cache immediately
+
+  fastify.post('/readersManagementHub/sessions/revoke', async (request, reply) => {
+    return await ReadersController.revokeReaderSession(request, reply);
+  });
+
+  fastify.post('/readersManagementHub/sessions/revokeOthers', async (request, reply) => {
+    return await ReadersController.revokeOtherReaderSessions(request, reply);
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 4: SIGN-IN SECURITY (AUTHENTICATOR APP & PASSKEYS)
+  // ==============================================
+  // Shown on the hub's Sign-in Security tab; the Login Portal's 2FA page
+  //   offers the authenticator once it is active (email code stays a fallback)
+  // POST /readersManagementHub/security/totp/start → QR code + secret
+  // POST /readersManagementHub/security/totp/confirm → first code; renders recovery codes once
+  // POST /readersManagementHub/security/totp/disable → needs a current code
+  // POST /readersManagementHub/security/passkeys/options → JSON for navigator.credentials.create()
+  // POST /readersManagementHub/security/passkeys/register → JSON; verifies, stores via SSOT
+  // POST /readersManagementHub/security/passkeys/remove → form; revokes one passkey
+
+  fastify.post('/readersManagementHub/security/totp/start', async (request, reply) => {
+    return await ReadersController.startTotpEnrolment(request, reply);
+  });
+
+  fastify.post('/readersManagementHub/security/totp/confirm', async (request, reply) => {
+    return await ReadersController.confirmTotpEnrolment(request, reply);
+  });
+
+  fastify.post('/readersManagementHub/security/totp/disable', async (request, reply) => {
+    return await ReadersController.disableTotp(request, reply);
+  });
+
+  fastify.post('/readersManagementHub/security/passkeys/options', async (request, reply) => {
+    return await ReadersController.getPasskeyRegistrationOptions(request, reply);
+  });
+
+  fastify.post('/readersManagementHub/security/passkeys/register', async (request, reply) => {
+    return await ReadersController.registerPasskey(request, reply);
+  });
+
+  fastify.post('/readersManagementHub/security/passkeys/remove', async (request, reply) => {
+    return await ReadersController.removePasskey(request, reply);
+  });
+
 }
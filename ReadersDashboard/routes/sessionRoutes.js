@@ -0,0 +1,125 @@
+// ==============================================
+// SESSION ROUTES
+// ==============================================
+// Purpose: Session expiry warning + silent refresh for the countdown modal
+//   (views/partials/sessionExpiryModal.ejs, included on every authenticated page)
+// Architecture: SSOT Thin Proxy — lifetime is owned by
+//   /auth/validateAndRefreshSession/readers; this server only relays it
+// Paths sit under /api/readers/ so config/readers-nginx.conf proxies them
+// ==============================================
+
+import ssotFetch from '../utils/ssotFetch.js';
+import { evictSession } from '../middleware/sessionMiddleware.js';
+
+const COOKIE_NAME = 'qolaeReaderToken';
+
+// Same attributes the Login Portal uses for this cookie — always Secure, so a
+//   refreshed token never goes out over plain HTTP whatever NODE_ENV says
+const COOKIE_OPTIONS = {
+  path: '/',
+  httpOnly: true,
+  secure: true,
+  sameSite: 'strict',
+  domain: '.qolae.com'
+};
+
+function secondsUntil(isoTime) {
+  if (!isoTime) {
+    return null;
+  }
+  return Math.max(0, Math.floor((Date.parse(isoTime) - Date.now()) / 1000));
+}
+
+// Whichever ends first: SSOT token expiry, idle timeout or absolute lifetime
+function effectiveExpiry(sessionInfo, tokenExpiresAt = sessionInfo.expiresAt) {
+  const deadlines = [
+    { endsBy: 'tokenExpiry', at: tokenExpiresAt },
+    { endsBy: 'idleTimeout', at: sessionInfo.idleExpiresAt },
+    { endsBy: 'absoluteTimeout', at: sessionInfo.absoluteExpiresAt }
+  ].filter(deadline => deadline.at);
+  if (!deadlines.length) {
+    return { endsBy: null, at: null };
+  }
+  return deadlines.reduce((first, next) => (Date.parse(next.at) < Date.parse(first.at) ? next : first));
+}
+
+export default async function sessionRoutes(fastify, opts) {
+
+  // ==============================================
+  // LOCATION BLOCK 1: SESSION STATUS
+  // ==============================================
+  // GET /api/readers/session/status → { expiresAt, secondsRemaining, endsBy, warningLevel, serviceState, csrfToken }
+  // csrfToken: a fresh one (csrfMiddleware issues it on every GET) — pages open
+  //   longer than its 2-hour lifetime re-read it here after a 403
+  // Validated by sessionMiddleware like any page; an expired session
+  //   never gets here (redirect to /readersLogin)
+  // Passive: polling this does not reset the idle timeout
+
+  fastify.get('/api/readers/session/status', async (request, reply) => {
+    const { endsBy, at } = effectiveExpiry(request.sessionInfo);
+
+    reply.header('Cache-Control', 'no-store');
+    return reply.send({
+      success: true,
+      expiresAt: at,
+      secondsRemaining: secondsUntil(at),
+      endsBy,
+      warningLevel: request.sessionInfo.warningLevel,
+      serviceState: request.serviceState,
+      csrfToken: reply.locals?.csrfToken || null
+    });
+  });
+
+  // ==============================================
+  // LOCATION BLOCK 2: SESSION EXTEND
+  // ==============================================
+  // POST /api/readers/session/extend (X-CSRF-Token) → SSOT issues a replacement token
+  //   with a full lifetime; the old token is revoked there and evicted here
+  // Blocked by degradedModeGuard while the SSOT is down (503)
+
+  fastify.post('/api/readers/session/extend', async (request, reply) => {
+    const token = request.cookies?.[COOKIE_NAME];
+
+    try {
+      const apiResponse = await ssotFetch('/auth/validateAndRefreshSession/readers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          token,
+          extend: true,
+          ipAddress: request.ip,
+          userAgent: request.headers['user-agent']
+        })
+      });
+
+      const apiData = await apiResponse.json();
+
+      if (!apiResponse.ok || !apiData.valid || !apiData.accessToken) {
+        request.log.warn({ event: 'sessionExtendRejected', readerPin: request.user.readerPin, status: apiResponse.status });
+        return reply.code(401).send({ success: false, error: 'Session expired - please login again' });
+      }
+
+      evictSession(token);
+      reply.setCookie(COOKIE_NAME, apiData.accessToken, {
+        ...COOKIE_OPTIONS,
+        maxAge: apiData.expiresIn
+      });
+
+      // This request already reset the idle clock; the absolute lifetime still applies
+      const { endsBy, at } = effectiveExpiry(request.sessionInfo, apiData.expiresAt);
+
+      request.log.info({ event: 'sessionExtended', readerPin: request.user.readerPin, expiresAt: at, endsBy });
+      return reply.send({
+        success: true,
+        expiresAt: at,
+        secondsRemaining: secondsUntil(at),
+        endsBy
+      });
+
+    } catch (error) {
+      request.log.error({ event: 'sessionExtendFailed', readerPin: request.user.readerPin, error: error.message });
+      return reply.code(500).send({ success: false, error: 'Failed to extend session' });
+    }
+  });
+
+}
@@ -0,0 +1,97 @@
+// ==============================================
+// csrfMiddleware.test.js — CSRF tokens on mutating routes
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSsotStub, csrfFor } from './helpers/ssotStub.js';
+
+const ssot = await startSsotStub();
+const { default: server } = await import('../rd_server.js');
+const { resetCircuitBreakers } = await import('../utils/ssotFetch.js');
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+});
+
+after(async () => {
+  await server.close();
+  await ssot.close();
+});
+
+function formTokens(html) {
+  return [...html.matchAll(/name="_csrf" value="([^"]+)"/g)].map(match => match[1]);
+}
+
+function postForm(url, token, payload) {
+  return server.inject({ method: 'POST', url, payload, cookies: { qolaeReaderToken: token } });
+}
+
+test('every calendar form carries the token and it is accepted on post', async () => {
+  const token = ssot.login('JS-123456');
+  const page = await server.inject({ method: 'GET', url: '/calendar', cookies: { qolaeReaderToken: token } });
+  assert.equal(page.statusCode, 200);
+
+  const forms = (page.body.match(/<form method="POST"/g) || []).length;
+  const tokens = formTokens(page.body);
+  assert.ok(forms > 0);
+  assert.equal(tokens.length, forms);
+
+  const res = await postForm('/calendar/setPattern', token, { monday: 'on', _csrf: tokens[0] });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/calendar');
+});
+
+test('NDA modal forms on the dashboard carry the token', async () => {
+  const token = ssot.login('KB-654321');
+  const page = await server.inject({
+    method: 'GET',
+    url: '/readersDashboard?showModal=nda&step=1',
+    cookies: { qolaeReaderToken: token }
+  });
+  const [csrf] = formTokens(page.body);
+  assert.ok(csrf);
+
+  const res = await postForm('/nda/continueToSign', token, { _csrf: csrf });
+  assert.equal(res.headers.location, '/readersDashboard?showModal=nda&step=2');
+});
+
+test('posts without a token are rejected before reaching the SSOT', async () => {
+  const res = await postForm('/calendar/addOverride', ssot.login(), { date: '2026-03-10', type: 'blocked' });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.json().error, 'Invalid or missing CSRF token');
+  assert.ok(res.json().requestId);
+  assert.ok(!ssot.state.calls.some(call => call.key === 'POST /api/readers/calendar/addOverride'));
+});
+
+test('JSON callers can send the token as X-CSRF-Token', async () => {
+  const res = await server.inject({
+    method: 'POST',
+    url: '/api/readers/saveCorrections',
+    headers: { 'x-csrf-token': csrfFor(server) },
+    payload: { assignmentId: '8d1e2f3a-0000-4000-8000-000000000047', baseRevision: 0, corrections: [] },
+    cookies: { qolaeReaderToken: ssot.login() }
+  });
+  assert.equal(res.statusCode, 200);
+});
+
+test('a token issued to another reader is rejected', async () => {
+  const res = await postForm('/api/readers/submitCorrections', ssot.login('JS-123456'), {
+    assignmentId: '8d1e2f3a-0000-4000-8000-000000000047',
+    _csrf: csrfFor(server, 'KB-654321')
+  });
+  assert.equal(res.statusCode, 403);
+});
+
+test('expired, forged and non-CSRF tokens are rejected', async () => {
+  const token = ssot.login('JS-123456');
+  const expired = server.jwt.sign({ csrf: true, readerPin: 'JS-123456', exp: Math.floor(Date.now() / 1000) - 60 });
+  const [header, , signature] = csrfFor(server).split('.');
+  const forged = [header, Buffer.from(JSON.stringify({ csrf: true, readerPin: 'JS-123456' })).toString('base64url'), signature].join('.');
+
+  for (const csrf of [expired, forged, token]) {
+    const res = await postForm('/nda/sign', token, { confirmFromPreview: 'true', _csrf: csrf });
+    assert.equal(res.statusCode, 403);
+  }
+});
@@ -0,0 +1,177 @@
+// ==============================================
+// degradedMode.test.js — read-only workspace while the SSOT is down
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSsotStub, captureViews, csrfFor } from './helpers/ssotStub.js';
+
+const ssot = await startSsotStub();
+const { default: server } = await import('../rd_server.js');
+const { resetCircuitBreakers } = await import('../utils/ssotFetch.js');
+const { BOOTSTRAP_CACHE } = await import('../middleware/sessionMiddleware.js');
+const { clearIdempotentSaves } = await import('../utils/idempotentSaves.js');
+const views = captureViews(server);
+
+const OPEN_ASSIGNMENT = '8d1e2f3a-0000-4000-8000-000000000047';
+const OFFLINE_EDIT = {
+  anchor: 'section-2.p2',
+  originalText: '',
+  proposedText: 'Opinion drafted offline.',
+  note: 'offline edit',
+  category: 'clinical'
+};
+const SESSION_CACHE_TTL = 5 * 60 * 1000;
+
+let token;
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+  BOOTSTRAP_CACHE.clear();
+  clearIdempotentSaves();
+  views.length = 0;
+  token = ssot.login('JS-123456');
+});
+
+after(async () => {
+  await server.close();
+  await ssot.close();
+});
+
+function get(url) {
+  return server.inject({ method: 'GET', url, cookies: { qolaeReaderToken: token } });
+}
+
+function post(url, payload) {
+  return server.inject({
+    method: 'POST',
+    url,
+    payload,
+    headers: { 'x-csrf-token': csrfFor(server) },
+    cookies: { qolaeReaderToken: token }
+  });
+}
+
+// Load the dashboard once (live), then take the SSOT down and let the session cache expire
+async function goOffline(t) {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  assert.equal((await get('/readersDashboard')).statusCode, 200);
+  ssot.state.overrides.set('*', { down: true });
+  t.mock.timers.tick(SESSION_CACHE_TTL + 1000);
+}
+
+test('a cached session is reported as cached, not degraded', async () => {
+  const first = await get('/readersDashboard');
+  assert.equal(first.headers['x-service-state'], 'live');
+
+  const second = await get('/readersDashboard');
+  assert.equal(second.headers['x-service-state'], 'cached');
+  assert.equal(views.at(-1).data.degradedMode, false);
+  assert.ok(!second.body.includes('degraded-mode-banner'));
+});
+
+test('SSOT down serves the last known bootstrap read-only', async (t) => {
+  await goOffline(t);
+
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['x-service-state'], 'ssotDown');
+
+  const { data } = views.at(-1);
+  assert.equal(data.degradedMode, true);
+  assert.equal(data.reader.readerPin, 'JS-123456');
+  assert.equal(data.assignments.length, 2);
+  assert.ok(data.snapshotAt);
+  assert.match(res.body, /read-only mode/);
+});
+
+test('SSOT down without a snapshot still fails the dashboard', async (t) => {
+  await goOffline(t);
+  BOOTSTRAP_CACHE.clear();
+
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 500);
+});
+
+test('writes are blocked while the SSOT is down', async (t) => {
+  await goOffline(t);
+  const callsBefore = ssot.state.calls.length;
+
+  let res = await post('/api/readers/submitCorrections', { assignmentId: OPEN_ASSIGNMENT });
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.json().degraded, true);
+
+  res = await server.inject({
+    method: 'POST',
+    url: '/calendar/addOverride',
+    payload: new URLSearchParams({ date: '2026-03-10', type: 'blocked', _csrf: csrfFor(server) }).toString(),
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(res.statusCode, 303);
+  assert.equal(res.headers.location, '/readersDashboard?readOnly=blocked');
+
+  // Only the (failed) session revalidations reached the SSOT
+  assert.ok(ssot.state.calls.slice(callsBefore).every(call => call.key === 'POST /auth/validateAndRefreshSession/readers'));
+});
+
+test('draft corrections are queued and replayed once the SSOT is back', async (t) => {
+  await goOffline(t);
+
+  const res = await post('/api/readers/saveCorrections', {
+    assignmentId: OPEN_ASSIGNMENT,
+    baseRevision: 0,
+    corrections: [OFFLINE_EDIT]
+  });
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.json().queued, true);
+
+  ssot.state.overrides.clear();
+  resetCircuitBreakers();
+
+  const back = await get('/readers/paymentHistory');
+  assert.equal(back.statusCode, 200);
+  assert.equal(back.headers['x-service-state'], 'live');
+  assert.deepEqual(ssot.state.assignments[0].corrections, [OFFLINE_EDIT]);
+});
+
+test('a queued save sent again after its replay gets the replay\'s revision, not a 409', async (t) => {
+  await goOffline(t);
+
+  // The page keeps a 202'd save in its outbox and resends it, same key and base revision
+  const save = () => server.inject({
+    method: 'POST',
+    url: '/api/readers/saveCorrections',
+    payload: { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [OFFLINE_EDIT] },
+    headers: { 'x-csrf-token': csrfFor(server), 'idempotency-key': 'c0ffee00-0000-4000-8000-0000000000aa' },
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal((await save()).statusCode, 202);
+
+  ssot.state.overrides.clear();
+  resetCircuitBreakers();
+
+  const resent = await save();
+  assert.equal(resent.statusCode, 200);
+  assert.equal(resent.json().revision, 1);
+  assert.equal(ssot.state.assignments[0].draftRevision, 1);
+  // The replay reached the SSOT; the resend was answered from the replay's reply
+  assert.equal(ssot.state.calls.filter(call => call.key === 'POST /api/readers/corrections/save').length, 1);
+});
+
+test('invalid draft corrections are refused offline, not queued', async (t) => {
+  await goOffline(t);
+
+  const res = await post('/api/readers/saveCorrections', {
+    assignmentId: OPEN_ASSIGNMENT,
+    corrections: '<p>whole editor innerHTML</p>'
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json().queued, undefined);
+
+  ssot.state.overrides.clear();
+  resetCircuitBreakers();
+  await get('/readers/paymentHistory');
+  assert.ok(!ssot.state.calls.some(call => call.key === 'POST /api/readers/corrections/save'));
+});
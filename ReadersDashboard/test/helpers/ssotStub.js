@@ -0,0 +1,79 @@
+// ==============================================
+// ssotStub.js — Test Harness for ReadersDashboard
+// ==============================================
+// Purpose: Boot the Mock SSOT (../../MockSSOT) on an ephemeral port and
+//   point ssotFetch at it BEFORE rd_server.js is imported
+// Usage (top of every test file):
+//   const ssot = await startSsotStub();
+//   const { default: server } = await import('../rd_server.js');
+// ==============================================
+
+import Fastify from 'fastify';
+import mockSsotApp, { createMockSsotState } from '../../../MockSSOT/mockSsotApp.js';
+import { findReader, issueSession } from '../../../MockSSOT/mockSsotState.js';
+import { issueCsrfToken } from '../../middleware/csrfMiddleware.js';
+
+export const TEST_JWT_SECRET = 'test-readers-jwt-secret';
+export const TEST_INTERNAL_SECRET = 'test-internal-secret';
+
+/**
+ * startSsotStub — listen on 127.0.0.1:<random>, configure env for the app under test
+ * @returns {Promise<{ state, login, reset, close, url }>}
+ */
+export async function startSsotStub() {
+  process.env.NODE_ENV = 'test';
+  process.env.LOG_LEVEL = 'silent';
+  process.env.READERS_LOGIN_JWT_SECRET = TEST_JWT_SECRET;
+  process.env.INTERNAL_API_SECRET = TEST_INTERNAL_SECRET;
+
+  const stateOptions = { jwtSecret: TEST_JWT_SECRET, internalSecret: TEST_INTERNAL_SECRET };
+  const state = createMockSsotState(stateOptions);
+
+  const app = Fastify({ logger: false });
+  await app.register(mockSsotApp, { state });
+  const url = await app.listen({ port: 0, host: '127.0.0.1' });
+  process.env.SSOT_BASE_URL = url;
+
+  return {
+    state,
+    url,
+    // Issue a real SSOT session for a seeded reader → cookie value
+    // meta: { deviceFingerprint, ipAddress, userAgent } as recorded by pinAccess
+    login(readerPin = 'JS-123456', meta = {}) {
+      return issueSession(state, findReader(state, readerPin), meta).token;
+    },
+    // Fresh fixtures; same object so the mounted routes see the change
+    reset() {
+      Object.assign(state, createMockSsotState(stateOptions));
+    },
+    close() {
+      return app.close();
+    }
+  };
+}
+
+/**
+ * captureViews — record every reply.view(page, data) call on the server
+ * Must be called before the server is ready (i.e. before the first inject)
+ * @returns {Array<{ page: string, data: object, locals: object }>}
+ */
+export function captureViews(server) {
+  const views = [];
+  server.addHook('onRequest', (request, reply, done) => {
+    const view = reply.view;
+    reply.view = function capturedView(page, data) {
+      views.push({ page, data, locals: this.locals });
+      return view.call(this, page, data);
+    };
+    done();
+  });
+  return views;
+}
+
+/**
+ * csrfFor — valid CSRF token for a reader (same signer the views use)
+ * Call after the server module has been imported
+ */
+export function csrfFor(server, readerPin = 'JS-123456') {
+  return issueCsrfToken({ server, user: { readerPin } });
+}
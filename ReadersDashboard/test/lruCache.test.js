@@ -0,0 +1,46 @@
+// ==============================================
+// lruCache.test.js — bounded LRU with TTL
+// ==============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLruCache } from '../utils/lruCache.js';
+
+test('least recently used entry is evicted at capacity', () => {
+  const cache = createLruCache({ maxEntries: 2, ttlMs: 60000 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('c'), 3);
+  assert.equal(cache.metrics().evictions.capacity, 1);
+});
+
+test('expired entries miss and are dropped', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const cache = createLruCache({ maxEntries: 10, ttlMs: 1000 });
+  cache.set('a', 1);
+  t.mock.timers.tick(1000);
+
+  assert.equal(cache.get('a'), undefined);
+  assert.equal(cache.size, 0);
+  assert.deepEqual(cache.metrics().evictions, { capacity: 0, expired: 1, explicit: 0 });
+});
+
+test('explicit eviction by key and by predicate', () => {
+  const cache = createLruCache({ maxEntries: 10, ttlMs: 60000 });
+  cache.set('t1', { readerPin: 'JS-123456' });
+  cache.set('t2', { readerPin: 'JS-123456' });
+  cache.set('t3', { readerPin: 'KB-654321' });
+
+  assert.equal(cache.delete('t3'), true);
+  assert.equal(cache.deleteWhere(entry => entry.readerPin === 'JS-123456'), 2);
+  assert.equal(cache.size, 0);
+
+  const { hits, misses, hitRate, evictions } = cache.metrics();
+  assert.deepEqual({ hits, misses, hitRate }, { hits: 0, misses: 0, hitRate: 0 });
+  assert.equal(evictions.explicit, 3);
+});
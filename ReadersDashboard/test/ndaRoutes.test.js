@@ -0,0 +1,126 @@
+// ==============================================
+// ndaRoutes.test.js — 4-step NDA workflow & PDF proxying
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSsotStub, csrfFor } from './helpers/ssotStub.js';
+
+const ssot = await startSsotStub();
+const { default: server } = await import('../rd_server.js');
+const { resetCircuitBreakers } = await import('../utils/ssotFetch.js');
+
+const SIGNATURE = 'data:image/png;base64,iVBORw0KGgo=';
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+});
+
+after(async () => {
+  await server.close();
+  await ssot.close();
+});
+
+function inject(method, url, readerPin, payload) {
+  return server.inject({
+    method,
+    url,
+    payload: payload && { ...payload, _csrf: csrfFor(server, readerPin) },
+    cookies: { qolaeReaderToken: ssot.login(readerPin) }
+  });
+}
+
+test('first-time reader walks steps 1 → 4', async () => {
+  let res = await inject('POST', '/nda/continueToSign', 'KB-654321', {});
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersDashboard?showModal=nda&step=2');
+
+  res = await inject('POST', '/nda/preview', 'KB-654321', {
+    signatureData: SIGNATURE,
+    acknowledgmentConfirmed: true
+  });
+  assert.equal(res.headers.location, '/readersDashboard?showModal=nda&step=3');
+
+  res = await inject('GET', '/nda/previewPdf', 'KB-654321');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'application/pdf');
+  assert.match(res.headers['content-disposition'], /^inline; filename="NDA_Preview_KB-654321\.pdf"$/);
+  assert.ok(res.body.startsWith('%PDF-'));
+
+  res = await inject('POST', '/nda/sign', 'KB-654321', { confirmFromPreview: 'true' });
+  assert.equal(res.headers.location, '/readersDashboard?showModal=nda&step=4');
+  assert.equal(ssot.state.readers.find(r => r.readerPin === 'KB-654321').ndaSigned, true);
+});
+
+test('preview without a signature returns to step 2 with the SSOT error', async () => {
+  const res = await inject('POST', '/nda/preview', 'KB-654321', { acknowledgmentConfirmed: true });
+  assert.equal(res.statusCode, 302);
+  assert.ok(res.headers.location.startsWith(
+    '/readersDashboard?showModal=nda&step=2&error=' + encodeURIComponent('Signature is required')
+  ));
+  assert.match(res.headers.location, /&ref=/);
+});
+
+test('sign requires confirmation from the preview step', async () => {
+  const res = await inject('POST', '/nda/sign', 'KB-654321', {});
+  assert.ok(res.headers.location.startsWith(
+    '/readersDashboard?showModal=nda&step=3&error=' + encodeURIComponent('Please confirm before submitting.')
+  ));
+});
+
+test('preview PDF is 404 before a signature is submitted', async () => {
+  const res = await inject('GET', '/nda/previewPdf', 'KB-654321');
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.json().error, 'Preview not available');
+});
+
+test('signed NDA is served inline and as an attachment', async () => {
+  let res = await inject('GET', '/nda/view', 'JS-123456');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'application/pdf');
+  assert.equal(res.headers['content-disposition'], 'inline; filename="signedReadersNdaJS-123456.pdf"');
+
+  res = await inject('GET', '/nda/download', 'JS-123456');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="signedReadersNdaJS-123456.pdf"');
+});
+
+test('signed NDA is streamed with the SSOT Content-Length', async () => {
+  const res = await inject('GET', '/nda/view', 'JS-123456');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['accept-ranges'], 'bytes');
+  assert.equal(Number(res.headers['content-length']), res.rawPayload.length);
+});
+
+test('Range requests are passed through as 206 partial content', async () => {
+  const full = await inject('GET', '/nda/view', 'JS-123456');
+
+  const res = await server.inject({
+    method: 'GET',
+    url: '/nda/view',
+    headers: { range: 'bytes=0-7' },
+    cookies: { qolaeReaderToken: ssot.login('JS-123456') }
+  });
+  assert.equal(res.statusCode, 206);
+  assert.equal(res.headers['content-range'], `bytes 0-7/${full.rawPayload.length}`);
+  assert.equal(res.headers['content-length'], '8');
+  assert.equal(res.body, '%PDF-1.4');
+});
+
+test('unsatisfiable ranges are passed through as 416', async () => {
+  const res = await server.inject({
+    method: 'GET',
+    url: '/nda/download',
+    headers: { range: 'bytes=999999-' },
+    cookies: { qolaeReaderToken: ssot.login('JS-123456') }
+  });
+  assert.equal(res.statusCode, 416);
+  assert.match(res.headers['content-range'], /^bytes \*\/\d+$/);
+});
+
+test('download is 404 for a reader without a signed NDA', async () => {
+  const res = await inject('GET', '/nda/download', 'KB-654321');
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.json().error, 'Signed NDA not found');
+});
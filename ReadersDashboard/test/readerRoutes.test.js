@@ -0,0 +1,522 @@
+// ==============================================
+// readerRoutes.test.js — dashboard, corrections, payment, support
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSsotStub, captureViews, csrfFor, TEST_INTERNAL_SECRET } from './helpers/ssotStub.js';
+import { PDFDocument } from 'pdf-lib';
+
+const ssot = await startSsotStub();
+const { default: server } = await import('../rd_server.js');
+const { resetCircuitBreakers } = await import('../utils/ssotFetch.js');
+const { BOOTSTRAP_CACHE } = await import('../middleware/sessionMiddleware.js');
+const { clearSsotReads } = await import('../utils/ssotRead.js');
+const { clearIdempotentSaves } = await import('../utils/idempotentSaves.js');
+const views = captureViews(server);
+
+const OPEN_ASSIGNMENT = '8d1e2f3a-0000-4000-8000-000000000047';
+const SUBMITTED_ASSIGNMENT = '8d1e2f3a-0000-4000-8000-000000000031';
+const TYPO_FIX = {
+  anchor: 'section-1.p1',
+  originalText: 'Clinical evaluation was conducted on',
+  proposedText: 'A clinical evaluation was conducted on',
+  note: 'typo',
+  category: 'grammar'
+};
+
+let token;
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+  BOOTSTRAP_CACHE.clear();
+  clearSsotReads();
+  clearIdempotentSaves();
+  views.length = 0;
+  token = ssot.login('JS-123456');
+});
+
+after(async () => {
+  await server.close();
+  await ssot.close();
+});
+
+function get(url) {
+  return server.inject({ method: 'GET', url, cookies: { qolaeReaderToken: token } });
+}
+
+function post(url, payload) {
+  return server.inject({
+    method: 'POST',
+    url,
+    payload,
+    headers: { 'x-csrf-token': csrfFor(server) },
+    cookies: { qolaeReaderToken: token }
+  });
+}
+
+// ──────────────────────────────────────────────
+// GET /readersDashboard
+// ──────────────────────────────────────────────
+
+test('dashboard strips a matching readerPin from the URL', async () => {
+  const res = await get('/readersDashboard?readerPin=JS-123456&showModal=nda');
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersDashboard?showModal=nda');
+});
+
+test('dashboard sends another reader\'s PIN link back to login', async () => {
+  const res = await get('/readersDashboard?readerPin=KB-654321');
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersLogin');
+  assert.ok(!ssot.state.calls.some(call => call.key === 'GET /readers/workspace/bootstrap'));
+});
+
+test('mutations naming another reader\'s PIN are rejected', async () => {
+  const res = await post('/api/readers/saveCorrections', {
+    readerPin: 'KB-654321',
+    assignmentId: OPEN_ASSIGNMENT,
+    corrections: []
+  });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.json().error, 'Reader PIN does not match your session');
+});
+
+test('dashboard renders bootstrap data with no-cache headers', async () => {
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['cache-control'], /no-store/);
+
+  const { page, data } = views.at(-1);
+  assert.equal(page, 'readersDashboard.ejs');
+  assert.equal(data.reader.readerPin, 'JS-123456');
+  assert.equal(data.reader.ndaSigned, true);
+  assert.equal(data.reader.totalEarnings, 150);
+  assert.equal(data.assignments.length, 2);
+  assert.equal(data.showModal, null);
+  assert.ok(!res.body.includes('CM-900047'), 'internal case PIN must never reach the reader');
+});
+
+test('dashboard loads review modal data for an assignment', async () => {
+  const res = await get(`/readersDashboard?modal=review&assignmentId=${OPEN_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 200);
+
+  const { data } = views.at(-1);
+  assert.equal(data.showModal, 'review');
+  assert.equal(data.modalData.type, 'review');
+  assert.equal(data.modalData.assignment.assignmentId, OPEN_ASSIGNMENT);
+  assert.ok(res.body.includes('data-anchor="section-1.p1"'), 'editor blocks carry correction anchors');
+  assert.ok(res.body.includes(`assignmentId: '${OPEN_ASSIGNMENT}'`));
+});
+
+test('dashboard loads payment modal data for an assignment', async () => {
+  const res = await get(`/readersDashboard?showModal=payment&assignmentId=${SUBMITTED_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 200);
+
+  const { data } = views.at(-1);
+  assert.equal(data.modalData.type, 'payment');
+  assert.equal(data.modalData.paymentStatus, 'paid');
+
+  // The SSOT sent no payment method — no made-up bank details
+  assert.equal(data.modalData.bankName, null);
+  assert.ok(res.body.includes('No payment method on file yet'));
+  assert.ok(!res.body.includes('Bank Name:'));
+});
+
+test('dashboard loads calendar modal data and the NDA step', async () => {
+  let res = await get('/readersDashboard?showModal=calendar&view=tabbed');
+  assert.equal(res.statusCode, 200);
+  assert.equal(views.at(-1).data.modalData.type, 'calendar');
+  assert.equal(views.at(-1).data.modalData.view, 'tabbed');
+
+  res = await get('/readersDashboard?showModal=nda&step=3');
+  assert.equal(res.statusCode, 200);
+  assert.equal(views.at(-1).data.modalData.type, 'nda');
+  assert.equal(views.at(-1).data.currentStep, 3);
+});
+
+test('dashboard returns 401 when the SSOT has no stored token', async () => {
+  ssot.state.overrides.set('GET /auth/readers/getStoredToken', { status: 404, body: { success: false } });
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json().error, 'Invalid session - please login again');
+});
+
+test('dashboard returns 401 when bootstrap is rejected', async () => {
+  ssot.state.overrides.set('GET /readers/workspace/bootstrap', { status: 401, body: { valid: false } });
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 401);
+});
+
+test('dashboard survives an SSOT shape change in optional bootstrap fields', async () => {
+  ssot.state.overrides.set('GET /readers/workspace/bootstrap', {
+    status: 200,
+    body: { valid: true, user: { readerPin: 'JS-123456', readerName: 'Jane Smith' }, stats: null }
+  });
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 200);
+
+  const { data } = views.at(-1);
+  assert.equal(data.reader.ndaSigned, false);
+  assert.equal(data.reader.totalEarnings, 0);
+  assert.deepEqual(data.assignments, []);
+});
+
+test('dashboard returns 502 when bootstrap breaks its contract', async () => {
+  ssot.state.overrides.set('GET /readers/workspace/bootstrap', {
+    status: 200,
+    body: { valid: true, reader: { readerPin: 'JS-123456' } }
+  });
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.json().error, 'Dashboard data is temporarily unavailable');
+});
+
+test('dashboard quotes ?ref= only when it is a well-formed request ID', async () => {
+  let res = await get('/readersDashboard?ref=a1b2c3d4-e5f6-4a00-8000-000000000001');
+  assert.equal(views.at(-1).locals.errorReference, 'a1b2c3d4-e5f6-4a00-8000-000000000001');
+
+  res = await get(`/readersDashboard?ref=${encodeURIComponent('<b>Call 0800 123 456</b>')}`);
+  assert.equal(views.at(-1).locals.errorReference, res.headers['x-request-id']);
+});
+
+test('dashboard returns 500 with a request ID when bootstrap is unreachable', async () => {
+  ssot.state.overrides.set('GET /readers/workspace/bootstrap', { down: true });
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.json().requestId, res.headers['x-request-id']);
+});
+
+// ──────────────────────────────────────────────
+// Bootstrap cache
+// ──────────────────────────────────────────────
+
+function bootstrapCalls() {
+  return ssot.state.calls.filter(call => call.key === 'GET /readers/workspace/bootstrap').length;
+}
+
+test('repeat dashboard loads are served from the bootstrap cache', async () => {
+  await get('/readersDashboard');
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 200);
+  assert.equal(bootstrapCalls(), 1);
+  assert.equal(views.at(-1).data.reader.totalEarnings, 150);
+});
+
+test('our own writes invalidate the cached bootstrap', async () => {
+  await get('/readersDashboard');
+  await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [TYPO_FIX] });
+
+  await get('/readersDashboard');
+  assert.equal(bootstrapCalls(), 2);
+  const assignment = views.at(-1).data.assignments.find(a => a.id === OPEN_ASSIGNMENT);
+  assert.deepEqual(assignment.corrections, [TYPO_FIX]);
+});
+
+test('the SSOT can purge a reader\'s cached bootstrap', async () => {
+  await get('/readersDashboard');
+  ssot.state.readers.find(r => r.readerPin === 'JS-123456').ndaSigned = false;
+
+  const purge = await server.inject({
+    method: 'POST',
+    url: '/internal/bootstrap/purge',
+    headers: { 'x-internal-secret': TEST_INTERNAL_SECRET },
+    payload: { readerPin: 'JS-123456' }
+  });
+  assert.deepEqual(purge.json(), { success: true, invalidated: 1 });
+
+  await get('/readersDashboard');
+  assert.equal(views.at(-1).data.reader.ndaSigned, false);
+});
+
+// ──────────────────────────────────────────────
+// Corrections
+// ──────────────────────────────────────────────
+
+test('save corrections proxies to the SSOT', async () => {
+  const res = await post('/api/readers/saveCorrections', {
+    assignmentId: OPEN_ASSIGNMENT,
+    baseRevision: 0,
+    corrections: [TYPO_FIX]
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().success, true);
+  assert.equal(res.json().revision, 1);
+  assert.deepEqual(ssot.state.assignments[0].corrections, [TYPO_FIX]);
+});
+
+test('the review page reads the draft and its revision', async () => {
+  await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [TYPO_FIX] });
+
+  const res = await get(`/api/readers/correctionsDraft?assignmentId=${OPEN_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.equal(res.json().draft.revision, 1);
+  assert.deepEqual(res.json().draft.corrections, [TYPO_FIX]);
+  assert.equal(res.json().submitted, false);
+});
+
+test('a save based on a stale revision gets a 409 carrying the saved draft', async () => {
+  // Laptop and tablet both opened revision 0; the tablet saves first
+  const tablet = await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [TYPO_FIX] });
+  assert.equal(tablet.statusCode, 200);
+
+  const laptopEdit = { ...TYPO_FIX, anchor: 'section-3.p1', originalText: '', proposedText: 'Further review advised.' };
+  const laptop = await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [laptopEdit] });
+  assert.equal(laptop.statusCode, 409);
+  assert.equal(laptop.json().conflict, true);
+  assert.equal(laptop.json().draft.revision, 1);
+  assert.deepEqual(laptop.json().draft.corrections, [TYPO_FIX]);
+  assert.deepEqual(ssot.state.assignments[0].corrections, [TYPO_FIX], 'the tablet\'s draft is not overwritten');
+
+  // Merged on the laptop, saved against the revision it merged with
+  const merged = await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 1, corrections: [TYPO_FIX, laptopEdit] });
+  assert.equal(merged.statusCode, 200);
+  assert.equal(merged.json().revision, 2);
+});
+
+test('track changes diff the saved draft against the SSOT report text', async () => {
+  // originalText comes from the browser — a stale or tampered copy must not shape the diff
+  const findings = { anchor: 'section-1.p2', originalText: 'Diagnostic findings exclude:', proposedText: 'Key diagnostic findings include:', note: 'clearer', category: 'clarity' };
+  const opinion = { anchor: 'section-3.p1', originalText: '', proposedText: 'No further treatment required.', note: '', category: 'clinical' };
+  const unknown = { anchor: 'section-9.p1', originalText: '', proposedText: 'Not in this report.', note: '', category: 'other' };
+  await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [findings, opinion, unknown] });
+
+  const res = await get(`/api/readers/correctionsDiff?assignmentId=${OPEN_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 200);
+  const diff = res.json();
+  assert.equal(diff.revision, 1);
+  assert.deepEqual(diff.changes[0].segments, [
+    { type: 'delete', text: 'Diagnostic' },
+    { type: 'insert', text: 'Key diagnostic' },
+    { type: 'equal', text: ' findings include:' }
+  ]);
+  assert.equal(diff.changes[0].note, 'clearer');
+  assert.deepEqual(diff.changes[1].segments, [
+    { type: 'delete', text: '[Add your professional recommendations and conclusions here.]' },
+    { type: 'insert', text: 'No further treatment required.' }
+  ]);
+  assert.deepEqual(diff.changes.map(change => change.anchor), ['section-1.p2', 'section-3.p1'], 'anchors the report lacks are left out');
+  assert.deepEqual(diff.totals, { corrections: 2, wordsInserted: 6, wordsDeleted: 8, notes: 1 });
+});
+
+test('track changes are a 502 when the SSOT report breaks its contract', async () => {
+  ssot.state.overrides.set('GET /api/readers/report/redacted', { status: 200, body: { success: true } });
+  const res = await get(`/api/readers/correctionsDiff?assignmentId=${OPEN_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.json().success, false);
+});
+
+test('submitted corrections export as a PDF without internal case details', async () => {
+  await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [TYPO_FIX] });
+
+  let res = await get(`/api/readers/assignments/${OPEN_ASSIGNMENT}/corrections.pdf`);
+  assert.equal(res.statusCode, 409, 'a draft is not a record yet');
+
+  await post('/api/readers/submitCorrections', { assignmentId: OPEN_ASSIGNMENT });
+  res = await get(`/api/readers/assignments/${OPEN_ASSIGNMENT}/corrections.pdf`);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'application/pdf');
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="corrections-assignment-47.pdf"');
+  assert.equal(res.rawPayload.subarray(0, 5).toString(), '%PDF-');
+
+  const pdf = await PDFDocument.load(res.rawPayload);
+  assert.equal(pdf.getTitle(), 'Corrections — Assignment 47');
+  assert.ok(!res.rawPayload.toString('latin1').includes('CM-900047'), 'internal case PIN must never reach the reader');
+});
+
+test('another reader\'s assignment has no corrections PDF', async () => {
+  token = ssot.login('KB-654321');
+  const res = await get(`/api/readers/assignments/${SUBMITTED_ASSIGNMENT}/corrections.pdf`);
+  assert.equal(res.statusCode, 404);
+});
+
+test('a save replayed with its Idempotency-Key is applied once', async () => {
+  // The offline queue lost the reply to its first attempt and sends it again
+  const send = () => server.inject({
+    method: 'POST',
+    url: '/api/readers/saveCorrections',
+    payload: { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [TYPO_FIX] },
+    headers: { 'x-csrf-token': csrfFor(server), 'idempotency-key': 'c0ffee00-0000-4000-8000-000000000001' },
+    cookies: { qolaeReaderToken: token }
+  });
+
+  const first = await send();
+  const replay = await send();
+  assert.equal(first.statusCode, 200);
+  assert.equal(replay.statusCode, 200, 'not a conflict with itself');
+  assert.deepEqual(replay.json(), first.json());
+  assert.equal(replay.headers['idempotent-replayed'], 'true');
+  assert.equal(ssot.state.assignments[0].draftRevision, 1);
+  assert.equal(
+    ssot.state.calls.filter(call => call.key === 'POST /api/readers/corrections/save').length, 1,
+    'the repeat is answered by the dashboard'
+  );
+});
+
+test('save corrections rejects a malformed Idempotency-Key', async () => {
+  const res = await server.inject({
+    method: 'POST',
+    url: '/api/readers/saveCorrections',
+    payload: { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [TYPO_FIX] },
+    headers: { 'x-csrf-token': csrfFor(server), 'idempotency-key': 'a b' },
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(res.statusCode, 400);
+  assert.ok(res.json().details[0].startsWith('Idempotency-Key'));
+});
+
+test('save corrections requires the base revision', async () => {
+  const res = await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, corrections: [TYPO_FIX] });
+  assert.equal(res.statusCode, 400);
+  assert.ok(res.json().details.includes('body/baseRevision is required'));
+  assert.equal(ssot.state.assignments[0].corrections, null);
+});
+
+test('save corrections rejects editor HTML and unknown fields before the SSOT', async () => {
+  const callsBefore = ssot.state.calls.length;
+  const res = await post('/api/readers/saveCorrections', {
+    assignmentId: OPEN_ASSIGNMENT,
+    baseRevision: 0,
+    corrections: [{ ...TYPO_FIX, html: '<span class="edit-highlight">x</span>' }, { ...TYPO_FIX, anchor: 'body', category: 'opinion' }]
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json().error, 'Corrections are not valid');
+  assert.ok(res.json().details.some(d => d.includes('/corrections/0/html is not allowed')));
+  assert.ok(res.json().details.some(d => d.startsWith('/corrections/1/anchor')));
+  assert.ok(res.json().details.some(d => d.startsWith('/corrections/1/category')));
+  assert.ok(!ssot.state.calls.slice(callsBefore).some(call => call.key === 'POST /api/readers/corrections/save'));
+});
+
+test('save corrections needs each correction to change something or explain itself', async () => {
+  const unchanged = { ...TYPO_FIX, proposedText: TYPO_FIX.originalText, note: ' ' };
+  let res = await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [unchanged] });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.json().details, ['/corrections/0 changes nothing and has no note']);
+
+  const { note, ...withoutNote } = TYPO_FIX;
+  res = await post('/api/readers/saveCorrections', { assignmentId: OPEN_ASSIGNMENT, baseRevision: 0, corrections: [withoutNote] });
+  assert.equal(res.statusCode, 200);
+  assert.equal(ssot.state.assignments[0].corrections[0].note, '');
+});
+
+test('save corrections passes through a 409 for a submitted assignment', async () => {
+  const res = await post('/api/readers/saveCorrections', { assignmentId: SUBMITTED_ASSIGNMENT, baseRevision: 1, corrections: [] });
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.json().success, false);
+});
+
+test('submit corrections succeeds once then conflicts', async () => {
+  let res = await post('/api/readers/submitCorrections', { assignmentId: OPEN_ASSIGNMENT });
+  assert.equal(res.statusCode, 200);
+
+  res = await post('/api/readers/submitCorrections', { assignmentId: OPEN_ASSIGNMENT });
+  assert.equal(res.statusCode, 409);
+});
+
+test('submit corrections returns 500 when the SSOT is down', async () => {
+  ssot.state.overrides.set('POST /api/readers/corrections/submit', { down: true });
+  const res = await post('/api/readers/submitCorrections', { assignmentId: OPEN_ASSIGNMENT });
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.json().error, 'Failed to submit corrections');
+});
+
+// ──────────────────────────────────────────────
+// Payment & support
+// ──────────────────────────────────────────────
+
+test('payment processing page renders SSOT payment data', async () => {
+  const res = await get(`/paymentProcessing?assignmentId=${SUBMITTED_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 200);
+
+  const { page, data } = views.at(-1);
+  assert.equal(page, 'paymentProcessing.ejs');
+  assert.equal(data.paymentStatus, 'paid');
+  assert.equal(data.timeline.step3, 'completed');
+});
+
+test('payment processing page shows the payment method the SSOT sends', async () => {
+  ssot.state.overrides.set('GET /api/readers/payment/processing', {
+    status: 200,
+    body: {
+      success: true,
+      paymentData: {
+        assignmentId: SUBMITTED_ASSIGNMENT,
+        readerPin: 'JS-123456',
+        paymentAmount: 50,
+        bankName: 'Northfield Bank',
+        accountHolderName: 'Jane Smith',
+        lastFourDigits: '4821',
+        sortCode: '20-00-00',
+        accountType: 'ukDomestic',
+        paymentDetailsVerified: true
+      }
+    }
+  });
+
+  const res = await get(`/paymentProcessing?assignmentId=${SUBMITTED_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.includes('Northfield Bank'));
+  assert.ok(res.body.includes('****4821'));
+  assert.ok(res.body.includes('20-00-00'));
+  assert.ok(!res.body.includes('No payment method on file yet'));
+});
+
+test('payment status and history return SSOT JSON', async () => {
+  let res = await get(`/api/readers/payment/status/${OPEN_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().paymentStatus, 'pending');
+
+  res = await get('/api/readers/payment/status/unknown-assignment');
+  assert.equal(res.statusCode, 404);
+
+  res = await get('/readers/paymentHistory');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().payments.length, 2);
+});
+
+function callsTo(route) {
+  return ssot.state.calls.filter(call => call.key === route).length;
+}
+
+test('concurrent payment status polls share one SSOT request', async () => {
+  const results = await Promise.all([
+    get(`/api/readers/payment/status/${OPEN_ASSIGNMENT}`),
+    get(`/api/readers/payment/status/${OPEN_ASSIGNMENT}`),
+    get(`/api/readers/payment/status/${OPEN_ASSIGNMENT}`)
+  ]);
+  assert.deepEqual(results.map(res => res.json().paymentStatus), ['pending', 'pending', 'pending']);
+  assert.equal(callsTo('GET /api/readers/payment/status/:assignmentId'), 1);
+});
+
+test('payment processing reads are memoised briefly, then refetched', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+  await get(`/paymentProcessing?assignmentId=${SUBMITTED_ASSIGNMENT}`);
+  await get(`/readersDashboard?showModal=payment&assignmentId=${SUBMITTED_ASSIGNMENT}`);
+  assert.equal(views.at(-1).data.modalData.paymentStatus, 'paid');
+  assert.equal(callsTo('GET /api/readers/payment/processing'), 1);
+
+  t.mock.timers.tick(5000);
+  await get(`/paymentProcessing?assignmentId=${SUBMITTED_ASSIGNMENT}`);
+  assert.equal(callsTo('GET /api/readers/payment/processing'), 2);
+});
+
+test('failed SSOT reads are not memoised', async () => {
+  ssot.state.overrides.set('GET /api/readers/payment/status/:assignmentId', { status: 404, body: { success: false } });
+  let res = await get(`/api/readers/payment/status/${OPEN_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 404);
+
+  ssot.state.overrides.clear();
+  res = await get(`/api/readers/payment/status/${OPEN_ASSIGNMENT}`);
+  assert.equal(res.statusCode, 200);
+  assert.equal(callsTo('GET /api/readers/payment/status/:assignmentId'), 2);
+});
+
+test('support redirects to a prefilled mailto link', async () => {
+  const res = await get('/readers/support?assignmentId=47');
+  assert.equal(res.statusCode, 302);
+  assert.match(res.headers.location, /^mailto:support@qolae\.com\?subject=Payment%20Inquiry/);
+  assert.match(decodeURIComponent(res.headers.location), /Assignment ID: 47/);
+});
@@ -0,0 +1,288 @@
+// ==============================================
+// readersManagementHubRoutes.test.js — hub, calendar, sessions, sign-in security
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSsotStub, captureViews, csrfFor } from './helpers/ssotStub.js';
+
+const ssot = await startSsotStub();
+const { default: server } = await import('../rd_server.js');
+const { resetCircuitBreakers } = await import('../utils/ssotFetch.js');
+const { totpCode } = await import('../../MockSSOT/utils/mockTotp.js');
+const { createSoftAuthenticator } = await import('../../MockSSOT/utils/softAuthenticator.js');
+const views = captureViews(server);
+
+let token;
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+  views.length = 0;
+  token = ssot.login('JS-123456');
+});
+
+after(async () => {
+  await server.close();
+  await ssot.close();
+});
+
+function inject(method, url, payload) {
+  return server.inject({
+    method,
+    url,
+    payload: payload && { ...payload, _csrf: csrfFor(server) },
+    cookies: { qolaeReaderToken: token }
+  });
+}
+
+test('management hub renders SSOT bootstrap data', async () => {
+  const res = await inject('GET', '/readersManagementHub');
+  assert.equal(res.statusCode, 200);
+  assert.equal(views.at(-1).page, 'readersManagementHub.ejs');
+});
+
+test('management hub sends the reader to login when bootstrap fails', async () => {
+  ssot.state.overrides.set('GET /api/readers/managementHub/bootstrap', { status: 500, body: { success: false } });
+  const res = await inject('GET', '/readersManagementHub');
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, 'https://readers.qolae.com/readersLogin');
+});
+
+test('calendar renders the resolved month', async () => {
+  const res = await inject('GET', '/calendar?view=tabbed&month=3&year=2026');
+  assert.equal(res.statusCode, 200);
+  assert.equal(views.at(-1).page, 'readersCalendar.ejs');
+});
+
+test('setPattern saves checked days and redirects back to the calendar', async () => {
+  const res = await inject('POST', '/calendar/setPattern', { monday: 'on', friday: 'on', view: 'tabbed' });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/calendar?view=tabbed');
+  assert.equal(ssot.state.calendarPatterns['JS-123456'].monday, true);
+  assert.equal(ssot.state.calendarPatterns['JS-123456'].tuesday, false);
+});
+
+test('calendar writes return to the dashboard modal when asked', async () => {
+  let res = await inject('POST', '/calendar/addOverride', {
+    date: '2026-03-10',
+    type: 'unavailable',
+    returnTo: 'dashboard',
+    month: '3',
+    year: '2026'
+  });
+  assert.equal(res.headers.location, '/readersDashboard?showModal=calendar&month=3&year=2026');
+  assert.ok(ssot.state.calendarOverrides['JS-123456'].some(o => o.overrideDate === '2026-03-10'));
+
+  res = await inject('POST', '/calendar/removeOverride', { date: '2026-03-10', returnTo: 'dashboard' });
+  assert.equal(res.headers.location, '/readersDashboard?showModal=calendar');
+  assert.ok(!ssot.state.calendarOverrides['JS-123456'].some(o => o.overrideDate === '2026-03-10'));
+});
+
+// ──────────────────────────────────────────────
+// Active sessions
+// ──────────────────────────────────────────────
+
+const CHROME_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+function sessionIdOf(sessionToken) {
+  return ssot.state.sessions.get(sessionToken).sessionId;
+}
+
+function get(url, sessionToken) {
+  return server.inject({ method: 'GET', url, cookies: { qolaeReaderToken: sessionToken } });
+}
+
+test('the hub lists the reader\'s sessions with the current one first', async () => {
+  ssot.login('JS-123456', { deviceFingerprint: 'abcdef0123456789', ipAddress: '203.0.113.9', userAgent: CHROME_ON_WINDOWS });
+  ssot.login('KB-654321');
+
+  const res = await inject('GET', '/readersManagementHub?tab=sessions');
+  assert.equal(res.statusCode, 200);
+
+  const { sessions, activeTab } = views.at(-1).data;
+  assert.equal(activeTab, 'sessions');
+  assert.equal(sessions.length, 2);
+  assert.equal(sessions[0].isCurrent, true);
+  assert.equal(sessions[1].deviceLabel, 'Chrome on Windows · abcdef01');
+  assert.equal(sessions[1].ipAddress, '203.0.113.9');
+  assert.match(res.body, /Sign Out All Other Devices/);
+});
+
+test('signing out one device revokes it at the SSOT and in the session cache', async () => {
+  const otherToken = ssot.login('JS-123456', { userAgent: CHROME_ON_WINDOWS });
+  assert.equal((await get('/readersManagementHub', otherToken)).statusCode, 200); // now cached
+
+  const res = await inject('POST', '/readersManagementHub/sessions/revoke', { sessionId: sessionIdOf(otherToken) });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersManagementHub?tab=sessions&revoked=1');
+
+  assert.equal(ssot.state.sessions.has(otherToken), false);
+  const after = await get('/readersManagementHub', otherToken);
+  assert.equal(after.statusCode, 302);
+  assert.equal(after.headers.location, '/readersLogin');
+});
+
+test('signing out the current session is a logout', async () => {
+  const res = await inject('POST', '/readersManagementHub/sessions/revoke', { sessionId: sessionIdOf(token) });
+  assert.equal(res.headers.location, '/logout');
+  assert.equal(ssot.state.sessions.has(token), true);
+});
+
+test('sign out other devices keeps only the current session', async () => {
+  const others = [ssot.login('JS-123456'), ssot.login('JS-123456')];
+  const bystander = ssot.login('KB-654321');
+  for (const other of others) {
+    await get('/readersManagementHub', other);
+  }
+
+  const res = await inject('POST', '/readersManagementHub/sessions/revokeOthers', {});
+  assert.equal(res.headers.location, '/readersManagementHub?tab=sessions&revoked=2');
+
+  assert.equal(ssot.state.sessions.has(token), true);
+  assert.equal(ssot.state.sessions.has(bystander), true);
+  for (const other of others) {
+    assert.equal((await get('/readersManagementHub', other)).headers.location, '/readersLogin');
+  }
+  assert.equal((await inject('GET', '/readersManagementHub')).statusCode, 200);
+});
+
+test('the hub still renders when the session list is unavailable', async () => {
+  ssot.state.overrides.set('GET /api/readers/sessions', { status: 500, body: { success: false } });
+  const res = await inject('GET', '/readersManagementHub');
+  assert.equal(res.statusCode, 200);
+  assert.equal(views.at(-1).data.sessionsUnavailable, true);
+  assert.match(res.body, /could not be loaded/);
+});
+
+// ──────────────────────────────────────────────
+// Sign-in Security (authenticator app)
+// ──────────────────────────────────────────────
+
+function jane() {
+  return ssot.state.readers.find(r => r.readerPin === 'JS-123456');
+}
+
+test('authenticator enrolment shows a QR code, then recovery codes once', async () => {
+  let res = await inject('POST', '/readersManagementHub/security/totp/start', {});
+  assert.equal(res.headers.location, '/readersManagementHub?tab=security');
+
+  res = await inject('GET', res.headers.location);
+  const { security } = views.at(-1).data;
+  assert.equal(views.at(-1).data.activeTab, 'security');
+  assert.match(security.pendingEnrolment.otpauthUri, /^otpauth:\/\/totp\/QOLAE%20Readers%3Ajane\.smith%40example\.com\?/);
+  assert.match(res.body, /<svg[^>]*>/);
+  assert.match(res.body, new RegExp(security.pendingEnrolment.secret));
+
+  res = await inject('POST', '/readersManagementHub/security/totp/confirm', { code: totpCode(jane().totpPendingSecret) });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['cache-control'], /no-store/);
+  assert.equal(views.at(-1).data.recoveryCodes.length, 10);
+  assert.match(res.body, new RegExp(jane().recoveryCodes[0]));
+  assert.ok(jane().totpSecret);
+
+  // Not repeated on the next visit
+  await inject('GET', '/readersManagementHub?tab=security');
+  assert.equal(views.at(-1).data.recoveryCodes, null);
+  assert.equal(views.at(-1).data.security.enabled, true);
+});
+
+test('a wrong first code does not activate the authenticator', async () => {
+  await inject('POST', '/readersManagementHub/security/totp/start', {});
+  const res = await inject('POST', '/readersManagementHub/security/totp/confirm', { code: '000000' });
+  assert.equal(res.headers.location, '/readersManagementHub?tab=security&securityError=invalidCode');
+  assert.equal(jane().totpSecret, null);
+});
+
+test('removing the authenticator needs a current code', async () => {
+  await inject('POST', '/readersManagementHub/security/totp/start', {});
+  await inject('POST', '/readersManagementHub/security/totp/confirm', { code: totpCode(jane().totpPendingSecret) });
+
+  let res = await inject('POST', '/readersManagementHub/security/totp/disable', { code: '000000' });
+  assert.match(res.headers.location, /securityError=invalidCode/);
+  assert.ok(jane().totpSecret);
+
+  res = await inject('POST', '/readersManagementHub/security/totp/disable', { code: totpCode(jane().totpSecret) });
+  assert.equal(res.headers.location, '/readersManagementHub?tab=security&security=disabled');
+  assert.equal(jane().totpSecret, null);
+});
+
+// ──────────────────────────────────────────────
+// Sign-in Security (passkeys) — software authenticator plays the reader's device
+// ──────────────────────────────────────────────
+
+// JSON calls carry the CSRF token in the header, as the hub's fetch() does
+function injectJson(url, payload) {
+  return server.inject({
+    method: 'POST',
+    url,
+    payload,
+    headers: { 'x-csrf-token': csrfFor(server) },
+    cookies: { qolaeReaderToken: token }
+  });
+}
+
+async function registerPasskey(device, label) {
+  const options = (await injectJson('/readersManagementHub/security/passkeys/options', {})).json();
+  return injectJson('/readersManagementHub/security/passkeys/register', { credential: device.register(options), label });
+}
+
+test('a passkey registers through the hub and its public key is stored at the SSOT', async () => {
+  const device = createSoftAuthenticator();
+  const optionsRes = await injectJson('/readersManagementHub/security/passkeys/options', {});
+  assert.equal(optionsRes.statusCode, 200);
+  const options = optionsRes.json();
+  assert.equal(options.rp.id, 'readers.qolae.com');
+  assert.equal(Buffer.from(options.user.id, 'base64url').toString(), 'JS-123456');
+  assert.equal(options.authenticatorSelection.residentKey, 'required');
+
+  const res = await injectJson('/readersManagementHub/security/passkeys/register', {
+    credential: device.register(options),
+    label: 'Work laptop'
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().redirect, '/readersManagementHub?tab=security&security=passkeyAdded');
+
+  const [stored] = jane().passkeys;
+  assert.equal(stored.label, 'Work laptop');
+  assert.equal(stored.publicKey, device.credentials.get(stored.credentialId).publicKey);
+
+  const hub = await inject('GET', '/readersManagementHub?tab=security&security=passkeyAdded');
+  assert.match(hub.body, /Work laptop/);
+  assert.equal(views.at(-1).data.security.passkeys[0].publicKey, undefined);
+
+  // Already registered → excluded from the next ceremony
+  const next = (await injectJson('/readersManagementHub/security/passkeys/options', {})).json();
+  assert.deepEqual(next.excludeCredentials.map(c => c.id), [stored.credentialId]);
+});
+
+test('a passkey response needs the challenge this session was just given', async () => {
+  const device = createSoftAuthenticator();
+  const forged = device.register({ challenge: 'not-issued', user: { id: Buffer.from('JS-123456').toString('base64url') } });
+
+  let res = await injectJson('/readersManagementHub/security/passkeys/register', { credential: forged });
+  assert.equal(res.statusCode, 400);
+
+  await injectJson('/readersManagementHub/security/passkeys/options', {});
+  res = await injectJson('/readersManagementHub/security/passkeys/register', { credential: forged });
+  assert.equal(res.statusCode, 400);
+  assert.equal(jane().passkeys.length, 0);
+
+  res = await server.inject({
+    method: 'POST',
+    url: '/readersManagementHub/security/passkeys/options',
+    payload: {},
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(res.statusCode, 403);
+});
+
+test('removing a passkey revokes it at the SSOT', async () => {
+  await registerPasskey(createSoftAuthenticator(), 'Phone');
+  const [{ credentialId }] = jane().passkeys;
+
+  const res = await inject('POST', '/readersManagementHub/security/passkeys/remove', { credentialId });
+  assert.equal(res.headers.location, '/readersManagementHub?tab=security&security=passkeyRemoved');
+  assert.equal(jane().passkeys.length, 0);
+});
+
@@ -0,0 +1,305 @@
+// ==============================================
+// sessionMiddleware.test.js — SSOT session validation
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSsotStub, TEST_INTERNAL_SECRET } from './helpers/ssotStub.js';
+
+const ssot = await startSsotStub();
+const { default: server } = await import('../rd_server.js');
+const { resetCircuitBreakers } = await import('../utils/ssotFetch.js');
+const { generateDeviceFingerprint } = await import('../middleware/sessionMiddleware.js');
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+});
+
+after(async () => {
+  await server.close();
+  await ssot.close();
+});
+
+test('public routes skip session validation', async () => {
+  const res = await server.inject({ method: 'GET', url: '/health' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().status, 'healthy');
+});
+
+test('missing cookie redirects to login', async () => {
+  const res = await server.inject({ method: 'GET', url: '/readersManagementHub' });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersLogin');
+});
+
+test('token the SSOT does not recognise redirects to login', async () => {
+  const res = await server.inject({
+    method: 'GET',
+    url: '/readersManagementHub',
+    cookies: { qolaeReaderToken: 'not-a-real-token' }
+  });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersLogin');
+});
+
+test('valid session reaches the route and forwards the SSOT warning header', async () => {
+  ssot.state.overrides.set('POST /auth/validateAndRefreshSession/readers', {
+    status: 200,
+    body: { valid: true, user: { readerPin: 'JS-123456', pin: 'JS-123456' }, warningLevel: 'expiringSoon' }
+  });
+
+  const res = await server.inject({
+    method: 'GET',
+    url: '/readers/paymentHistory',
+    cookies: { qolaeReaderToken: ssot.login() }
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['x-session-warning'], 'expiringSoon');
+  assert.equal(res.json().success, true);
+});
+
+test('SSOT down with no cached session redirects to login', async () => {
+  const token = ssot.login();
+  ssot.state.overrides.set('*', { down: true });
+
+  const res = await server.inject({
+    method: 'GET',
+    url: '/readersManagementHub',
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersLogin');
+});
+
+test('cached session keeps working while the SSOT is down', async () => {
+  const token = ssot.login();
+  const first = await server.inject({
+    method: 'GET',
+    url: '/readers/paymentHistory',
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(first.statusCode, 200);
+
+  ssot.state.overrides.set('POST /auth/validateAndRefreshSession/readers', { down: true });
+  const second = await server.inject({
+    method: 'GET',
+    url: '/readers/paymentHistory',
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(second.statusCode, 200);
+});
+
+test('X-Request-Id is echoed and forwarded to the SSOT', async () => {
+  const res = await server.inject({
+    method: 'GET',
+    url: '/readers/paymentHistory',
+    headers: { 'x-request-id': 'support-ticket-0001' },
+    cookies: { qolaeReaderToken: ssot.login() }
+  });
+  assert.equal(res.headers['x-request-id'], 'support-ticket-0001');
+  assert.ok(ssot.state.calls.some(call =>
+    call.key === 'GET /api/readers/payment/history' && call.requestId === 'support-ticket-0001'
+  ));
+});
+
+test('session bound to this device passes the fingerprint check', async () => {
+  const headers = { 'user-agent': 'Laptop/1.0', 'accept-language': 'en-GB' };
+  const token = ssot.login('JS-123456', { deviceFingerprint: generateDeviceFingerprint({ headers }) });
+
+  const res = await server.inject({
+    method: 'GET',
+    url: '/readers/paymentHistory',
+    headers,
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(ssot.state.securityLog.length, 0);
+});
+
+test('a Range request with Accept-Encoding: identity is the same device', async () => {
+  const headers = { 'user-agent': 'Laptop/1.0', 'accept-language': 'en-GB' };
+  const token = ssot.login('JS-123456', {
+    deviceFingerprint: generateDeviceFingerprint({ headers: { ...headers, 'accept-encoding': 'gzip, deflate, br' } })
+  });
+
+  const res = await server.inject({
+    method: 'GET',
+    url: '/nda/view',
+    headers: { ...headers, range: 'bytes=0-7', 'accept-encoding': 'identity' },
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(res.statusCode, 206);
+  assert.equal(ssot.state.securityLog.length, 0);
+});
+
+test('session used from another device steps up and is security logged', async () => {
+  const token = ssot.login('JS-123456', {
+    deviceFingerprint: generateDeviceFingerprint({ headers: { 'user-agent': 'Laptop/1.0' } })
+  });
+
+  const res = await server.inject({
+    method: 'GET',
+    url: '/readers/paymentHistory',
+    headers: { 'user-agent': 'Phone/2.0' },
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readers2fa?stepUp=newDevice');
+  assert.ok(!ssot.state.calls.some(call => call.key === 'GET /api/readers/payment/history'));
+
+  const [event] = ssot.state.securityLog;
+  assert.equal(event.eventType, 'deviceFingerprintMismatch');
+  assert.equal(event.readerPin, 'JS-123456');
+  assert.equal(event.userAgent, 'Phone/2.0');
+});
+
+test('a cached session is still checked against the device', async () => {
+  const headers = { 'user-agent': 'Laptop/1.0' };
+  const token = ssot.login('JS-123456', { deviceFingerprint: generateDeviceFingerprint({ headers }) });
+  const first = await server.inject({ method: 'GET', url: '/readers/paymentHistory', headers, cookies: { qolaeReaderToken: token } });
+  assert.equal(first.statusCode, 200);
+
+  const res = await server.inject({
+    method: 'GET',
+    url: '/readers/paymentHistory',
+    headers: { 'user-agent': 'Phone/2.0' },
+    cookies: { qolaeReaderToken: token }
+  });
+  assert.equal(res.headers.location, '/readers2fa?stepUp=newDevice');
+});
+
+// ──────────────────────────────────────────────
+// Session cache eviction
+// ──────────────────────────────────────────────
+
+function getHistory(token) {
+  return server.inject({ method: 'GET', url: '/readers/paymentHistory', cookies: { qolaeReaderToken: token } });
+}
+
+function revoke(payload, secret = TEST_INTERNAL_SECRET) {
+  return server.inject({
+    method: 'POST',
+    url: '/internal/sessions/revoke',
+    headers: { 'x-internal-secret': secret },
+    payload
+  });
+}
+
+test('logout evicts the cached session immediately', async () => {
+  const token = ssot.login();
+  assert.equal((await getHistory(token)).statusCode, 200);
+
+  const logout = await server.inject({ method: 'GET', url: '/logout', cookies: { qolaeReaderToken: token } });
+  assert.equal(logout.statusCode, 302);
+
+  const res = await getHistory(token);
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersLogin');
+});
+
+test('the SSOT can revoke a reader\'s cached sessions', async () => {
+  const token = ssot.login('JS-123456');
+  assert.equal((await getHistory(token)).statusCode, 200);
+
+  // Revoked in the SSOT — the cache would otherwise keep it alive
+  ssot.state.sessions.clear();
+  assert.equal((await getHistory(token)).statusCode, 200);
+
+  const res = await revoke({ readerPin: 'JS-123456' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().evicted, 1);
+  assert.equal((await getHistory(token)).headers.location, '/readersLogin');
+});
+
+test('internal revoke requires the internal secret and a target', async () => {
+  let res = await revoke({ readerPin: 'JS-123456' }, 'wrong-secret');
+  assert.equal(res.statusCode, 401);
+
+  res = await revoke({});
+  assert.equal(res.statusCode, 400);
+});
+
+test('session cache metrics count hits and misses', async () => {
+  const before = (await server.inject({ method: 'GET', url: '/health' })).json().sessionCache;
+  const token = ssot.login();
+  await getHistory(token);
+  await getHistory(token);
+
+  const after = (await server.inject({ method: 'GET', url: '/health' })).json().sessionCache;
+  assert.equal(after.misses - before.misses, 1);
+  assert.equal(after.hits - before.hits, 1);
+  assert.ok(after.size <= after.maxEntries);
+});
+
+// ──────────────────────────────────────────────
+// Idle and absolute timeouts
+// ──────────────────────────────────────────────
+
+function sessionTimeoutLogs() {
+  return ssot.state.securityLog.filter(entry => entry.eventType === 'sessionTimeout');
+}
+
+test('an idle session is invalidated and sent to login with the reason', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const token = ssot.login();
+  assert.equal((await getHistory(token)).statusCode, 200);
+
+  t.mock.timers.tick(31 * 60 * 1000);
+  const res = await getHistory(token);
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersLogin?reason=idleTimeout');
+  assert.equal(res.cookies.find(c => c.name === 'qolaeReaderToken').value, '');
+
+  assert.equal(ssot.state.sessions.size, 0, 'SSOT session invalidated');
+  const [audit] = sessionTimeoutLogs();
+  assert.equal(audit.eventStatus, 'idleTimeout');
+  assert.equal(audit.details.gdprCategory, 'authentication');
+});
+
+test('an idle timeout ends only that session, not the reader\'s other devices', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const idleToken = ssot.login();
+  const otherToken = ssot.login('JS-123456', { sessionId: 'other-device-session' });
+  assert.equal((await getHistory(idleToken)).statusCode, 200);
+
+  t.mock.timers.tick(20 * 60 * 1000);
+  assert.equal((await getHistory(otherToken)).statusCode, 200);
+
+  t.mock.timers.tick(11 * 60 * 1000);
+  assert.equal((await getHistory(idleToken)).headers.location, '/readersLogin?reason=idleTimeout');
+
+  assert.deepEqual([...ssot.state.sessions.values()].map(session => session.sessionId), ['other-device-session']);
+  assert.equal((await getHistory(otherToken)).statusCode, 200);
+});
+
+test('polling the session status does not keep an idle session alive', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const token = ssot.login();
+  await getHistory(token);
+
+  for (let poll = 0; poll < 3; poll++) {
+    t.mock.timers.tick(9 * 60 * 1000);
+    const status = await server.inject({ method: 'GET', url: '/api/readers/session/status', cookies: { qolaeReaderToken: token } });
+    assert.equal(status.statusCode, 200);
+  }
+
+  t.mock.timers.tick(4 * 60 * 1000);
+  const res = await getHistory(token);
+  assert.equal(res.headers.location, '/readersLogin?reason=idleTimeout');
+});
+
+test('an active session still ends at the absolute lifetime', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const token = ssot.login();
+
+  // Active every 20 minutes for just under 12 hours
+  for (let step = 0; step < 36; step++) {
+    assert.equal((await getHistory(token)).statusCode, 200);
+    t.mock.timers.tick(20 * 60 * 1000);
+  }
+
+  const res = await getHistory(token);
+  assert.equal(res.headers.location, '/readersLogin?reason=absoluteTimeout');
+  assert.equal(sessionTimeoutLogs()[0].eventStatus, 'absoluteTimeout');
+});
@@ -0,0 +1,126 @@
+// ==============================================
+// sessionRoutes.test.js — expiry status, silent refresh, countdown modal
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSsotStub, captureViews, csrfFor } from './helpers/ssotStub.js';
+
+const ssot = await startSsotStub();
+const { default: server } = await import('../rd_server.js');
+const { resetCircuitBreakers } = await import('../utils/ssotFetch.js');
+const { BOOTSTRAP_CACHE } = await import('../middleware/sessionMiddleware.js');
+captureViews(server);
+
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+let token;
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+  BOOTSTRAP_CACHE.clear();
+  token = ssot.login('JS-123456');
+});
+
+after(async () => {
+  await server.close();
+  await ssot.close();
+});
+
+function get(url, cookie = token) {
+  return server.inject({ method: 'GET', url, cookies: { qolaeReaderToken: cookie } });
+}
+
+function extend(cookie = token, csrf = csrfFor(server)) {
+  return server.inject({
+    method: 'POST',
+    url: '/api/readers/session/extend',
+    payload: {},
+    headers: { 'x-csrf-token': csrf },
+    cookies: { qolaeReaderToken: cookie }
+  });
+}
+
+test('session status reports the earliest deadline — the idle timeout by default', async () => {
+  const res = await get('/api/readers/session/status');
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['cache-control'], /no-store/);
+
+  const body = res.json();
+  assert.equal(body.success, true);
+  assert.equal(body.endsBy, 'idleTimeout');
+  assert.ok(body.secondsRemaining > 29 * 60 && body.secondsRemaining <= 30 * 60);
+  assert.equal(body.warningLevel, null);
+});
+
+test('session status hands out a fresh CSRF token for long-open pages', async () => {
+  const { csrfToken } = (await get('/api/readers/session/status')).json();
+  assert.ok(csrfToken);
+
+  const res = await extend(token, csrfToken);
+  assert.equal(res.statusCode, 200);
+});
+
+test('session status carries the SSOT warning level near token expiry', async () => {
+  const session = ssot.state.sessions.get(token);
+  session.expiresAt = new Date(Date.now() + 4 * 60 * 1000).toISOString();
+
+  const res = await get('/api/readers/session/status');
+  assert.equal(res.json().warningLevel, 'critical');
+  assert.equal(res.json().endsBy, 'tokenExpiry');
+  assert.ok(res.json().secondsRemaining <= 4 * 60);
+  assert.equal(res.headers['x-session-warning'], 'critical');
+});
+
+test('session status without a session redirects to login', async () => {
+  const res = await server.inject({ method: 'GET', url: '/api/readers/session/status' });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readersLogin');
+});
+
+test('extend swaps the cookie for a fresh token and retires the old one', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  await get('/api/readers/session/status');
+  t.mock.timers.tick(20 * 60 * 1000);
+
+  const res = await extend();
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().endsBy, 'idleTimeout');
+  assert.equal(res.json().secondsRemaining, 30 * 60);
+
+  const cookie = res.cookies.find(c => c.name === 'qolaeReaderToken');
+  assert.ok(cookie.value && cookie.value !== token);
+  assert.equal(cookie.maxAge, SESSION_TTL_SECONDS);
+  assert.equal(cookie.httpOnly, true);
+  assert.equal(cookie.secure, true);
+  assert.equal(cookie.sameSite, 'Strict');
+  assert.equal(cookie.domain, '.qolae.com');
+  assert.equal(cookie.path, '/');
+
+  assert.equal((await get('/api/readers/session/status', cookie.value)).statusCode, 200);
+  // Old token was evicted from the session cache and revoked by the SSOT
+  assert.equal((await get('/api/readers/session/status')).statusCode, 302);
+});
+
+test('extend requires a CSRF token', async () => {
+  const res = await extend(token, null);
+  assert.equal(res.statusCode, 403);
+  assert.equal(ssot.state.sessions.has(token), true);
+});
+
+test('extend returns 401 when the SSOT refuses', async () => {
+  await get('/api/readers/session/status'); // cache the session so the middleware lets us through
+  ssot.state.overrides.set('POST /auth/validateAndRefreshSession/readers', { status: 401, body: { valid: false } });
+
+  const res = await extend();
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json().error, 'Session expired - please login again');
+});
+
+test('authenticated pages include the session expiry modal', async () => {
+  const res = await get('/readersDashboard');
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /id="sessionExpiryOverlay"/);
+  assert.match(res.body, /\/session\/extend/);
+});
@@ -0,0 +1,95 @@
+// ==============================================
+// ssotContracts.test.js — SSOT payload contracts
+// ==============================================
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSsotPayload, SsotContractError } from '../utils/ssotContracts.js';
+
+// Contract violations are logged — keep test output readable
+const originalWarn = console.warn;
+const originalError = console.error;
+const logged = [];
+before(() => {
+  console.warn = (...args) => logged.push(args.join(' '));
+  console.error = (...args) => logged.push(args.join(' '));
+});
+after(() => {
+  console.warn = originalWarn;
+  console.error = originalError;
+});
+
+function bootstrap(overrides = {}) {
+  return {
+    valid: true,
+    user: { readerPin: 'JS-123456', readerName: 'Jane Smith' },
+    gates: { nda: { completed: true } },
+    stats: { completedAssignments: 4, averageTurnaroundHours: 18.5, totalEarnings: 150 },
+    assignments: [],
+    ...overrides
+  };
+}
+
+test('valid payload passes through with optional fields defaulted', () => {
+  const payload = validateSsotPayload('workspaceBootstrap', bootstrap());
+  assert.equal(payload.user.firstName, '');
+  assert.equal(payload.user.phone, null);
+  assert.deepEqual(payload.features, {});
+  assert.equal(payload.stats.totalEarnings, 150);
+});
+
+test('missing optional objects are filled from nested defaults', () => {
+  const payload = validateSsotPayload('workspaceBootstrap', {
+    valid: true,
+    user: { readerPin: 'JS-123456' }
+  });
+  assert.equal(payload.gates.nda.completed, false);
+  assert.deepEqual(payload.stats, { completedAssignments: 0, averageTurnaroundHours: null, totalEarnings: 0 });
+  assert.deepEqual(payload.assignments, []);
+});
+
+test('wrongly typed optional fields fall back to defaults and are logged', () => {
+  logged.length = 0;
+  const payload = validateSsotPayload('workspaceBootstrap', bootstrap({
+    gates: { nda: { completed: 'yes' } },
+    stats: 'unavailable'
+  }));
+  assert.equal(payload.gates.nda.completed, false);
+  assert.equal(payload.stats.totalEarnings, 0);
+  assert.ok(logged.some(line => line.includes('/gates/nda/completed must be boolean')));
+  assert.ok(logged.some(line => line.includes('/stats must be object')));
+});
+
+test('missing required fields throw a precise SsotContractError', () => {
+  assert.throws(
+    () => validateSsotPayload('workspaceBootstrap', { valid: true, user: { readerName: 'Jane' } }),
+    (error) => {
+      assert.ok(error instanceof SsotContractError);
+      assert.equal(error.code, 'SSOT_CONTRACT_VIOLATION');
+      assert.equal(error.contract, 'workspaceBootstrap');
+      assert.deepEqual(error.violations, ['/user/readerPin is required']);
+      return true;
+    }
+  );
+});
+
+test('payment, calendar and NDA contracts guard the fields views read', () => {
+  const payment = validateSsotPayload('paymentProcessing', {
+    success: true,
+    paymentData: { assignmentId: 'a-1', readerPin: 'JS-123456', paymentAmount: '75' }
+  });
+  assert.equal(payment.paymentData.paymentAmount, null);
+  assert.deepEqual(payment.timeline, { step1: 'pending', step2: 'pending', step3: 'pending' });
+
+  assert.throws(() => validateSsotPayload('calendarResolved', {
+    success: true,
+    calendar: { month: 13, year: 2026, monthName: 'Smarch', weeks: [], prevMonth: { month: 12, year: 2026 }, nextMonth: { month: 1, year: 2027 } }
+  }), /\/calendar\/month must be <= 12/);
+
+  assert.deepEqual(validateSsotPayload('ndaStep', { success: true }), { success: true, error: null });
+  assert.throws(() => validateSsotPayload('ndaStep', { ok: true }), SsotContractError);
+});
+
+test('unknown contract names are a programming error', () => {
+  assert.throws(() => validateSsotPayload('nope', {}), /Unknown SSOT contract: nope/);
+});
@@ -0,0 +1,74 @@
+// ==============================================
+// ssotFetch.test.js — circuit breaker keys and what trips them
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSsotStub } from './helpers/ssotStub.js';
+
+const ssot = await startSsotStub();
+const {
+  default: ssotFetch,
+  circuitKey,
+  getCircuitBreakerStates,
+  resetCircuitBreakers
+} = await import('../utils/ssotFetch.js');
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+});
+
+after(async () => {
+  await ssot.close();
+});
+
+test('record ids collapse to one endpoint key', () => {
+  assert.equal(circuitKey('GET', '/api/readers/nda/previewPdf/JS-123456'), 'GET /api/readers/nda/previewPdf/:id');
+  assert.equal(
+    circuitKey('GET', '/api/readers/payment/status/8d1e2f3a-0000-4000-8000-000000000047?readerPin=JS-123456'),
+    'GET /api/readers/payment/status/:id'
+  );
+  assert.equal(circuitKey('POST', '/auth/readers/2fa/verifyCode'), 'POST /auth/readers/2fa/verifyCode');
+  assert.equal(circuitKey('POST', '/auth/validateAndRefreshSession/readers'), 'POST /auth/validateAndRefreshSession/readers');
+});
+
+test('failures across different readers open one shared circuit', async () => {
+  ssot.state.overrides.set('GET /api/readers/nda/previewPdf/:readerPin', { status: 503, body: { success: false } });
+
+  for (let i = 0; i < 5; i++) {
+    const res = await ssotFetch(`/api/readers/nda/previewPdf/JS-10000${i}`, { retries: 0 });
+    assert.equal(res.status, 503);
+  }
+
+  await assert.rejects(
+    ssotFetch('/api/readers/nda/previewPdf/KB-654321', { retries: 0 }),
+    err => err.ssotDegraded && err.endpoint === 'GET /api/readers/nda/previewPdf/:id'
+  );
+
+  const circuits = getCircuitBreakerStates();
+  assert.deepEqual(Object.keys(circuits), ['GET /api/readers/nda/previewPdf/:id']);
+  assert.equal(circuits['GET /api/readers/nda/previewPdf/:id'].state, 'open');
+  assert.ok(!JSON.stringify(circuits).includes('KB-654321'), 'no reader PINs in /health');
+});
+
+test('plain 500s reach the caller without opening the circuit', async () => {
+  ssot.state.overrides.set('GET /api/readers/nda/previewPdf/:readerPin', { status: 500, body: { success: false } });
+
+  for (let i = 0; i < 8; i++) {
+    const res = await ssotFetch('/api/readers/nda/previewPdf/JS-123456', { retries: 0 });
+    assert.equal(res.status, 500);
+  }
+
+  assert.deepEqual(getCircuitBreakerStates()['GET /api/readers/nda/previewPdf/:id'], { state: 'closed', failures: 0 });
+});
+
+test('network failures count towards the circuit', async () => {
+  ssot.state.overrides.set('GET /api/readers/nda/previewPdf/:readerPin', { down: true });
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(ssotFetch('/api/readers/nda/previewPdf/JS-123456', { retries: 0 }));
+  }
+
+  assert.equal(getCircuitBreakerStates()['GET /api/readers/nda/previewPdf/:id'].state, 'open');
+});
@@ -0,0 +1,61 @@
+// ==============================================
+// wordDiff.test.js — word-level track changes
+// ==============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffWords, countWords } from '../utils/wordDiff.js';
+
+function proposedFrom(segments) {
+  return segments.filter(s => s.type !== 'delete').map(s => s.text).join('');
+}
+
+function originalFrom(segments) {
+  return segments.filter(s => s.type !== 'insert').map(s => s.text).join('');
+}
+
+test('a replaced word reads as one deletion then one insertion', () => {
+  assert.deepEqual(diffWords('Clinical evaluation was conducted on', 'A clinical evaluation was conducted on'), [
+    { type: 'delete', text: 'Clinical' },
+    { type: 'insert', text: 'A clinical' },
+    { type: 'equal', text: ' evaluation was conducted on' }
+  ]);
+});
+
+test('changes in the middle and at the end keep the words around them', () => {
+  const segments = diffWords('the quick brown fox', 'the slow red fox jumps');
+  assert.deepEqual(segments, [
+    { type: 'equal', text: 'the ' },
+    { type: 'delete', text: 'quick brown' },
+    { type: 'insert', text: 'slow red' },
+    { type: 'equal', text: ' fox' },
+    { type: 'insert', text: ' jumps' }
+  ]);
+});
+
+test('both sides can be rebuilt from the segments', () => {
+  const original = 'Primary diagnosis: [Click here to add your professional assessment]';
+  const proposed = 'Primary diagnosis: chronic lumbar pain with  radicular features';
+  const segments = diffWords(original, proposed);
+  assert.equal(originalFrom(segments), original);
+  assert.equal(proposedFrom(segments), proposed);
+});
+
+test('new and unchanged text', () => {
+  assert.deepEqual(diffWords('', 'Opinion drafted offline.'), [{ type: 'insert', text: 'Opinion drafted offline.' }]);
+  assert.deepEqual(diffWords('same text', 'same text'), [{ type: 'equal', text: 'same text' }]);
+  assert.deepEqual(diffWords('', ''), []);
+});
+
+test('very long rewrites fall back to one deletion and one insertion', () => {
+  const original = Array.from({ length: 600 }, (_, i) => `old${i}`).join(' ');
+  const proposed = Array.from({ length: 600 }, (_, i) => `new${i}`).join(' ');
+  const segments = diffWords(`start ${original} end`, `start ${proposed} end`);
+  assert.deepEqual(segments.map(s => s.type), ['equal', 'delete', 'insert', 'equal']);
+  assert.equal(proposedFrom(segments), `start ${proposed} end`);
+});
+
+test('countWords ignores whitespace', () => {
+  assert.equal(countWords('  A clinical\nevaluation '), 3);
+  assert.equal(countWords(''), 0);
+});
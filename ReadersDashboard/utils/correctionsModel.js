@@ -0,0 +1,116 @@
+// ==============================================
+// correctionsModel.js — Structured Report Corrections
+// ==============================================
+// Purpose: The one shape a reader's corrections take on the way to the SSOT
+//   (inaReportReview.ejs builds it, saveCorrections validates it):
+//   { anchor, originalText, proposedText, note, category }
+// anchor — data-anchor of the report block the correction applies to
+//   ('section-2' for a whole section, 'section-2.p1' for a paragraph)
+// Plain text only — no editor HTML; unknown fields are rejected, not stripped
+// baseRevision — draft revision the reader's page started from; the SSOT
+//   answers 409 { conflict, draft } when someone saved in between
+// Idempotency-Key header — one per save attempt (the review page's offline
+//   queue reuses it on every replay); optional, forwarded to the SSOT
+// ==============================================
+
+import Ajv from 'ajv';
+
+export const CORRECTION_CATEGORIES = ['factual', 'clinical', 'terminology', 'grammar', 'clarity', 'other'];
+
+const MAX_CORRECTIONS = 200;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_NOTE_LENGTH = 2000;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+const correctionSchema = {
+  type: 'object',
+  required: ['anchor', 'originalText', 'proposedText', 'category'],
+  additionalProperties: false,
+  properties: {
+    anchor: { type: 'string', pattern: '^section-\\d{1,3}(\\.(p|li)\\d{1,3})?$' },
+    originalText: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+    proposedText: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+    note: { type: 'string', maxLength: MAX_NOTE_LENGTH, default: '' },
+    category: { type: 'string', enum: CORRECTION_CATEGORIES }
+  }
+};
+
+const correctionsRequestSchema = {
+  type: 'object',
+  required: ['assignmentId', 'corrections', 'baseRevision'],
+  properties: {
+    assignmentId: { type: 'string', minLength: 1, maxLength: 64 },
+    baseRevision: { type: 'integer', minimum: 0 },
+    corrections: { type: 'array', maxItems: MAX_CORRECTIONS, items: correctionSchema }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validateRequest = ajv.compile(correctionsRequestSchema);
+
+function describe(error) {
+  const path = error.instancePath || 'body';
+  if (error.keyword === 'required') {
+    return `${path}/${error.params.missingProperty} is required`;
+  }
+  if (error.keyword === 'additionalProperties') {
+    return `${path}/${error.params.additionalProperty} is not allowed`;
+  }
+  return `${path} ${error.message}`;
+}
+
+/**
+ * validateCorrectionsRequest — check a saveCorrections request before it goes to the SSOT
+ * Fills `note: ''` where missing; a correction must change the text or carry a note
+ * @param {object} body — request.body
+ * @param {object} [headers] — request.headers (Idempotency-Key)
+ * @returns {{ valid: true, assignmentId: string, baseRevision: number, corrections: object[], idempotencyKey: string|null }
+ *   | { valid: false, errors: string[] }}
+ */
+export function validateCorrectionsRequest(body, headers = {}) {
+  const candidate = {
+    assignmentId: body?.assignmentId,
+    baseRevision: body?.baseRevision,
+    corrections: Array.isArray(body?.corrections) ? body.corrections.map(c => (c && typeof c === 'object' ? { ...c } : c)) : body?.corrections
+  };
+
+  if (!validateRequest(candidate)) {
+    return { valid: false, errors: validateRequest.errors.map(describe) };
+  }
+
+  const errors = [];
+  const idempotencyKey = headers['idempotency-key'] ?? null;
+  if (idempotencyKey !== null && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    errors.push('Idempotency-Key must be 8-100 letters, digits, "-" or "_"');
+  }
+
+  const anchors = new Set();
+  candidate.corrections.forEach((correction, index) => {
+    if (correction.originalText === correction.proposedText && !correction.note.trim()) {
+      errors.push(`/corrections/${index} changes nothing and has no note`);
+    }
+    if (anchors.has(correction.anchor)) {
+      errors.push(`/corrections/${index}/anchor ${correction.anchor} appears more than once`);
+    }
+    anchors.add(correction.anchor);
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+  return {
+    valid: true,
+    assignmentId: candidate.assignmentId,
+    baseRevision: candidate.baseRevision,
+    corrections: candidate.corrections,
+    idempotencyKey
+  };
+}
+
+/**
+ * invalidCorrectionsResponse — 400 body for a rejected save
+ * @param {string[]} errors
+ */
+export function invalidCorrectionsResponse(errors) {
+  return { success: false, error: 'Corrections are not valid', details: errors };
+}
@@ -0,0 +1,214 @@
+// ==============================================
+// correctionsPdf.js — Submitted Corrections as a PDF Record
+// ==============================================
+// Purpose: Lay out a reader's submitted corrections (location, original and
+//   proposed text, category, note) for GET /api/readers/assignments/:id/corrections.pdf
+// GDPR: takes an explicit whitelist of fields — assignment number,
+//   submission time, reader name, corrections. Internal case details are
+//   never passed in, so they cannot end up in the file
+// Standard Helvetica only (no font files to ship) — text outside WinAnsi
+//   is replaced; redaction bars print as [redacted]
+// ==============================================
+
+import { PDFDocument, StandardFonts, PageSizes, rgb } from 'pdf-lib';
+
+const MARGIN = 50;
+const BODY_SIZE = 10;
+const LINE_HEIGHT = 14;
+const COLOURS = {
+  heading: rgb(0.12, 0.16, 0.23),
+  muted: rgb(0.39, 0.45, 0.55),
+  deleted: rgb(0.6, 0.11, 0.11),
+  inserted: rgb(0.09, 0.4, 0.2),
+  note: rgb(0.12, 0.25, 0.69),
+  rule: rgb(0.89, 0.91, 0.94)
+};
+
+const ANCHOR_PARTS = { p: 'paragraph', li: 'list item' };
+
+/**
+ * describeAnchor — correction anchor as a reader-facing location
+ * 'section-1.li2' → 'Section 1, list item 2'
+ * @param {string} anchor
+ * @returns {string}
+ */
+export function describeAnchor(anchor) {
+  const match = /^section-(\d+)(?:\.(p|li)(\d+))?$/.exec(anchor);
+  if (!match) {
+    return anchor;
+  }
+  return match[2] ? `Section ${match[1]}, ${ANCHOR_PARTS[match[2]]} ${match[3]}` : `Section ${match[1]}`;
+}
+
+function formatTimestamp(value) {
+  if (!value) {
+    return 'Not recorded';
+  }
+  return new Date(value).toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'UTC',
+    timeZoneName: 'short'
+  });
+}
+
+/**
+ * buildCorrectionsPdf — formatted corrections report
+ * @param {object} record
+ * @param {number|string} record.assignmentNumber
+ * @param {string|null} record.submittedAt — ISO timestamp
+ * @param {string} record.readerName
+ * @param {object[]} record.corrections — [{ anchor, originalText, proposedText, note, category }]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function buildCorrectionsPdf({ assignmentNumber, submittedAt, readerName, corrections }) {
+  const pdf = await PDFDocument.create();
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  pdf.setTitle(`Corrections — Assignment ${assignmentNumber}`);
+  pdf.setSubject('INA report corrections submitted by the reader');
+  pdf.setCreator('QOLAE Readers Dashboard');
+  pdf.setProducer('QOLAE');
+
+  // Helvetica is WinAnsi-only — anything it can't draw becomes '?'
+  const encodable = new Map();
+  const clean = (text) => String(text ?? '')
+    .replace(/█+/g, '[redacted]')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/./gu, (char) => {
+      if (!encodable.has(char)) {
+        try {
+          regular.encodeText(char);
+          encodable.set(char, true);
+        } catch (err) {
+          encodable.set(char, false);
+        }
+      }
+      return encodable.get(char) ? char : '?';
+    });
+
+  const [pageWidth, pageHeight] = PageSizes.A4;
+  const textWidth = pageWidth - MARGIN * 2;
+  let page;
+  let y;
+
+  const newPage = () => {
+    page = pdf.addPage(PageSizes.A4);
+    y = pageHeight - MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN + LINE_HEIGHT) {
+      newPage();
+    }
+  };
+
+  // Greedy word wrap; a single word wider than the line is cut by characters
+  const wrap = (text, font, size, width) => {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      line = word;
+      while (font.widthOfTextAtSize(line, size) > width) {
+        let cut = line.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(line.slice(0, cut), size) > width) {
+          cut--;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    if (line) {
+      lines.push(line);
+    }
+    return lines;
+  };
+
+  const write = (text, { font = regular, size = BODY_SIZE, color = COLOURS.heading, indent = 0 } = {}) => {
+    for (const line of wrap(clean(text), font, size, textWidth - indent)) {
+      ensureSpace(LINE_HEIGHT);
+      page.drawText(line, { x: MARGIN + indent, y, size, font, color });
+      y -= LINE_HEIGHT;
+    }
+  };
+
+  const labelled = (label, text, color) => {
+    ensureSpace(LINE_HEIGHT * 2);
+    page.drawText(label, { x: MARGIN + 12, y, size: BODY_SIZE - 1, font: bold, color: COLOURS.muted });
+    y -= LINE_HEIGHT;
+    write(text || '(none)', { color, indent: 12 });
+  };
+
+  const rule = () => {
+    ensureSpace(LINE_HEIGHT);
+    page.drawLine({
+      start: { x: MARGIN, y: y + 4 },
+      end: { x: pageWidth - MARGIN, y: y + 4 },
+      thickness: 1,
+      color: COLOURS.rule
+    });
+    y -= LINE_HEIGHT / 2;
+  };
+
+  // ── Header
+  newPage();
+  write('QOLAE — Report Corrections', { font: bold, size: 18 });
+  y -= 6;
+  write(`Assignment #${assignmentNumber}`, { font: bold, size: 12 });
+  write(`Submitted: ${formatTimestamp(submittedAt)}`, { color: COLOURS.muted });
+  write(`Reader: ${readerName || 'Not recorded'}`, { color: COLOURS.muted });
+  write(`Corrections: ${corrections.length}`, { color: COLOURS.muted });
+  y -= 6;
+  rule();
+
+  // ── Corrections
+  if (corrections.length === 0) {
+    write('No corrections were made to this report.', { color: COLOURS.muted });
+  }
+
+  corrections.forEach((correction, index) => {
+    ensureSpace(LINE_HEIGHT * 4);
+    y -= 4;
+    write(`${index + 1}. ${describeAnchor(correction.anchor)} · ${correction.category}`, { font: bold, size: 11 });
+    if (correction.originalText === correction.proposedText) {
+      labelled('Text (unchanged)', correction.originalText);
+    } else {
+      labelled('Original', correction.originalText, COLOURS.deleted);
+      labelled('Proposed', correction.proposedText, COLOURS.inserted);
+    }
+    if (correction.note && correction.note.trim()) {
+      labelled('Note', correction.note, COLOURS.note);
+    }
+    y -= 4;
+    rule();
+  });
+
+  // ── Footer on every page
+  const pages = pdf.getPages();
+  const footer = clean(`Assignment #${assignmentNumber} · Generated ${formatTimestamp(new Date().toISOString())}`);
+  pages.forEach((footerPage, index) => {
+    footerPage.drawText(footer, { x: MARGIN, y: MARGIN / 2, size: 8, font: regular, color: COLOURS.muted });
+    const pageLabel = `Page ${index + 1} of ${pages.length}`;
+    footerPage.drawText(pageLabel, {
+      x: pageWidth - MARGIN - regular.widthOfTextAtSize(pageLabel, 8),
+      y: MARGIN / 2,
+      size: 8,
+      font: regular,
+      color: COLOURS.muted
+    });
+  });
+
+  return pdf.save();
+}
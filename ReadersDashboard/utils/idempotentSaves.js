@@ -0,0 +1,50 @@
+// ==============================================
+// idempotentSaves.js — Corrections Save Replies by Idempotency-Key
+// ==============================================
+// Purpose: A save sent again with the same Idempotency-Key gets its first
+//   reply back without reaching the SSOT, so the draft revision moves once:
+//   the review page's outbox resends after a lost reply, and after a 202
+//   { queued } save that degradedModeGuard has since replayed
+// SSOT contract: POST /api/readers/corrections/save MUST deduplicate by
+//   readerPin + Idempotency-Key too — answering a repeat with the original
+//   reply and `Idempotent-Replayed: true`. This cache is per process and
+//   short-lived: it does not survive a restart or span dashboard instances
+// Only successful (200) replies are kept — a 409 or 5xx may be retried
+// ==============================================
+
+import { createLruCache } from './lruCache.js';
+
+// Same lifetime as degradedModeGuard's replay queue
+const SAVE_REPLIES = createLruCache({
+  maxEntries: Number(process.env.IDEMPOTENT_SAVES_MAX_ENTRIES) || 5000,
+  ttlMs: 24 * 60 * 60 * 1000
+});
+
+/**
+ * recallSave — reply of an earlier successful save with this key
+ * @param {string} readerPin
+ * @param {string|null} idempotencyKey
+ * @returns {object|null}
+ */
+export function recallSave(readerPin, idempotencyKey) {
+  if (!idempotencyKey) {
+    return null;
+  }
+  return SAVE_REPLIES.get(`${readerPin}:${idempotencyKey}`) ?? null;
+}
+
+/**
+ * rememberSave — keep a successful save's reply for repeats of its key
+ * @param {string} readerPin
+ * @param {string|null} idempotencyKey — nothing is kept without one
+ * @param {object} reply — SSOT body, e.g. { success, revision, savedAt }
+ */
+export function rememberSave(readerPin, idempotencyKey, reply) {
+  if (idempotencyKey) {
+    SAVE_REPLIES.set(`${readerPin}:${idempotencyKey}`, reply);
+  }
+}
+
+export function clearIdempotentSaves() {
+  SAVE_REPLIES.clear();
+}
@@ -0,0 +1,154 @@
+// ==============================================
+// lruCache.js — Size-bounded LRU Cache with TTL
+// ==============================================
+// Purpose: In-process caches that must not grow with traffic
+//   (session validation results, SSOT read-throughs)
+// Map insertion order is the recency order: get() re-inserts, so the
+//   first key is always the least recently used
+// Expired entries are dropped lazily on read; the capacity bound
+//   drops the least recently used entry on write
+// Optional stale window: past ttlMs an entry misses on get() but stays
+//   readable through getStale() until ttlMs + staleTtlMs (degraded mode)
+// expire() ends an entry's fresh life early without losing the stale copy
+// ==============================================
+
+/**
+ * createLruCache — bounded cache with hit/miss/eviction counters
+ * @param {object} options
+ * @param {number} options.maxEntries — hard upper bound on entries
+ * @param {number} options.ttlMs — lifetime of an entry from set()
+ * @param {number} [options.staleTtlMs] — extra time an expired entry stays readable via getStale()
+ * @returns {{ get, getStale, set, expire, expireAll, delete, deleteWhere, clear, metrics, size }}
+ */
+export function createLruCache({ maxEntries, ttlMs, staleTtlMs = 0 }) {
+  const entries = new Map();
+  const counters = {
+    hits: 0,
+    misses: 0,
+    staleHits: 0,
+    invalidations: 0,
+    evictions: { capacity: 0, expired: 0, explicit: 0 }
+  };
+
+  // Entry still inside its stale window, or undefined (dropping it if past)
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && Date.now() >= entry.expiresAt + staleTtlMs) {
+      entries.delete(key);
+      counters.evictions.expired++;
+      return undefined;
+    }
+    return entry;
+  }
+
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+  }
+
+  function get(key) {
+    const entry = live(key);
+    if (!entry || Date.now() >= entry.expiresAt) {
+      counters.misses++;
+      return undefined;
+    }
+    touch(key, entry);
+    counters.hits++;
+    return entry.value;
+  }
+
+  // Fresh or stale — for serving the last known value while the source is down
+  function getStale(key) {
+    const entry = live(key);
+    if (!entry) {
+      return undefined;
+    }
+    touch(key, entry);
+    counters.staleHits++;
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions.capacity++;
+    }
+  }
+
+  // Next get() misses (refetch); getStale() still serves the old value
+  function expire(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    entry.expiresAt = Math.min(entry.expiresAt, Date.now());
+    counters.invalidations++;
+    return true;
+  }
+
+  function expireAll() {
+    for (const key of entries.keys()) {
+      expire(key);
+    }
+    return entries.size;
+  }
+
+  function remove(key) {
+    const removed = entries.delete(key);
+    if (removed) {
+      counters.evictions.explicit++;
+    }
+    return removed;
+  }
+
+  // Evict every entry whose value matches — returns how many were removed
+  function deleteWhere(predicate) {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (predicate(entry.value)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    counters.evictions.explicit += removed;
+    return removed;
+  }
+
+  function clear() {
+    counters.evictions.explicit += entries.size;
+    entries.clear();
+  }
+
+  function metrics() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      size: entries.size,
+      maxEntries,
+      ttlMs,
+      staleTtlMs,
+      hits: counters.hits,
+      misses: counters.misses,
+      staleHits: counters.staleHits,
+      invalidations: counters.invalidations,
+      hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : 0,
+      evictions: { ...counters.evictions }
+    };
+  }
+
+  return {
+    get,
+    getStale,
+    set,
+    expire,
+    expireAll,
+    delete: remove,
+    deleteWhere,
+    clear,
+    metrics,
+    get size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,83 @@
+// ==============================================
+// requestContext.js — Correlation ID Propagation
+// ==============================================
+// Purpose: One X-Request-Id per inbound request, carried end to end
+// Accepts a well-formed X-Request-Id from nginx/clients, else generates one
+// AsyncLocalStorage makes the ID visible to ssotFetch without threading it
+//   through every controller and route signature
+// ==============================================
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+export const REQUEST_ID_HEADER = 'x-request-id';
+
+// Reject anything that could smuggle log/header injection
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const requestStore = new AsyncLocalStorage();
+
+function isRequestId(value) {
+  return typeof value === 'string' && REQUEST_ID_PATTERN.test(value);
+}
+
+/**
+ * genRequestId — Fastify genReqId option
+ * @param {IncomingMessage} req — raw Node request
+ * @returns {string} — incoming X-Request-Id if well-formed, else a new UUID
+ */
+export function genRequestId(req) {
+  const incoming = req.headers[REQUEST_ID_HEADER];
+  if (isRequestId(incoming)) {
+    return incoming;
+  }
+  return crypto.randomUUID();
+}
+
+/**
+ * getRequestId — correlation ID of the request currently being handled
+ * @returns {string|null} — null outside a request (startup, timers)
+ */
+export function getRequestId() {
+  return requestStore.getStore()?.requestId || null;
+}
+
+/**
+ * attachRequestContext — wire correlation IDs into a Fastify server
+ * - runs each request inside its own AsyncLocalStorage context
+ * - echoes X-Request-Id on every response
+ * - exposes requestId to EJS views (reply.locals) and error JSON
+ * - tags ?error= redirects with &ref= so the next page can quote it
+ * @param {FastifyInstance} server
+ */
+export function attachRequestContext(server) {
+  server.addHook('onRequest', (request, reply, done) => {
+    reply.header(REQUEST_ID_HEADER, request.id);
+    requestStore.run({ requestId: request.id }, done);
+  });
+
+  server.addHook('preHandler', async (request, reply) => {
+    reply.locals = {
+      ...reply.locals,
+      requestId: request.id,
+      // ?ref= is echoed into the page — only trust it if it looks like one of our IDs
+      errorReference: isRequestId(request.query?.ref) ? request.query.ref : request.id
+    };
+  });
+
+  server.addHook('preSerialization', async (request, reply, payload) => {
+    if (reply.statusCode >= 400 && payload && typeof payload === 'object' && !Array.isArray(payload)) {
+      return { ...payload, requestId: request.id };
+    }
+    return payload;
+  });
+
+  server.addHook('onSend', async (request, reply, payload) => {
+    const location = reply.getHeader('location');
+    if (reply.statusCode >= 300 && reply.statusCode < 400 && typeof location === 'string'
+      && /[?&]error=/.test(location) && !/[?&]ref=/.test(location)) {
+      reply.header('location', `${location}&ref=${encodeURIComponent(request.id)}`);
+    }
+    return payload;
+  });
+}
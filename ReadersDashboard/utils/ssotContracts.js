@@ -0,0 +1,425 @@
+// ==============================================
+// ssotContracts.js — SSOT Response Contracts
+// ==============================================
+// Purpose: JSON Schema (Ajv) contracts for every SSOT payload the dashboard
+//   reads deep fields from, so an SSOT shape change fails loudly and precisely
+//   instead of as an opaque "Cannot read properties of undefined" 500
+// Optional fields declare a `default` — missing OR wrongly typed values fall
+//   back to it (logged as a contract warning)
+// Required fields have no default — a violation throws SsotContractError
+// ==============================================
+
+import Ajv from 'ajv';
+import { getRequestId } from './requestContext.js';
+
+const nullableString = { type: ['string', 'null'], default: null };
+const nullableNumber = { type: ['number', 'null'], default: null };
+
+// ──────────────────────────────────────────────
+// CONTRACT SCHEMAS
+// ──────────────────────────────────────────────
+
+// GET /readers/workspace/bootstrap → readerRoutes.js GET /readersDashboard
+const workspaceBootstrap = {
+  type: 'object',
+  required: ['valid', 'user'],
+  properties: {
+    valid: { type: 'boolean' },
+    user: {
+      type: 'object',
+      required: ['readerPin'],
+      properties: {
+        readerPin: { type: 'string', minLength: 1 },
+        readerName: { type: 'string', default: '' },
+        firstName: { type: 'string', default: '' },
+        readerType: { type: 'string', default: '' },
+        readerEmail: { type: 'string', default: '' },
+        phone: nullableString,
+        lastLogin: nullableString
+      }
+    },
+    gates: {
+      type: 'object',
+      default: {},
+      properties: {
+        nda: {
+          type: 'object',
+          default: {},
+          properties: {
+            completed: { type: 'boolean', default: false },
+            signedAt: nullableString
+          }
+        }
+      }
+    },
+    features: { type: 'object', default: {} },
+    stats: {
+      type: 'object',
+      default: {},
+      properties: {
+        completedAssignments: { type: 'integer', minimum: 0, default: 0 },
+        averageTurnaroundHours: nullableNumber,
+        totalEarnings: { type: 'number', default: 0 }
+      }
+    },
+    assignments: { type: 'array', items: { type: 'object' }, default: [] }
+  }
+};
+
+// GET /api/readers/payment/processing → payment page, payment & review modals
+const paymentProcessing = {
+  type: 'object',
+  required: ['success', 'paymentData'],
+  properties: {
+    success: { type: 'boolean' },
+    paymentData: {
+      type: 'object',
+      required: ['assignmentId', 'readerPin'],
+      properties: {
+        assignmentId: { type: 'string', minLength: 1 },
+        readerPin: { type: 'string', minLength: 1 },
+        readerName: { type: 'string', default: '' },
+        readerEmail: { type: 'string', default: '' },
+        readerType: { type: 'string', default: '' },
+        paymentStatus: { type: 'string', default: 'pending' },
+        paymentAmount: nullableNumber,
+        paymentReference: nullableString,
+        assignedAt: nullableString,
+        correctionsSubmittedAt: nullableString,
+        paymentApprovedAt: nullableString,
+        paymentProcessedAt: nullableString,
+        // Payment method from HR Compliance onboarding — absent until the reader adds one
+        bankName: nullableString,
+        accountHolderName: nullableString,
+        lastFourDigits: nullableString,
+        sortCode: nullableString,
+        accountType: nullableString,
+        paymentDetailsVerified: { type: 'boolean', default: false }
+      }
+    },
+    timeline: {
+      type: 'object',
+      default: {},
+      properties: {
+        step1: { enum: ['pending', 'current', 'completed'], default: 'pending' },
+        step2: { enum: ['pending', 'current', 'completed'], default: 'pending' },
+        step3: { enum: ['pending', 'current', 'completed'], default: 'pending' }
+      }
+    }
+  }
+};
+
+const monthRef = {
+  type: 'object',
+  required: ['month', 'year'],
+  properties: {
+    month: { type: 'integer', minimum: 1, maximum: 12 },
+    year: { type: 'integer' }
+  }
+};
+
+// GET /api/readers/calendar/resolved → /calendar page & dashboard calendar modal
+const calendarResolved = {
+  type: 'object',
+  required: ['success', 'calendar'],
+  properties: {
+    success: { type: 'boolean' },
+    calendar: {
+      type: 'object',
+      required: ['month', 'year', 'monthName', 'weeks', 'prevMonth', 'nextMonth'],
+      properties: {
+        month: { type: 'integer', minimum: 1, maximum: 12 },
+        year: { type: 'integer' },
+        monthName: { type: 'string' },
+        dayLabels: {
+          type: 'array',
+          items: { type: 'string' },
+          default: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+        },
+        weeks: { type: 'array', items: { type: 'array', items: { type: 'object' } } },
+        weeklyPattern: { type: 'object', default: {} },
+        prevMonth: monthRef,
+        nextMonth: monthRef
+      }
+    },
+    reader: { type: 'object', default: {} },
+    overrides: { type: 'array', items: { type: 'object' }, default: [] },
+    assignments: { type: 'array', items: { type: 'object' }, default: [] }
+  }
+};
+
+// POST /api/readers/nda/{continueToSign,preview,sign} → ndaRoutes.js step redirects
+const ndaStep = {
+  type: 'object',
+  required: ['success'],
+  properties: {
+    success: { type: 'boolean' },
+    error: nullableString
+  }
+};
+
+// GET /api/readers/managementHub/bootstrap → readersManagementHub.ejs
+const managementHubBootstrap = {
+  type: 'object',
+  required: ['success', 'reader'],
+  properties: {
+    success: { type: 'boolean' },
+    reader: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        readerType: { type: 'string', default: '' },
+        lastActive: nullableString,
+        stats: {
+          type: 'object',
+          default: {},
+          properties: {
+            completedReports: { type: 'integer', minimum: 0, default: 0 },
+            activeAssignments: { type: 'integer', minimum: 0, default: 0 },
+            documentsUploaded: { type: 'integer', minimum: 0, default: 0 },
+            successRate: { type: 'number', default: 0 }
+          }
+        }
+      }
+    },
+    documents: { type: 'array', items: { type: 'object' }, default: [] },
+    reports: { type: 'array', items: { type: 'object' }, default: [] },
+    payments: {
+      type: 'object',
+      default: {},
+      properties: {
+        summary: {
+          type: 'object',
+          default: {},
+          properties: {
+            totalEarnings: { type: 'number', default: 0 },
+            totalReports: { type: 'integer', minimum: 0, default: 0 },
+            paymentsReceived: { type: 'number', default: 0 },
+            paidReports: { type: 'integer', minimum: 0, default: 0 },
+            pendingPayments: { type: 'number', default: 0 }
+          }
+        },
+        method: {
+          type: 'object',
+          default: {},
+          properties: {
+            type: { type: 'string', default: 'bank_transfer' },
+            accountLast4: { type: 'string', default: '****' },
+            accountName: { type: 'string', default: '' },
+            verified: { type: 'boolean', default: false }
+          }
+        },
+        history: { type: 'array', items: { type: 'object' }, default: [] }
+      }
+    }
+  }
+};
+
+// GET /api/readers/sessions → readersManagementHub.ejs (Active Sessions tab)
+const readerSessions = {
+  type: 'object',
+  required: ['success', 'sessions'],
+  properties: {
+    success: { type: 'boolean' },
+    sessions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['sessionId'],
+        properties: {
+          sessionId: { type: 'string', minLength: 1 },
+          deviceFingerprint: nullableString,
+          ipAddress: nullableString,
+          userAgent: nullableString,
+          createdAt: nullableString,
+          lastActivityAt: nullableString
+        }
+      }
+    }
+  }
+};
+
+// GET /api/readers/security → Management Hub Sign-in Security tab (authenticator app + passkeys)
+const readerSecurity = {
+  type: 'object',
+  required: ['success', 'totp'],
+  properties: {
+    success: { type: 'boolean' },
+    totp: {
+      type: 'object',
+      required: ['enabled'],
+      properties: {
+        enabled: { type: 'boolean' },
+        recoveryCodesRemaining: { type: 'integer', minimum: 0, default: 0 },
+        pendingEnrolment: {
+          type: ['object', 'null'],
+          default: null,
+          required: ['secret', 'otpauthUri'],
+          properties: {
+            secret: { type: 'string', minLength: 1 },
+            otpauthUri: { type: 'string', minLength: 1 }
+          }
+        }
+      }
+    },
+    passkeys: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['credentialId'],
+        properties: {
+          credentialId: { type: 'string', minLength: 1 },
+          label: { type: 'string', default: 'Passkey' },
+          transports: { type: 'array', items: { type: 'string' }, default: [] },
+          createdAt: nullableString,
+          lastUsedAt: nullableString
+        }
+      }
+    }
+  }
+};
+
+// GET /api/readers/corrections/draft → review page (baseRevision, merge view,
+//   track changes) and the corrections PDF
+const correctionsDraft = {
+  type: 'object',
+  required: ['success', 'draft'],
+  properties: {
+    success: { type: 'boolean' },
+    draft: {
+      type: 'object',
+      required: ['revision'],
+      properties: {
+        revision: { type: 'integer', minimum: 0 },
+        corrections: { type: 'array', items: { type: 'object' }, default: [] },
+        savedAt: nullableString
+      }
+    },
+    submitted: { type: 'boolean', default: false },
+    submittedAt: nullableString,
+    assignmentNumber: nullableNumber
+  }
+};
+
+// GET /api/readers/report/redacted → correctionsDiff (the text corrections
+//   are diffed against — never the browser's copy)
+const redactedReport = {
+  type: 'object',
+  required: ['success', 'blocks'],
+  properties: {
+    success: { type: 'boolean' },
+    blocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['anchor', 'text'],
+        properties: {
+          anchor: { type: 'string' },
+          text: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// ──────────────────────────────────────────────
+// VALIDATION
+// ──────────────────────────────────────────────
+
+const ajv = new Ajv({
+  allErrors: true,
+  useDefaults: true,
+  allowUnionTypes: true,
+  verbose: true // errors carry parentSchema → lets us find the field's default
+});
+
+const VALIDATORS = {
+  workspaceBootstrap: ajv.compile(workspaceBootstrap),
+  paymentProcessing: ajv.compile(paymentProcessing),
+  calendarResolved: ajv.compile(calendarResolved),
+  ndaStep: ajv.compile(ndaStep),
+  managementHubBootstrap: ajv.compile(managementHubBootstrap),
+  readerSessions: ajv.compile(readerSessions),
+  readerSecurity: ajv.compile(readerSecurity),
+  correctionsDraft: ajv.compile(correctionsDraft),
+  redactedReport: ajv.compile(redactedReport)
+};
+
+/**
+ * SsotContractError — SSOT payload is missing or mistypes a required field
+ */
+export class SsotContractError extends Error {
+  constructor(contract, violations) {
+    super(`SSOT contract violation (${contract}): ${violations.join('; ')}`);
+    this.name = 'SsotContractError';
+    this.code = 'SSOT_CONTRACT_VIOLATION';
+    this.contract = contract;
+    this.violations = violations;
+  }
+}
+
+function describe(error) {
+  const path = error.instancePath || '(root)';
+  if (error.keyword === 'required') {
+    return `${path}/${error.params.missingProperty} is required`;
+  }
+  return `${path} ${error.message} (got ${JSON.stringify(error.data)})`;
+}
+
+// Replace the value at a JSON Pointer (e.g. /stats/totalEarnings)
+function replaceAt(payload, instancePath, value) {
+  const keys = instancePath.split('/').slice(1).map(k => k.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node[key], payload);
+  parent[last] = value;
+}
+
+/**
+ * validateSsotPayload — enforce a contract on a parsed SSOT JSON body
+ * Mutates the payload in place: fills defaults, repairs optional fields
+ * @param {string} contract — key of VALIDATORS (e.g. 'workspaceBootstrap')
+ * @param {object} payload — result of apiResponse.json()
+ * @returns {object} — the same payload, safe to read deep fields from
+ * @throws {SsotContractError} — a required field is missing or invalid
+ */
+export function validateSsotPayload(contract, payload) {
+  const validate = VALIDATORS[contract];
+  if (!validate) {
+    throw new Error(`Unknown SSOT contract: ${contract}`);
+  }
+
+  if (validate(payload)) {
+    return payload;
+  }
+
+  // Optional fields (schema has a default) → reset to default; anything else is fatal
+  const repaired = new Set();
+  const fatal = [];
+  for (const error of validate.errors) {
+    const optional = error.instancePath && error.parentSchema && 'default' in error.parentSchema;
+    if (optional && error.keyword !== 'required') {
+      if (!repaired.has(error.instancePath)) {
+        repaired.add(error.instancePath);
+        console.warn(`[ssotContracts] [${getRequestId()}] ${contract}: ${describe(error)} → using default`);
+        replaceAt(payload, error.instancePath, structuredClone(error.parentSchema.default));
+      }
+    } else {
+      fatal.push(describe(error));
+    }
+  }
+
+  // Second pass fills defaults inside repaired objects and catches anything left
+  if (fatal.length === 0 && !validate(payload)) {
+    fatal.push(...validate.errors.map(describe));
+  }
+
+  if (fatal.length > 0) {
+    const error = new SsotContractError(contract, fatal);
+    console.error(`[ssotContracts] [${getRequestId()}] ${error.message}`);
+    throw error;
+  }
+
+  return payload;
+}
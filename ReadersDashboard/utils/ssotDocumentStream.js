@@ -0,0 +1,88 @@
+// ==============================================
+// ssotDocumentStream.js — Stream SSOT Documents to the Browser
+// ==============================================
+// Purpose: Pipe PDF/document bodies from the SSOT straight into the reply
+//   instead of buffering the whole file in memory
+// Passes through Content-Length and HTTP Range (206 / 416) so browser PDF
+//   viewers can open large signed documents progressively
+// Usage (any document proxy route):
+//   const apiResponse = await ssotFetch(path, documentFetchOptions(request));
+//   if (!isDocumentResponse(apiResponse)) { ...route-specific 404... }
+//   return streamSsotDocument(reply, apiResponse, { filename, disposition });
+// ==============================================
+
+import { Readable } from 'stream';
+
+// Documents wait longer than JSON calls — signed documents can be large
+const DOCUMENT_FETCH_OPTIONS = { timeoutMs: 30000, retries: 3 };
+
+// Browser → SSOT: conditional/partial request headers
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range'];
+
+// SSOT → browser: body framing and cache validators
+const PASSTHROUGH_RESPONSE_HEADERS = [
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'etag',
+  'last-modified'
+];
+
+/**
+ * documentFetchOptions — ssotFetch options for a document proxy
+ * @param {FastifyRequest} request — inbound browser request (Range is forwarded)
+ * @returns {object} — options for ssotFetch()
+ */
+export function documentFetchOptions(request) {
+  // identity: byte ranges and Content-Length must describe the bytes we relay
+  const headers = { 'Accept-Encoding': 'identity' };
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    if (request.headers[name]) {
+      headers[name] = request.headers[name];
+    }
+  }
+  return { ...DOCUMENT_FETCH_OPTIONS, headers };
+}
+
+/**
+ * isDocumentResponse — SSOT answered with a document (or an unsatisfiable range)
+ * @param {Response} apiResponse — ssotFetch() result
+ * @returns {boolean} — false for 404/5xx etc. (caller sends its own error)
+ */
+export function isDocumentResponse(apiResponse) {
+  return apiResponse.ok || apiResponse.status === 416;
+}
+
+/**
+ * streamSsotDocument — relay status, framing headers and body to the browser
+ * @param {FastifyReply} reply
+ * @param {Response} apiResponse — ssotFetch() result (200, 206 or 416)
+ * @param {object} options
+ * @param {string} options.filename — Content-Disposition filename
+ * @param {string} [options.disposition] — 'inline' (default) or 'attachment'
+ * @param {string} [options.contentType] — default application/pdf
+ * @returns {FastifyReply}
+ */
+export function streamSsotDocument(reply, apiResponse, { filename, disposition = 'inline', contentType = 'application/pdf' }) {
+  reply.code(apiResponse.status);
+
+  for (const name of PASSTHROUGH_RESPONSE_HEADERS) {
+    const value = apiResponse.headers.get(name);
+    if (value) {
+      reply.header(name, value);
+    }
+  }
+
+  if (apiResponse.status === 416) {
+    apiResponse.body?.cancel();
+    return reply.send();
+  }
+
+  reply.header('Content-Type', contentType);
+  reply.header('Content-Disposition', disposition + '; filename="' + filename + '"');
+
+  if (!apiResponse.body) {
+    return reply.send();
+  }
+  return reply.send(Readable.fromWeb(apiResponse.body));
+}
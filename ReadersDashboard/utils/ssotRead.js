@@ -0,0 +1,95 @@
+// ==============================================
+// ssotRead.js — Coalesced SSOT Reads (single-flight + short memo)
+// ==============================================
+// Purpose: Identical SSOT GETs issued at the same moment (or within a
+//   couple of seconds) share one upstream request — e.g. the review and
+//   payment modals and paymentProcessing all read /payment/processing,
+//   and the payment status poller re-reads /payment/status
+// Single-flight: concurrent callers for the same path await one fetch
+// Memo: a 2xx body is kept for SSOT_READ_MEMO_TTL_MS (default 2s);
+//   errors and non-2xx responses are never memoised
+// Each caller gets its own Response (a body can only be read once)
+// Key is the full path, query included — every reader-scoped path
+//   carries readerPin, so readers never share an entry
+// The shared fetch carries the first caller's X-Request-Id
+// ==============================================
+
+import ssotFetch from './ssotFetch.js';
+import { createLruCache } from './lruCache.js';
+
+const MEMO_TTL_MS = Number(process.env.SSOT_READ_MEMO_TTL_MS) || 2000;
+
+const MEMO = createLruCache({ maxEntries: 2000, ttlMs: MEMO_TTL_MS });
+const IN_FLIGHT = new Map();
+let coalesced = 0;
+
+function toResponse(snapshot) {
+  // null body for empty replies — Response rejects '' with 204/304
+  return new Response(snapshot.body || null, {
+    status: snapshot.status,
+    statusText: snapshot.statusText,
+    headers: snapshot.headers
+  });
+}
+
+async function fetchSnapshot(path, options) {
+  const response = await ssotFetch(path, options);
+  return {
+    path,
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers),
+    body: await response.text(),
+    ok: response.ok
+  };
+}
+
+/**
+ * ssotRead — GET from the SSOT, sharing the upstream call with identical reads
+ * @param {string} path — API path including query string
+ * @param {object} [options] — ssotFetch options (timeoutMs, retries); method is always GET
+ * @returns {Promise<Response>} — a fresh Response per caller
+ */
+export async function ssotRead(path, options = {}) {
+  const memoised = MEMO.get(path);
+  if (memoised) {
+    return toResponse(memoised);
+  }
+
+  let pending = IN_FLIGHT.get(path);
+  if (pending) {
+    coalesced++;
+  } else {
+    pending = fetchSnapshot(path, { ...options, method: 'GET' })
+      .then(snapshot => {
+        if (snapshot.ok) {
+          MEMO.set(path, snapshot);
+        }
+        return snapshot;
+      })
+      .finally(() => IN_FLIGHT.delete(path));
+    IN_FLIGHT.set(path, pending);
+  }
+
+  return toResponse(await pending);
+}
+
+/**
+ * invalidateSsotReads — drop memoised reads for one reader (after their own writes)
+ * @param {string} readerPin
+ * @returns {number} entries removed
+ */
+export function invalidateSsotReads(readerPin) {
+  const marker = `readerPin=${encodeURIComponent(readerPin)}`;
+  return MEMO.deleteWhere(snapshot => snapshot.path.includes(marker));
+}
+
+export function clearSsotReads() {
+  MEMO.clear();
+}
+
+export function getSsotReadMetrics() {
+  return { ...MEMO.metrics(), inFlight: IN_FLIGHT.size, coalesced };
+}
+
+export default ssotRead;
@@ -0,0 +1,139 @@
+// ==============================================
+// wordDiff.js — Word-level Diff for Track Changes
+// ==============================================
+// Purpose: Turn a report block's SSOT text → the reader's proposedText into
+//   equal / delete / insert segments for the review page's
+//   track-changes view (GET /api/readers/correctionsDiff)
+// Words and the whitespace between them are separate tokens, so joining
+//   the equal + insert segments gives back proposedText exactly
+// Longest common subsequence over the changed middle (common prefix and
+//   suffix are trimmed first); past MAX_DIFF_CELLS the middle is reported
+//   as one delete + one insert rather than spending the CPU
+// ==============================================
+
+const MAX_DIFF_CELLS = 250000;
+
+function tokenize(text) {
+  return text.match(/\s+|\S+/g) || [];
+}
+
+/**
+ * countWords — non-whitespace tokens in a string
+ * @param {string} text
+ * @returns {number}
+ */
+export function countWords(text) {
+  return tokenize(text).filter(token => token.trim()).length;
+}
+
+// LCS lengths of every suffix pair, then one forward walk — deletions before insertions
+function diffTokens(before, after) {
+  const rows = before.length;
+  const cols = after.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    return [
+      ...before.map(token => ({ type: 'delete', text: token })),
+      ...after.map(token => ({ type: 'insert', text: token }))
+    ];
+  }
+
+  const width = cols + 1;
+  const lcs = new Uint16Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i * width + j] = before[i] === after[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      ops.push({ type: 'equal', text: before[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: 'delete', text: before[i++] });
+    } else {
+      ops.push({ type: 'insert', text: after[j++] });
+    }
+  }
+  while (i < rows) ops.push({ type: 'delete', text: before[i++] });
+  while (j < cols) ops.push({ type: 'insert', text: after[j++] });
+  return ops;
+}
+
+/**
+ * diffWords — word-level diff of two plain-text strings
+ * Adjacent tokens of the same type are merged; a lone whitespace token
+ *   between two changes is folded into them so "a b" → "c d" reads as one
+ *   deletion and one insertion, not four
+ * @param {string} original
+ * @param {string} proposed
+ * @returns {{ type: 'equal'|'delete'|'insert', text: string }[]}
+ */
+export function diffWords(original, proposed) {
+  const before = tokenize(original);
+  const after = tokenize(proposed);
+
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const ops = [
+    ...before.slice(0, start).map(token => ({ type: 'equal', text: token })),
+    ...diffTokens(before.slice(start, endBefore), after.slice(start, endAfter)),
+    ...before.slice(endBefore).map(token => ({ type: 'equal', text: token }))
+  ];
+
+  // Whitespace kept between two changes belongs to both sides of the change
+  const folded = [];
+  ops.forEach((op, index) => {
+    const previous = ops[index - 1];
+    const next = ops[index + 1];
+    if (op.type === 'equal' && !op.text.trim() && previous && next && previous.type !== 'equal' && next.type !== 'equal') {
+      folded.push({ type: 'delete', text: op.text }, { type: 'insert', text: op.text });
+      return;
+    }
+    folded.push(op);
+  });
+
+  // Deletions before insertions within each changed run, then merge neighbours
+  const segments = [];
+  let run = [];
+  const pushSegment = (op) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === op.type) {
+      last.text += op.text;
+    } else {
+      segments.push({ ...op });
+    }
+  };
+  const flushRun = () => {
+    run.sort((a, b) => (a.type === b.type ? 0 : a.type === 'delete' ? -1 : 1));
+    run.forEach(pushSegment);
+    run = [];
+  };
+  folded.forEach(op => {
+    if (op.type === 'equal') {
+      flushRun();
+      pushSegment(op);
+    } else {
+      run.push(op);
+    }
+  });
+  flushRun();
+
+  return segments;
+}
@@ -28,6 +28,10 @@ import fastifyView from '@fastify/view';
 import cookie from '@fastify/cookie';
 import ejs from 'ejs';
 import rateLimit from '@fastify/rate-limit';
+import { attachRequestContext, genRequestId } from './utils/requestContext.js';
+import { generateDeviceFingerprint } from './utils/deviceFingerprint.js';
+import { revokeDashboardSessions } from './utils/dashboardSessions.js';
+import { LOCKOUT_MINUTES } from './utils/loginLockout.js';
 
 // ES6 module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -37,7 +41,14 @@ const __dirname = dirname(__filename);
 dotenv.config({ path: `${__dirname}/.env` });
 
 // A.3: Server Initialization
-const fastify = Fastify({ logger: true, trustProxy: true });
+// Correlation IDs: accept/generate X-Request-Id, logged as requestId
+const fastify = Fastify({
+  logger: { level: process.env.LOG_LEVEL || 'info' },
+  trustProxy: true,
+  requestIdHeader: false,
+  genReqId: genRequestId,
+  requestIdLogLabel: 'requestId'
+});
 
 // ==============================================
 // LOCATION BLOCK B: MIDDLEWARE & PLUGINS
@@ -46,6 +57,7 @@ const fastify = Fastify({ logger: true, trustProxy: true });
 // B.3: Form Body Parser
 // B.4: Static File Serving
 // B.5: View Engine Setup
+// B.7: Request Context (X-Request-Id)
 // ==============================================
 
 // B.1: CORS Configuration
@@ -111,11 +123,18 @@ fastify.register(fastifyView, {
 // B.6: Rate Limit Error Handler (429 → server-side redirect)
 fastify.setErrorHandler((error, request, reply) => {
   if (error.statusCode === 429) {
+    // Passkey sign-in is driven by fetch() — answer in JSON, the page shows the message
+    if (request.url.startsWith('/readersAuth/passkey/')) {
+      return reply.code(429).send({ success: false, error: 'Too many passkey sign-in attempts. Please try again in 15 minutes.' });
+    }
     const redirectMap = {
       '/readersAuth/login': '/readersLogin?error=' + encodeURIComponent('Too many login attempts. Please try again in 15 minutes.'),
       '/readersAuth/requestEmailCode': '/readers2fa?error=' + encodeURIComponent('Too many code requests. Please wait 10 minutes.'),
       '/readersAuth/verify2fa': '/readers2fa?error=' + encodeURIComponent('Too many verification attempts. Please wait 10 minutes.'),
-      '/readersAuth/secureLogin': '/secureLogin?error=' + encodeURIComponent('Too many password attempts. Please try again in 15 minutes.')
+      '/readersAuth/secureLogin': '/secureLogin?error=' + encodeURIComponent('Too many password attempts. Please try again in 15 minutes.'),
+      '/readersAuth/unlockRequest': '/readersLogin/locked?error=' + encodeURIComponent('Too many unlock requests. Please wait 15 minutes.'),
+      '/readersAuth/passwordResetRequest': '/readersLogin?error=' + encodeURIComponent('Too many password reset requests. Please wait 15 minutes.'),
+      '/readersAuth/passwordReset': '/readersLogin?error=' + encodeURIComponent('Too many password reset attempts. Please try again in 15 minutes.')
     };
     const redirectUrl = redirectMap[request.url.split('?')[0]] || '/readersLogin?error=' + encodeURIComponent('Too many requests. Please try again later.');
     return reply.code(302).redirect(redirectUrl);
@@ -123,6 +142,9 @@ fastify.setErrorHandler((error, request, reply) => {
   reply.send(error);
 });
 
+// B.7: Request Context — X-Request-Id into logs, ssotFetch calls and error pages
+attachRequestContext(fastify);
+
 // ==============================================
 // LOCATION BLOCK C: AUTHENTICATION SETUP
 // C.1: JWT Configuration
@@ -161,22 +183,12 @@ function generateSessionToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
-function generateDeviceFingerprint(req) {
-  const components = [
-    req.headers['user-agent'],
-    req.headers['accept-language'],
-    req.headers['accept-encoding']
-  ].join('|');
-
-  return crypto.createHash('sha256').update(components).digest('hex');
-}
-
 // ==============================================
 // LOCATION BLOCK 1: CORE ROUTING
 // 1.1: Root & Redirect Routes
-// 1.2: Login Page Routes
+// 1.2: Login Page Routes (incl. lockout page)
 // 1.3: 2FA Authentication Route
-// 1.4: Dashboard & Logout Routes
+// 1.4: Dashboard, Password Reset & Logout Routes
 // ==============================================
 
 // 1.1: Root Route - Redirect to Login
@@ -184,6 +196,12 @@ fastify.get('/', async (request, reply) => {
   return reply.redirect('/readersLogin');
 });
 
+// Why ReadersDashboard ended the session (?reason= on its redirect here)
+const SESSION_END_MESSAGES = {
+  idleTimeout: 'You were signed out after a period of inactivity. Please log in again.',
+  absoluteTimeout: 'Your session reached its maximum length. Please log in again.'
+};
+
 // 1.2a: Readers Login Page - Main Route with PIN Access via SSOT
 fastify.get('/readersLogin', async (request, reply) => {
   const { readerPin } = request.query;
@@ -203,6 +221,7 @@ fastify.get('/readersLogin', async (request, reply) => {
       tokenStatus: '',
       error: request.query.error || '',
       success: request.query.success || '',
+      sessionEnded: SESSION_END_MESSAGES[request.query.reason] || '',
       message: 'Please enter your Reader PIN and email address to log in'
     });
   }
@@ -213,7 +232,7 @@ fastify.get('/readersLogin', async (request, reply) => {
   // ═══════════════════════════════════════════════════════════
 
   try {
-    fastify.log.info({ event: 'pinAccessRequest', readerPin });
+    request.log.info({ event: 'pinAccessRequest', readerPin });
 
     const deviceFingerprint = generateDeviceFingerprint(request);
 
@@ -232,23 +251,24 @@ fastify.get('/readersLogin', async (request, reply) => {
 
     if (!ssotResponse.ok) {
       if (ssotResponse.status === 401) {
-        return reply.code(404).send('Invalid Reader PIN');
+        return reply.code(404).send(`Invalid Reader PIN (Reference: ${request.id})`);
       }
       if (ssotResponse.status === 403) {
         return reply.code(403).send(`
           <h2>Access Revoked</h2>
           <p>Your access has been revoked. Contact support@qolae.com</p>
+          <p>Reference: ${request.id}</p>
         `);
       }
-      return reply.code(500).send('Internal server error');
+      return reply.code(500).send(`Internal server error (Reference: ${request.id})`);
     }
 
     if (!ssotData.success) {
-      fastify.log.warn({ event: 'pinAccessFailed', error: ssotData.error });
-      return reply.code(401).send('Invalid Reader PIN');
+      request.log.warn({ event: 'pinAccessFailed', error: ssotData.error });
+      return reply.code(401).send(`Invalid Reader PIN (Reference: ${request.id})`);
     }
 
-    fastify.log.info({ event: 'pinAccessSuccess', readerPin, isNewReader: ssotData.isNewReader });
+    request.log.info({ event: 'pinAccessSuccess', readerPin, isNewReader: ssotData.isNewReader });
 
     // Initialize session if it doesn't exist
     if (!request.session) {
@@ -290,8 +310,8 @@ fastify.get('/readersLogin', async (request, reply) => {
     });
 
   } catch (error) {
-    fastify.log.error({ event: 'readersLoginError', error: error.message });
-    return reply.code(500).send('Internal server error');
+    request.log.error({ event: 'readersLoginError', error: error.message });
+    return reply.code(500).send(`Internal server error (Reference: ${request.id})`);
   }
 });
 
@@ -302,11 +322,30 @@ fastify.get('/login', async (request, reply) => {
   return reply.redirect(redirectUrl);
 });
 
+// 1.2c: Lockout Page — too many failed attempts for this PIN/email
+// Deliberately generic: never confirms whether the PIN or email exists
+// Under /readersLogin so the existing nginx location proxies it
+fastify.get('/readersLogin/locked', async (request, reply) => {
+  const { readerPin, sent, error } = request.query;
+
+  return reply.view('readersLocked.ejs', {
+    title: 'Account Temporarily Locked - QOLAE Readers Portal',
+    readerPin: readerPin || '',
+    lockoutMinutes: LOCKOUT_MINUTES,
+    sent: sent === 'true',
+    error: error || null
+  });
+});
+
 // 1.3: 2FA Authentication Page
 fastify.get('/readers2fa', async (request, reply) => {
   const sessionId = request.cookies.qolaeReaderToken;
   const codeSent = request.query.codeSent === 'true';
   const errorMsg = request.query.error ? decodeURIComponent(request.query.error) : '';
+  // Step-up: ReadersDashboard saw this session on a device it was not issued to
+  const stepUp = request.query.stepUp === 'newDevice';
+  // Factor picked by the reader; authenticator readers default to 'totp' below
+  const requestedMethod = ['email', 'totp', 'recovery'].includes(request.query.method) ? request.query.method : null;
 
   // Default view data - always pass all variables
   const viewData = {
@@ -317,7 +356,10 @@ fastify.get('/readers2fa', async (request, reply) => {
     authToken: '',
     codeSent: codeSent,
     error: errorMsg,
-    success: codeSent ? 'Verification code sent! Check your email inbox.' : ''
+    success: codeSent ? 'Verification code sent! Check your email inbox.' : '',
+    stepUp: stepUp,
+    totpEnabled: false,
+    method: 'email'
   };
 
   if (!sessionId) {
@@ -344,11 +386,16 @@ fastify.get('/readers2fa', async (request, reply) => {
     viewData.readerEmail = reader.readerEmail || '';
     viewData.readerName = reader.readerName || '';
     viewData.authToken = sessionId;
+    viewData.totpEnabled = !!reader.totpEnabled;
+    // Email code stays available as a fallback; a code just sent means email
+    if (reader.totpEnabled && !codeSent) {
+      viewData.method = requestedMethod || 'totp';
+    }
 
     return reply.view('readers2fa.ejs', viewData);
 
   } catch (error) {
-    fastify.log.error('2FA page error:', error.message);
+    request.log.error('2FA page error:', error.message);
     viewData.error = 'An error occurred. Please return to login.';
     return reply.view('readers2fa.ejs', viewData);
   }
@@ -368,7 +415,7 @@ fastify.get('/secureLogin', async (req, reply) => {
   }
 
   if (!token) {
-    fastify.log.warn({ event: 'secureLoginNoToken', readerPin });
+    req.log.warn({ event: 'secureLoginNoToken', readerPin });
     return reply.redirect(`/readersLogin?readerPin=${readerPin}&error=sessionExpired`);
   }
 
@@ -382,12 +429,12 @@ fastify.get('/secureLogin', async (req, reply) => {
     const statusData = await statusRes.json();
 
     if (!statusRes.ok || !statusData.success) {
-      fastify.log.warn({ event: 'secureLoginStatusFailed', error: statusData.error });
+      req.log.warn({ event: 'secureLoginStatusFailed', error: statusData.error });
       return reply.redirect(`/readersLogin?readerPin=${readerPin}&error=statusCheckFailed`);
     }
 
     const reader = statusData.reader;
-    fastify.log.info({ event: 'secureLoginStatusRetrieved', readerPin: reader.readerPin });
+    req.log.info({ event: 'secureLoginStatusRetrieved', readerPin: reader.readerPin });
 
     // NOTE: Compliance gate is handled at 2FA stage, not here
     // If reader reaches secureLogin, they have already passed compliance check
@@ -480,12 +527,13 @@ fastify.get('/secureLogin', async (req, reply) => {
       hasPassword: userStatus.hasPassword,
       setupCompleted: req.query.setupCompleted === 'true',
       errorMessage: req.query.error ? decodeURIComponent(req.query.error) : '',
+      resetSent: req.query.resetSent === 'true',
       newDevice: req.query.newDevice === 'true',
       previousIp: req.query.previousIp || ''
     });
 
   } catch (error) {
-    fastify.log.error({ event: 'secureLoginSsotError', error: error.message });
+    req.log.error({ event: 'secureLoginSsotError', error: error.message });
 
     await ssotFetch('/auth/readers/securityLog', {
       method: 'POST',
@@ -510,18 +558,23 @@ fastify.post('/logout', async (request, reply) => {
   const jwtToken = request.cookies?.qolaeReaderToken;
 
   if (jwtToken) {
+    let readerPin = null;
     try {
       const decoded = jwt.verify(jwtToken, process.env.READERS_LOGIN_JWT_SECRET, { algorithms: ['HS256'] });
-      if (decoded.readerPin) {
+      readerPin = decoded.readerPin || null;
+      if (readerPin) {
         await ssotFetch('/auth/invalidateSession', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ userType: 'readers', pin: decoded.readerPin })
+          body: JSON.stringify({ userType: 'readers', pin: readerPin })
         });
       }
     } catch (err) {
       console.error('Session invalidation failed:', err.message);
     }
+
+    // ReadersDashboard caches session validations — evict now, not after the cache TTL
+    await revokeDashboardSessions({ readerPin, token: jwtToken });
   }
 
   reply.clearCookie('qolaeReaderToken', {
@@ -535,6 +588,53 @@ fastify.post('/logout', async (request, reply) => {
   return reply.redirect('/ReadersLogin');
 });
 
+// 1.4c: Password Reset Page — single-use link emailed by the SSOT
+// (requested from the forgotPassword state of /secureLogin)
+fastify.get('/secureLogin/reset/:token', async (req, reply) => {
+  const { token } = req.params;
+
+  reply.header('Cache-Control', 'no-cache, no-store, must-revalidate');
+  // The token is in the URL — keep it out of Referer headers
+  reply.header('Referrer-Policy', 'no-referrer');
+
+  const viewData = {
+    title: 'Reset Password - QOLAE Readers Portal',
+    token,
+    tokenValid: false,
+    readerEmail: '',
+    errorMessage: req.query.error || ''
+  };
+
+  try {
+    const ssotRes = await ssotFetch('/auth/readers/passwordReset/validate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+    const ssotData = await ssotRes.json();
+
+    if (!ssotRes.ok || !ssotData.success) {
+      req.log.warn({ event: 'passwordResetLinkRejected', status: ssotRes.status, gdprCategory: 'authentication' });
+      return reply.code(410).view('secureLoginReset.ejs', viewData);
+    }
+
+    req.log.info({ event: 'passwordResetLinkOpened', readerPin: ssotData.reader?.readerPin, gdprCategory: 'authentication' });
+    return reply.view('secureLoginReset.ejs', {
+      ...viewData,
+      tokenValid: true,
+      readerEmail: ssotData.reader?.readerEmail || ''
+    });
+
+  } catch (error) {
+    req.log.error({ event: 'passwordResetLinkError', error: error.message });
+    return reply.code(503).view('secureLoginReset.ejs', {
+      ...viewData,
+      errorMessage: 'Authentication service unavailable. Please try again shortly.',
+      errorReference: req.id
+    });
+  }
+});
+
 // ==============================================
 // LOCATION BLOCK 2: HELPER FUNCTIONS
 // (checkReaderInSystem removed — Session 127, dead code, auth uses SSOT endpoints directly)
@@ -544,15 +644,15 @@ fastify.post('/logout', async (request, reply) => {
 // LOCATION BLOCK 3: EXTERNAL ROUTE MODULES
 // ==============================================
 
+const { default: readersAuthRoute } = await import('./routes/readersAuthRoute.js');
+await fastify.register(readersAuthRoute);
+
 // ==============================================
 // LOCATION BLOCK 4: SERVER STARTUP
 // ==============================================
 
 const start = async () => {
   try {
-    const { default: readersAuthRoute } = await import('./routes/readersAuthRoute.js');
-    await fastify.register(readersAuthRoute);
-
     await fastify.listen({
       port: process.env.PORT || 3015,
       host: '0.0.0.0'
@@ -565,4 +665,9 @@ const start = async () => {
   }
 };
 
-start();
+// Integration tests import the instance and use fastify.inject
+if (process.env.NODE_ENV !== 'test') {
+  start();
+}
+
+export default fastify;
@@ -13,6 +13,23 @@
 import ssotFetch from '../utils/ssotFetch.js';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { generateDeviceFingerprint } from '../utils/deviceFingerprint.js';
+import { revokeDashboardSessions } from '../utils/dashboardSessions.js';
+import {
+  lockoutKeys,
+  checkLockout,
+  recordFailure,
+  clearFailures,
+  reportLockoutEvent
+} from '../utils/loginLockout.js';
+import {
+  WEBAUTHN_RP_ID,
+  WEBAUTHN_ORIGIN,
+  rememberChallenge,
+  consumeChallenge,
+  reportPasskeyAssertion
+} from '../utils/passkeys.js';
+import { generateAuthenticationOptions, verifyAuthenticationResponse } from '@simplewebauthn/server';
 
 // ssotFetch handles SSOT base URL and x-internal-secret automatically
 
@@ -25,6 +42,81 @@ const JWT_SECRET = process.env.READERS_LOGIN_JWT_SECRET || (() => {
   throw new Error('READERS_LOGIN_JWT_SECRET environment variable is required');
 })();
 
+// Per-IP ceilings are a coarse flood guard only — readers behind one NAT
+//   share an address. Guessing against a reader is throttled per PIN/email
+//   (utils/loginLockout.js)
+const IP_ATTEMPTS_PER_WINDOW = 30;
+
+const LOCKED_PAGE = '/readersLogin/locked';
+
+const TWO_FACTOR_METHODS = ['email', 'totp', 'recovery'];
+
+// ==============================================
+// LOCATION BLOCK A.1: LOCKOUT HELPERS
+// ==============================================
+
+// PIN bound to the session cookie — the identity 2FA and password attempts count against
+function sessionPin(request) {
+  try {
+    const decoded = jwt.verify(request.cookies?.qolaeReaderToken, JWT_SECRET, { algorithms: ['HS256'] });
+    return decoded.readerPin || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function lockedPage(readerPin, query = {}) {
+  const params = new URLSearchParams({ ...(readerPin ? { readerPin } : {}), ...query }).toString();
+  return params ? `${LOCKED_PAGE}?${params}` : LOCKED_PAGE;
+}
+
+// Redirect for an attempt that must not reach the SSOT yet, or null to proceed
+// errorPage ends in 'error=' — the wait message is appended
+function lockoutRedirect(keys, readerPin, errorPage) {
+  const { locked, retryAfterMs } = checkLockout(keys);
+  if (locked) {
+    return lockedPage(readerPin);
+  }
+  if (retryAfterMs > 0) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    return errorPage + encodeURIComponent(`Too many failed attempts. Please wait ${seconds} seconds and try again.`);
+  }
+  return null;
+}
+
+// Count a failed credential check; report throttling and lockouts to the SSOT
+async function countFailure(request, keys, readerPin, stage) {
+  const result = recordFailure(keys);
+
+  request.log.warn({
+    event: 'loginFailureCounted',
+    readerPin,
+    stage,
+    failures: result.failures,
+    delayMs: result.delayMs,
+    locked: result.lockedUntil !== null,
+    ip: request.ip,
+    gdprCategory: 'authentication'
+  });
+
+  if (result.justLocked) {
+    await reportLockoutEvent(request, {
+      eventType: 'loginLockout',
+      readerPin,
+      details: { stage, failures: result.failures, lockedUntil: new Date(result.lockedUntil).toISOString() },
+      riskScore: 80
+    });
+  } else if (result.delayMs > 0) {
+    await reportLockoutEvent(request, {
+      eventType: 'loginThrottled',
+      readerPin,
+      details: { stage, failures: result.failures, delayMs: result.delayMs }
+    });
+  }
+
+  return result;
+}
+
 // ==============================================
 // LOCATION BLOCK B: ROUTE DEFINITIONS
 // ==============================================
@@ -38,7 +130,7 @@ export default async function readersAuthRoutes(fastify, opts) {
   fastify.post('/readersAuth/login', {
     config: {
       rateLimit: {
-        max: 3,
+        max: IP_ATTEMPTS_PER_WINDOW,
         timeWindow: '15 minutes',
         keyGenerator: (request) => request.ip
       }
@@ -48,7 +140,7 @@ export default async function readersAuthRoutes(fastify, opts) {
     const readerIP = request.ip;
 
     // GDPR Audit Log
-    fastify.log.info({
+    request.log.info({
       event: 'readerLoginAttempt',
       readerPin: readerPin,
       email: email,
@@ -61,6 +153,13 @@ export default async function readersAuthRoutes(fastify, opts) {
       return reply.code(302).redirect(`/readersLogin?readerPin=${readerPin || ''}&error=${encodeURIComponent('Email and Reader PIN are required')}`);
     }
 
+    const identityKeys = lockoutKeys({ readerPin, email });
+    const throttled = lockoutRedirect(identityKeys, readerPin, `/readersLogin?readerPin=${encodeURIComponent(readerPin)}&error=`);
+    if (throttled) {
+      request.log.warn({ event: 'readerLoginThrottled', readerPin, ip: readerIP, gdprCategory: 'authentication' });
+      return reply.code(302).redirect(throttled);
+    }
+
     try {
       // Validate Reader PIN format first
       const pinValidationRes = await ssotFetch('/api/pin/validate', {
@@ -71,7 +170,7 @@ export default async function readersAuthRoutes(fastify, opts) {
       const pinValidation = await pinValidationRes.json();
 
       if (!pinValidationRes.ok || !pinValidation.validation?.isValid) {
-        fastify.log.warn({
+        request.log.warn({
           event: 'invalidPinFormat',
           readerPin: readerPin,
           errors: pinValidation.validation?.errors
@@ -84,31 +183,39 @@ export default async function readersAuthRoutes(fastify, opts) {
       const apiRes = await ssotFetch('/auth/readers/requestToken', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ readerEmail: email, readerPin, source: 'readers-portal', ip: readerIP })
+        body: JSON.stringify({ readerEmail: email, readerPin, source: 'readers-portal', ip: readerIP, deviceFingerprint: generateDeviceFingerprint(request) })
       });
       const apiResponse = await apiRes.json();
 
       if (!apiRes.ok || !apiResponse.success) {
-        fastify.log.warn({
+        request.log.warn({
           event: 'readerLoginFailed',
           readerPin: readerPin,
           error: apiResponse.error
         });
+        // 4xx = the SSOT rejected the PIN/email pair; 5xx is not the reader's fault
+        if (apiRes.status >= 400 && apiRes.status < 500) {
+          const failure = await countFailure(request, identityKeys, readerPin, 'requestToken');
+          if (failure.lockedUntil) {
+            return reply.code(302).redirect(lockedPage(readerPin));
+          }
+        }
         return reply.code(302).redirect(`/readersLogin?readerPin=${readerPin}&error=${encodeURIComponent(apiResponse.error || 'Authentication failed')}`);
       }
 
-      fastify.log.info({
+      request.log.info({
         event: 'readerLoginSuccess',
         readerPin: readerPin,
         complianceSubmitted: apiResponse.reader.complianceSubmitted
       });
+      clearFailures(identityKeys);
 
         try {
           // Use fresh token from requestToken if available, fall back to cookie
           const jwtToken = apiResponse?.accessToken || request.cookies?.qolaeReaderToken;
 
           if (!jwtToken) {
-            fastify.log.warn({
+            request.log.warn({
               event: 'loginNoJWT',
               readerPin: readerPin,
               gdprCategory: 'authentication'
@@ -125,7 +232,7 @@ export default async function readersAuthRoutes(fastify, opts) {
           const validationResponse = await valRes.json();
 
           if (!valRes.ok || !validationResponse.success || !validationResponse.valid) {
-            fastify.log.warn({
+            request.log.warn({
               event: 'loginInvalidJWT',
               readerPin: readerPin,
               error: validationResponse.error || 'Invalid token',
@@ -137,7 +244,7 @@ export default async function readersAuthRoutes(fastify, opts) {
           // Verify PIN matches JWT payload
           const readerData = validationResponse.reader;
           if (readerData.readerPin !== readerPin) {
-            fastify.log.info({
+            request.log.info({
               event: 'loginPinMismatch',
               expectedPin: readerData.readerPin,
               providedPin: readerPin,
@@ -151,7 +258,7 @@ export default async function readersAuthRoutes(fastify, opts) {
             return reply.code(302).redirect(`/readersLogin?readerPin=${readerPin}`);
           }
 
-          fastify.log.info({
+          request.log.info({
             event: 'jwtValidated',
             readerPin: readerPin,
             expiresAt: validationResponse.expiresAt,
@@ -162,7 +269,7 @@ export default async function readersAuthRoutes(fastify, opts) {
           return reply.code(302).redirect('/readers2fa');
 
         } catch (sessionError) {
-          fastify.log.error({
+          request.log.error({
             event: 'sessionCreationError',
             readerPin: readerPin,
             error: sessionError.message,
@@ -172,7 +279,7 @@ export default async function readersAuthRoutes(fastify, opts) {
           return reply.code(302).redirect(`/readersLogin?readerPin=${readerPin}&error=${encodeURIComponent('Failed to create session. Please try again.')}`);
         }
     } catch (err) {
-      fastify.log.error({
+      request.log.error({
         event: 'readerLoginError',
         readerPin: readerPin,
         error: err.message,
@@ -200,7 +307,7 @@ export default async function readersAuthRoutes(fastify, opts) {
     const sessionId = request.cookies?.qolaeReaderToken;
 
     if (!sessionId) {
-      fastify.log.warn({
+      request.log.warn({
         event: 'verificationCodeRequestNoSession',
         ip: readerIP,
         gdprCategory: 'authentication'
@@ -226,7 +333,7 @@ export default async function readersAuthRoutes(fastify, opts) {
 
       if (!ssotRes.ok) {
         if (ssotRes.status === 401) {
-          fastify.log.warn({
+          request.log.warn({
             event: 'verificationCodeRequestInvalidSession',
             error: ssotData.error,
             ip: readerIP,
@@ -238,7 +345,7 @@ export default async function readersAuthRoutes(fastify, opts) {
       }
 
       if (ssotData.success) {
-        fastify.log.info({
+        request.log.info({
           event: 'verificationCodeRequested',
           readerPin: ssotData.reader?.readerPin,
           email: ssotData.reader?.readerEmail,
@@ -248,7 +355,7 @@ export default async function readersAuthRoutes(fastify, opts) {
 
         return reply.code(302).redirect('/readers2fa?codeSent=true');
       } else {
-        fastify.log.warn({
+        request.log.warn({
           event: 'verificationCodeRequestApiFailed',
           error: ssotData.error,
           gdprCategory: 'authentication'
@@ -257,7 +364,7 @@ export default async function readersAuthRoutes(fastify, opts) {
         return reply.code(302).redirect('/readers2fa?error=' + encodeURIComponent(ssotData.error || 'Failed to send verification code'));
       }
     } catch (err) {
-      fastify.log.error({
+      request.log.error({
         event: 'verificationCodeRequestError',
         error: err.message,
         stack: err.stack,
@@ -271,21 +378,27 @@ export default async function readersAuthRoutes(fastify, opts) {
   // ==============================================
   // B.3: 2FA VERIFICATION
   // ==============================================
+  // method: 'email' (code from B.2, default) | 'totp' (authenticator app,
+  //   enrolled in the ReadersDashboard Management Hub) | 'recovery' (single-use)
 
   fastify.post('/readersAuth/verify2fa', {
     config: {
       rateLimit: {
-        max: 3,
+        max: IP_ATTEMPTS_PER_WINDOW,
         timeWindow: '10 minutes',
         keyGenerator: (request) => request.ip
       }
     }
   }, async (request, reply) => {
     const { verificationCode } = request.body;
+    const method = TWO_FACTOR_METHODS.includes(request.body?.method) ? request.body.method : 'email';
     const readerIP = request.ip;
+    // Failed attempts return to the same factor
+    const retryPage = method === 'email' ? '/readers2fa?error=' : `/readers2fa?method=${method}&error=`;
 
-    fastify.log.info({
+    request.log.info({
       event: '2faVerificationAttempt',
+      method,
       ip: readerIP,
       timestamp: new Date().toISOString(),
       gdprCategory: 'authentication'
@@ -294,7 +407,7 @@ export default async function readersAuthRoutes(fastify, opts) {
     const sessionId = request.cookies?.qolaeReaderToken;
 
     if (!sessionId) {
-      fastify.log.warn({
+      request.log.warn({
         event: '2faVerificationNoSession',
         ip: readerIP,
         gdprCategory: 'authentication'
@@ -304,7 +417,15 @@ export default async function readersAuthRoutes(fastify, opts) {
     }
 
     if (!verificationCode) {
-      return reply.code(302).redirect('/readers2fa?error=' + encodeURIComponent('Verification code required'));
+      return reply.code(302).redirect(retryPage + encodeURIComponent('Verification code required'));
+    }
+
+    const codePin = sessionPin(request);
+    const codeKeys = lockoutKeys({ readerPin: codePin });
+    const codeThrottled = lockoutRedirect(codeKeys, codePin, retryPage);
+    if (codeThrottled) {
+      request.log.warn({ event: '2faVerificationThrottled', readerPin: codePin, ip: readerIP, gdprCategory: 'authentication' });
+      return reply.code(302).redirect(codeThrottled);
     }
 
     try {
@@ -316,8 +437,10 @@ export default async function readersAuthRoutes(fastify, opts) {
         },
         body: JSON.stringify({
           verificationCode: verificationCode,
+          method,
           ipAddress: readerIP,
-          userAgent: request.headers['user-agent']
+          userAgent: request.headers['user-agent'],
+          deviceFingerprint: generateDeviceFingerprint(request)
         })
       });
 
@@ -325,7 +448,7 @@ export default async function readersAuthRoutes(fastify, opts) {
 
       if (!ssotRes.ok) {
         if (ssotRes.status === 401) {
-          fastify.log.warn({
+          request.log.warn({
             event: '2faVerificationInvalidSession',
             error: ssotData.error,
             ip: readerIP,
@@ -334,9 +457,13 @@ export default async function readersAuthRoutes(fastify, opts) {
           if (ssotData.redirect) {
             return reply.code(302).redirect('/readersLogin?error=' + encodeURIComponent(ssotData.error || 'Session invalid. Please log in again.'));
           }
-          return reply.code(302).redirect('/readers2fa?error=' + encodeURIComponent(ssotData.error || 'Invalid verification code'));
+          const failure = await countFailure(request, codeKeys, codePin, 'verify2fa');
+          if (failure.lockedUntil) {
+            return reply.code(302).redirect(lockedPage(codePin));
+          }
+          return reply.code(302).redirect(retryPage + encodeURIComponent(ssotData.error || 'Invalid verification code'));
         }
-        return reply.code(302).redirect('/readers2fa?error=' + encodeURIComponent(ssotData.error || '2FA verification failed'));
+        return reply.code(302).redirect(retryPage + encodeURIComponent(ssotData.error || '2FA verification failed'));
       }
 
       if (ssotData.success) {
@@ -344,23 +471,29 @@ export default async function readersAuthRoutes(fastify, opts) {
         const readerData = ssotData.reader;
         const jwtToken = ssotData.accessToken;
 
-        fastify.log.info({ event: '2faJwtReceived', readerPin });
+        request.log.info({ event: '2faJwtReceived', readerPin });
+        clearFailures(codeKeys);
 
-        fastify.log.info({
+        request.log.info({
           event: '2faVerificationSuccess',
           readerPin: readerPin,
+          method,
           complianceSubmitted: readerData.complianceSubmitted,
           sessionId: sessionId.substring(0, 10) + '...',
           jwtReceived: !!jwtToken,
           gdprCategory: 'authentication'
         });
 
+        if (method === 'recovery' && ssotData.recoveryCodesRemaining <= 2) {
+          request.log.warn({ event: 'recoveryCodesRunningLow', readerPin, remaining: ssotData.recoveryCodesRemaining });
+        }
+
         // ═══════════════════════════════════════════════════════════
         // HRCOMPLIANCE GATE CHECK
         // Readers MUST complete compliance before password setup
         // ═══════════════════════════════════════════════════════════
         if (!readerData.complianceSubmitted) {
-          fastify.log.info({ event: '2faComplianceRedirect', readerPin });
+          request.log.info({ event: '2faComplianceRedirect', readerPin });
           return reply.code(302).redirect(`${process.env.HRCOMPLIANCE_URL || 'https://hrcompliance.qolae.com'}/readersCompliance?readerPin=${readerPin}`);
         }
 
@@ -371,23 +504,23 @@ export default async function readersAuthRoutes(fastify, opts) {
           return reply.code(302).redirect(`/secureLogin?readerPin=${readerPin}&verified=true`);
         }
       } else {
-        fastify.log.warn({
+        request.log.warn({
           event: '2faVerificationFailed',
           error: ssotData.error,
           gdprCategory: 'authentication'
         });
 
-        return reply.code(302).redirect('/readers2fa?error=' + encodeURIComponent(ssotData.error || '2FA verification failed'));
+        return reply.code(302).redirect(retryPage + encodeURIComponent(ssotData.error || '2FA verification failed'));
       }
     } catch (err) {
-      fastify.log.error({
+      request.log.error({
         event: '2faVerificationError',
         error: err.message,
         stack: err.stack,
         gdprCategory: 'authentication'
       });
 
-      return reply.code(302).redirect('/readers2fa?error=' + encodeURIComponent('2FA verification service unavailable'));
+      return reply.code(302).redirect(retryPage + encodeURIComponent('2FA verification service unavailable'));
     }
   });
 
@@ -398,19 +531,18 @@ export default async function readersAuthRoutes(fastify, opts) {
   fastify.post('/readersAuth/secureLogin', {
     config: {
       rateLimit: {
-        max: 3,
+        max: IP_ATTEMPTS_PER_WINDOW,
         timeWindow: '15 minutes',
         keyGenerator: (request) => request.ip
       }
     }
   }, async (request, reply) => {
-    const { password, passwordConfirm, isNewUser, reset, readerPin } = request.body;
+    const { password, passwordConfirm, isNewUser, readerPin } = request.body;
     const readerIP = request.ip;
 
-    fastify.log.info({
+    request.log.info({
       event: 'secureLoginAttempt',
       isNewUser: isNewUser,
-      reset: reset,
       ip: readerIP,
       timestamp: new Date().toISOString(),
       gdprCategory: 'authentication'
@@ -419,7 +551,7 @@ export default async function readersAuthRoutes(fastify, opts) {
     const jwtToken = request.cookies?.qolaeReaderToken;
 
     if (!jwtToken) {
-      fastify.log.warn({
+      request.log.warn({
         event: 'secureLoginNoSession',
         ip: readerIP,
         gdprCategory: 'authentication'
@@ -432,9 +564,9 @@ export default async function readersAuthRoutes(fastify, opts) {
       return reply.code(302).redirect(`/secureLogin?readerPin=${readerPin || ''}&error=` + encodeURIComponent('Password is required'));
     }
 
-    // Server-side password match validation (for new users and password reset)
+    // Server-side password match validation (for new users)
     if (passwordConfirm && password !== passwordConfirm) {
-      fastify.log.warn({
+      request.log.warn({
         event: 'passwordMismatch',
         readerPin: readerPin,
         ip: readerIP,
@@ -443,30 +575,35 @@ export default async function readersAuthRoutes(fastify, opts) {
       return reply.code(302).redirect(`/secureLogin?readerPin=${readerPin || ''}&error=${encodeURIComponent('Passwords do not match. Please try again.')}`);
     }
 
-    const isReset = reset === 'true' || reset === true;
+    // Setup/verify act on the session's reader, whatever PIN the form carries
+    // (forgotten passwords use the emailed reset link — B.8)
+    const passwordPin = sessionPin(request) || readerPin;
+    const passwordKeys = lockoutKeys({ readerPin: passwordPin });
+    const passwordThrottled = lockoutRedirect(
+      passwordKeys,
+      passwordPin,
+      `/secureLogin?readerPin=${encodeURIComponent(readerPin || '')}&error=`
+    );
+    if (passwordThrottled) {
+      request.log.warn({ event: 'secureLoginThrottled', readerPin: passwordPin, ip: readerIP, gdprCategory: 'authentication' });
+      return reply.code(302).redirect(passwordThrottled);
+    }
 
     try {
-      const endpoint = isReset
-        ? '/auth/readers/passwordReset'
-        : (isNewUser === 'true' || isNewUser === true)
-          ? '/auth/readers/passwordSetup'
-          : '/auth/readers/passwordVerify';
+      const endpoint = (isNewUser === 'true' || isNewUser === true)
+        ? '/auth/readers/passwordSetup'
+        : '/auth/readers/passwordVerify';
 
-      fastify.log.info({ event: 'secureLoginSsotCall', endpoint });
+      request.log.info({ event: 'secureLoginSsotCall', endpoint });
 
-      // passwordReset takes PIN in body (no JWT auth header needed)
       // passwordSetup and passwordVerify use JWT auth header
-      const requestBody = isReset
-        ? { readerPin: readerPin, password: password, ipAddress: readerIP, userAgent: request.headers['user-agent'] }
-        : { password: password, ipAddress: readerIP, userAgent: request.headers['user-agent'] };
-
-      const requestHeaders = isReset
-        ? { 'Content-Type': 'application/json' }
-        : { 'Content-Type': 'application/json', 'Authorization': `Bearer ${jwtToken}` };
+      // Every session the SSOT issues is bound to this device (see sessionMiddleware in ReadersDashboard)
+      const deviceFingerprint = generateDeviceFingerprint(request);
+      const requestBody = { password: password, ipAddress: readerIP, userAgent: request.headers['user-agent'], deviceFingerprint };
 
       const ssotRes = await ssotFetch(endpoint, {
         method: 'POST',
-        headers: requestHeaders,
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${jwtToken}` },
         body: JSON.stringify(requestBody)
       });
 
@@ -477,7 +614,7 @@ export default async function readersAuthRoutes(fastify, opts) {
           const apiError = ssotData.error || '';
           const isInvalidPassword = apiError.toLowerCase().includes('invalid password');
 
-          fastify.log.warn({
+          request.log.warn({
             event: isInvalidPassword ? 'secureLoginInvalidPassword' : 'secureLoginInvalidSession',
             error: apiError,
             ip: readerIP,
@@ -485,8 +622,11 @@ export default async function readersAuthRoutes(fastify, opts) {
           });
 
           if (isInvalidPassword) {
-            const resetParam = isReset ? '&reset=true' : '';
-            return reply.code(302).redirect('/secureLogin?readerPin=' + encodeURIComponent(readerPin || '') + resetParam + '&error=' + encodeURIComponent('Invalid password. Please try again.'));
+            const failure = await countFailure(request, passwordKeys, passwordPin, 'password');
+            if (failure.lockedUntil) {
+              return reply.code(302).redirect(lockedPage(passwordPin));
+            }
+            return reply.code(302).redirect('/secureLogin?readerPin=' + encodeURIComponent(readerPin || '') + '&error=' + encodeURIComponent('Invalid password. Please try again.'));
           }
           return reply.code(302).redirect('/readersLogin?error=' + encodeURIComponent('Session expired. Please click your PIN link again.'));
         }
@@ -499,6 +639,8 @@ export default async function readersAuthRoutes(fastify, opts) {
       }
 
       if (ssotData.success) {
+        clearFailures(passwordKeys);
+
         if (ssotData.accessToken) {
           reply.setCookie('qolaeReaderToken', ssotData.accessToken, {
             path: '/',
@@ -509,12 +651,12 @@ export default async function readersAuthRoutes(fastify, opts) {
             domain: '.qolae.com'
           });
 
-          const opType = isReset ? 'reset' : (isNewUser ? 'setup' : 'verify');
-          fastify.log.info({ event: 'jwtCookieUpdated', operation: opType });
+          const opType = isNewUser ? 'setup' : 'verify';
+          request.log.info({ event: 'jwtCookieUpdated', operation: opType });
         }
 
-        const eventName = isReset ? 'passwordResetSuccess' : (isNewUser ? 'passwordSetupSuccess' : 'passwordVerifySuccess');
-        fastify.log.info({
+        const eventName = isNewUser ? 'passwordSetupSuccess' : 'passwordVerifySuccess';
+        request.log.info({
           event: eventName,
           readerPin: ssotData.reader?.readerPin,
           gdprCategory: 'authentication'
@@ -525,10 +667,10 @@ export default async function readersAuthRoutes(fastify, opts) {
         if (!ssotReaderPin) {
           return reply.code(302).redirect(`/secureLogin?readerPin=${readerPin || ''}&error=` + encodeURIComponent('Session data incomplete'));
         }
-        return reply.code(302).redirect(`/readersDashboard?readerPin=${encodeURIComponent(readerPin)}`);
+        return reply.code(302).redirect('/readersDashboard');
 
       } else {
-        fastify.log.warn({
+        request.log.warn({
           event: isNewUser ? 'passwordSetupFailed' : 'passwordVerifyFailed',
           error: ssotData.error,
           gdprCategory: 'authentication'
@@ -538,7 +680,7 @@ export default async function readersAuthRoutes(fastify, opts) {
       }
 
     } catch (err) {
-      fastify.log.error({
+      request.log.error({
         event: 'secureLoginError',
         error: err.message,
         stack: err.stack,
@@ -556,7 +698,7 @@ export default async function readersAuthRoutes(fastify, opts) {
   fastify.post('/readersAuth/logout', async (request, reply) => {
     const jwtToken = request.cookies?.qolaeReaderToken;
 
-    fastify.log.info({
+    request.log.info({
       event: 'readerLogoutRequest',
       hasToken: !!jwtToken,
       timestamp: new Date().toISOString(),
@@ -564,18 +706,23 @@ export default async function readersAuthRoutes(fastify, opts) {
     });
 
     if (jwtToken) {
+      let readerPin = null;
       try {
         const decoded = jwt.verify(jwtToken, process.env.READERS_LOGIN_JWT_SECRET, { algorithms: ['HS256'] });
-        if (decoded.readerPin) {
+        readerPin = decoded.readerPin || null;
+        if (readerPin) {
           await ssotFetch('/auth/invalidateSession', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userType: 'readers', pin: decoded.readerPin })
+            body: JSON.stringify({ userType: 'readers', pin: readerPin })
           });
         }
       } catch (err) {
         console.error('Session invalidation failed:', err.message);
       }
+
+      // ReadersDashboard caches session validations — evict now, not after the cache TTL
+      await revokeDashboardSessions({ readerPin, token: jwtToken });
     }
 
     reply.clearCookie('qolaeReaderToken', {
@@ -603,4 +750,418 @@ export default async function readersAuthRoutes(fastify, opts) {
     });
   });
 
+  // ==============================================
+  // B.7: UNLOCK BY EMAIL (FROM /readersLogin/locked)
+  // ==============================================
+  // SSOT emails a single-use link when PIN + email match a reader.
+  // Always the same response, so the form cannot be used to probe accounts
+
+  fastify.post('/readersAuth/unlockRequest', {
+    config: {
+      rateLimit: {
+        max: 3,
+        timeWindow: '15 minutes',
+        keyGenerator: (request) => request.ip
+      }
+    }
+  }, async (request, reply) => {
+    const { readerPin, email } = request.body || {};
+    const readerIP = request.ip;
+
+    if (!readerPin || !email) {
+      return reply.code(302).redirect(lockedPage(readerPin, { error: 'Reader PIN and email are required' }));
+    }
+
+    try {
+      const ssotRes = await ssotFetch('/auth/readers/unlock/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          readerPin,
+          readerEmail: email,
+          ipAddress: readerIP,
+          userAgent: request.headers['user-agent']
+        })
+      });
+
+      request.log.info({
+        event: 'unlockEmailRequested',
+        readerPin,
+        accepted: ssotRes.ok,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+    } catch (error) {
+      request.log.error({
+        event: 'unlockEmailRequestError',
+        readerPin,
+        error: error.message,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+    }
+
+    return reply.code(302).redirect(lockedPage(readerPin, { sent: 'true' }));
+  });
+
+  fastify.get('/readersAuth/unlock', async (request, reply) => {
+    const { token } = request.query;
+    const readerIP = request.ip;
+    const invalidLink = lockedPage(null, { error: 'This unlock link is invalid or has expired. Please request a new one.' });
+
+    if (!token) {
+      return reply.code(302).redirect(invalidLink);
+    }
+
+    try {
+      const ssotRes = await ssotFetch('/auth/readers/unlock/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, ipAddress: readerIP })
+      });
+
+      const ssotData = await ssotRes.json();
+
+      if (!ssotRes.ok || !ssotData.success) {
+        request.log.warn({
+          event: 'unlockLinkRejected',
+          status: ssotRes.status,
+          ip: readerIP,
+          gdprCategory: 'authentication'
+        });
+        return reply.code(302).redirect(invalidLink);
+      }
+
+      const { readerPin, readerEmail } = ssotData;
+      clearFailures(lockoutKeys({ readerPin, email: readerEmail }));
+
+      request.log.info({
+        event: 'loginUnlocked',
+        readerPin,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+      await reportLockoutEvent(request, { eventType: 'loginUnlocked', readerPin, riskScore: 20 });
+
+      // Reader signs in again from their email link — the PIN is not echoed here
+      return reply.code(302).redirect('/readersLogin?success=' + encodeURIComponent('Your account has been unlocked. Please sign in using the link in your invitation email.'));
+
+    } catch (error) {
+      request.log.error({
+        event: 'unlockLinkError',
+        error: error.message,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+      return reply.code(302).redirect(lockedPage(null, { error: 'Unable to unlock right now. Please try again shortly.' }));
+    }
+  });
+
+  // ==============================================
+  // B.8: FORGOT PASSWORD (EMAILED RESET LINK)
+  // ==============================================
+  // Request: PIN + email → SSOT emails a single-use, time-limited link to
+  //   /secureLogin/reset/:token (Readers_server.js 1.4c). Same response
+  //   whether or not the pair matched
+  // Reset: token + new password → SSOT consumes the token, sets the password
+  //   and invalidates every session the reader has; they sign in again
+
+  fastify.post('/readersAuth/passwordResetRequest', {
+    config: {
+      rateLimit: {
+        max: 3,
+        timeWindow: '15 minutes',
+        keyGenerator: (request) => request.ip
+      }
+    }
+  }, async (request, reply) => {
+    const { readerPin, email } = request.body || {};
+    const readerIP = request.ip;
+    const forgotPage = `/secureLogin?readerPin=${encodeURIComponent(readerPin || '')}&reset=true`;
+
+    if (!readerPin || !email) {
+      return reply.code(302).redirect(forgotPage + '&error=' + encodeURIComponent('Email and Reader PIN are required'));
+    }
+
+    try {
+      const ssotRes = await ssotFetch('/auth/readers/passwordReset/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          readerPin,
+          readerEmail: email,
+          ipAddress: readerIP,
+          userAgent: request.headers['user-agent']
+        })
+      });
+
+      request.log.info({
+        event: 'passwordResetRequested',
+        readerPin,
+        accepted: ssotRes.ok,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+    } catch (error) {
+      request.log.error({
+        event: 'passwordResetRequestError',
+        readerPin,
+        error: error.message,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+      return reply.code(302).redirect(forgotPage + '&error=' + encodeURIComponent('Authentication service unavailable'));
+    }
+
+    return reply.code(302).redirect(forgotPage + '&resetSent=true');
+  });
+
+  fastify.post('/readersAuth/passwordReset', {
+    config: {
+      rateLimit: {
+        max: IP_ATTEMPTS_PER_WINDOW,
+        timeWindow: '15 minutes',
+        keyGenerator: (request) => request.ip
+      }
+    }
+  }, async (request, reply) => {
+    const { token, password, passwordConfirm } = request.body || {};
+    const readerIP = request.ip;
+
+    if (!token) {
+      return reply.code(302).redirect('/readersLogin?error=' + encodeURIComponent('This reset link is invalid or has expired.'));
+    }
+
+    const resetPage = `/secureLogin/reset/${encodeURIComponent(token)}`;
+
+    if (!password) {
+      return reply.code(302).redirect(resetPage + '?error=' + encodeURIComponent('Password is required'));
+    }
+    if (password !== passwordConfirm) {
+      return reply.code(302).redirect(resetPage + '?error=' + encodeURIComponent('Passwords do not match. Please try again.'));
+    }
+
+    try {
+      const ssotRes = await ssotFetch('/auth/readers/passwordReset', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          token,
+          password,
+          ipAddress: readerIP,
+          userAgent: request.headers['user-agent']
+        })
+      });
+
+      const ssotData = await ssotRes.json();
+
+      if (!ssotRes.ok || !ssotData.success) {
+        request.log.warn({
+          event: 'passwordResetRejected',
+          status: ssotRes.status,
+          error: ssotData.error,
+          ip: readerIP,
+          gdprCategory: 'authentication'
+        });
+        // 400 = weak password, token still valid; anything else = token spent or unknown
+        if (ssotRes.status === 400) {
+          return reply.code(302).redirect(resetPage + '?error=' + encodeURIComponent(ssotData.error || 'Password does not meet requirements'));
+        }
+        return reply.code(302).redirect('/readersLogin?error=' + encodeURIComponent('This reset link is invalid or has expired.'));
+      }
+
+      const resetPin = ssotData.reader?.readerPin;
+
+      // SSOT has invalidated every session — evict the dashboard cache too
+      await revokeDashboardSessions({ readerPin: resetPin });
+      clearFailures(lockoutKeys({ readerPin: resetPin, email: ssotData.reader?.readerEmail }));
+
+      request.log.info({
+        event: 'passwordResetSuccess',
+        readerPin: resetPin,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+
+      reply.clearCookie('qolaeReaderToken', {
+        httpOnly: true,
+        secure: true,
+        sameSite: 'strict',
+        path: '/',
+        domain: '.qolae.com'
+      });
+
+      return reply.code(302).redirect('/readersLogin?success=' + encodeURIComponent('Your password has been reset and all devices signed out. Please sign in using the link in your invitation email.'));
+
+    } catch (error) {
+      request.log.error({
+        event: 'passwordResetError',
+        error: error.message,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+      return reply.code(302).redirect(resetPage + '?error=' + encodeURIComponent('Authentication service unavailable'));
+    }
+  });
+
+  // ==============================================
+  // B.9: PASSKEY SIGN-IN (WEBAUTHN)
+  // ==============================================
+  // Replaces PIN + email + code + password for readers who registered a
+  //   passkey in the Management Hub. JSON in, JSON out — driven by the
+  //   script on readersLogin.ejs (navigator.credentials.get)
+  // Discoverable credentials: no PIN is asked for, the authenticator
+  //   offers the reader's passkey and the SSOT maps it back to the reader
+
+  fastify.post('/readersAuth/passkey/options', {
+    config: {
+      rateLimit: {
+        max: IP_ATTEMPTS_PER_WINDOW,
+        timeWindow: '15 minutes',
+        keyGenerator: (request) => request.ip
+      }
+    }
+  }, async (request, reply) => {
+    const options = await generateAuthenticationOptions({
+      rpID: WEBAUTHN_RP_ID,
+      userVerification: 'required'
+    });
+    rememberChallenge(options.challenge);
+    reply.header('Cache-Control', 'no-store');
+    return reply.send(options);
+  });
+
+  fastify.post('/readersAuth/passkey/verify', {
+    config: {
+      rateLimit: {
+        max: IP_ATTEMPTS_PER_WINDOW,
+        timeWindow: '15 minutes',
+        keyGenerator: (request) => request.ip
+      }
+    }
+  }, async (request, reply) => {
+    const assertion = request.body;
+    const credentialId = typeof assertion?.id === 'string' ? assertion.id : null;
+    const readerIP = request.ip;
+    const signInFailed = { success: false, error: 'Passkey sign-in failed. Please try again or sign in with your PIN.' };
+
+    if (!credentialId || !assertion.response) {
+      return reply.code(400).send({ success: false, error: 'Passkey response is missing' });
+    }
+
+    try {
+      const lookupRes = await ssotFetch('/auth/readers/passkeys/lookup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ credentialId })
+      });
+
+      if (lookupRes.status === 404) {
+        request.log.warn({ event: 'passkeyUnknownCredential', credentialId, ip: readerIP, gdprCategory: 'authentication' });
+        await reportPasskeyAssertion(request, { success: false, credentialId, reason: 'unknownCredential' });
+        return reply.code(401).send({ success: false, error: 'This passkey is not registered with QOLAE Readers. Please sign in with your PIN.' });
+      }
+      if (!lookupRes.ok) {
+        throw new Error(`Passkey lookup failed with status ${lookupRes.status}`);
+      }
+
+      const { credential, reader } = await lookupRes.json();
+      const readerPin = reader.readerPin;
+
+      // The user handle (set at registration) must name the same reader
+      const userHandle = assertion.response.userHandle
+        ? Buffer.from(assertion.response.userHandle, 'base64url').toString('utf8')
+        : readerPin;
+
+      let verification;
+      try {
+        verification = await verifyAuthenticationResponse({
+          response: assertion,
+          expectedChallenge: consumeChallenge,
+          expectedOrigin: WEBAUTHN_ORIGIN,
+          expectedRPID: WEBAUTHN_RP_ID,
+          requireUserVerification: true,
+          credential: {
+            id: credential.credentialId,
+            publicKey: new Uint8Array(Buffer.from(credential.publicKey, 'base64url')),
+            counter: credential.counter,
+            transports: credential.transports
+          }
+        });
+      } catch (err) {
+        verification = { verified: false, reason: err.message };
+      }
+
+      if (!verification.verified || userHandle !== readerPin) {
+        const reason = userHandle !== readerPin ? 'userHandleMismatch' : (verification.reason || 'notVerified');
+        request.log.warn({ event: 'passkeyAssertionRejected', readerPin, credentialId, reason, ip: readerIP, gdprCategory: 'authentication' });
+        await reportPasskeyAssertion(request, { success: false, readerPin, credentialId, reason });
+        return reply.code(401).send(signInFailed);
+      }
+
+      // Session bound to this device, like every other sign-in path
+      const loginRes = await ssotFetch('/auth/readers/passkeys/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          credentialId,
+          newCounter: verification.authenticationInfo.newCounter,
+          deviceFingerprint: generateDeviceFingerprint(request),
+          ipAddress: readerIP,
+          userAgent: request.headers['user-agent']
+        })
+      });
+      const loginData = await loginRes.json();
+
+      if (!loginRes.ok || !loginData.success) {
+        const reason = loginRes.status === 403 ? 'accessRevoked'
+          : loginRes.status === 409 ? 'counterNotAdvanced' : 'loginRejected';
+        request.log.warn({ event: 'passkeyLoginRejected', readerPin, credentialId, reason, status: loginRes.status, gdprCategory: 'authentication' });
+        await reportPasskeyAssertion(request, { success: false, readerPin, credentialId, reason });
+        if (loginRes.status === 403) {
+          return reply.code(403).send({ success: false, error: 'Your access to the Readers Portal has been revoked.' });
+        }
+        return reply.code(401).send(signInFailed);
+      }
+
+      reply.setCookie('qolaeReaderToken', loginData.accessToken, {
+        path: '/',
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 60 * 60 * 24,
+        domain: '.qolae.com'
+      });
+
+      request.log.info({
+        event: 'passkeySignInSuccess',
+        readerPin,
+        credentialId,
+        ip: readerIP,
+        gdprCategory: 'authentication'
+      });
+      await reportPasskeyAssertion(request, { success: true, readerPin, credentialId });
+
+      // HRCOMPLIANCE GATE CHECK — same rule as the PIN path
+      if (!loginData.reader?.complianceSubmitted) {
+        request.log.info({ event: 'passkeyComplianceRedirect', readerPin });
+        return reply.send({
+          success: true,
+          redirect: `${process.env.HRCOMPLIANCE_URL || 'https://hrcompliance.qolae.com'}/readersCompliance?readerPin=${readerPin}`
+        });
+      }
+
+      return reply.send({ success: true, redirect: '/readersDashboard' });
+
+    } catch (err) {
+      request.log.error({
+        event: 'passkeySignInError',
+        credentialId,
+        error: err.message,
+        gdprCategory: 'authentication'
+      });
+      return reply.code(503).send({ success: false, error: 'Authentication service unavailable' });
+    }
+  });
+
 }
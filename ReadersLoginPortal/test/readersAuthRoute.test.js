@@ -0,0 +1,652 @@
+// ==============================================
+// readersAuthRoute.test.js — PIN access, login, 2FA, secure login, lockout, password reset, passkeys
+// ==============================================
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import { startSsotStub, captureViews, TEST_INTERNAL_SECRET } from './helpers/ssotStub.js';
+
+const ssot = await startSsotStub();
+const { default: server } = await import('../Readers_server.js');
+const { resetCircuitBreakers } = await import('../utils/ssotFetch.js');
+const { generateDeviceFingerprint } = await import('../utils/deviceFingerprint.js');
+const { resetLoginLockouts } = await import('../utils/loginLockout.js');
+const { resetPasskeyChallenges } = await import('../utils/passkeys.js');
+const { generateTotpSecret, totpCode } = await import('../../MockSSOT/utils/mockTotp.js');
+const { createSoftAuthenticator } = await import('../../MockSSOT/utils/softAuthenticator.js');
+const views = captureViews(server);
+
+// Routes are rate limited per IP (3 per window) — give every request its own address
+let nextHost = 1;
+function clientAddress() {
+  nextHost += 1;
+  return `10.0.${Math.floor(nextHost / 250)}.${nextHost % 250 + 1}`;
+}
+
+function inject(method, url, { payload, token } = {}) {
+  return server.inject({
+    method,
+    url,
+    payload,
+    remoteAddress: clientAddress(),
+    cookies: token ? { qolaeReaderToken: token } : undefined
+  });
+}
+
+function errorOf(location) {
+  return new URL(location, 'http://portal.test').searchParams.get('error');
+}
+
+beforeEach(() => {
+  ssot.reset();
+  resetCircuitBreakers();
+  resetLoginLockouts();
+  resetPasskeyChallenges();
+  views.length = 0;
+});
+
+after(async () => {
+  await server.close();
+  await ssot.close();
+});
+
+// ──────────────────────────────────────────────
+// GET /readersLogin (PIN hyperlink)
+// ──────────────────────────────────────────────
+
+test('login page without a PIN renders the empty form', async () => {
+  const res = await inject('GET', '/readersLogin');
+  assert.equal(res.statusCode, 200);
+  assert.equal(views.at(-1).page, 'readersLogin.ejs');
+  assert.equal(views.at(-1).data.readerPin, '');
+});
+
+test('login page explains a dashboard session timeout', async () => {
+  const res = await inject('GET', '/readersLogin?reason=idleTimeout');
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /signed out after a period of inactivity/);
+
+  await inject('GET', '/readersLogin?reason=somethingElse');
+  assert.equal(views.at(-1).data.sessionEnded, '');
+});
+
+test('PIN hyperlink issues a session cookie and prefills the reader', async () => {
+  const res = await inject('GET', '/readersLogin?readerPin=JS-123456');
+  assert.equal(res.statusCode, 200);
+
+  const cookie = res.cookies.find(c => c.name === 'qolaeReaderToken');
+  assert.ok(cookie?.value);
+  assert.equal(cookie.httpOnly, true);
+  assert.equal(views.at(-1).data.readerName, 'Jane Smith');
+});
+
+test('unknown, revoked and unreachable PINs map to 404, 403 and 500', async () => {
+  let res = await inject('GET', '/readersLogin?readerPin=ZZ-000000');
+  assert.equal(res.statusCode, 404);
+  assert.match(res.body, new RegExp(`Reference: ${res.headers['x-request-id']}`));
+
+  res = await inject('GET', '/readersLogin?readerPin=RS-111111');
+  assert.equal(res.statusCode, 403);
+  assert.match(res.body, /Access Revoked/);
+
+  ssot.state.overrides.set('POST /auth/readers/pinAccess', { down: true });
+  res = await inject('GET', '/readersLogin?readerPin=JS-123456');
+  assert.equal(res.statusCode, 500);
+});
+
+// ──────────────────────────────────────────────
+// POST /readersAuth/login
+// ──────────────────────────────────────────────
+
+test('login requires email and PIN', async () => {
+  const res = await inject('POST', '/readersAuth/login', { payload: { readerPin: 'JS-123456' } });
+  assert.equal(res.statusCode, 302);
+  assert.equal(errorOf(res.headers.location), 'Email and Reader PIN are required');
+});
+
+test('login rejects a malformed PIN', async () => {
+  const res = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'jane.smith@example.com', readerPin: 'nope' }
+  });
+  assert.equal(errorOf(res.headers.location), 'Invalid Reader PIN format');
+});
+
+test('login surfaces an email/PIN mismatch from the SSOT', async () => {
+  const res = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'someone@example.com', readerPin: 'JS-123456' }
+  });
+  assert.equal(errorOf(res.headers.location), 'Email and Reader PIN do not match');
+});
+
+test('login with matching email and PIN continues to 2FA', async () => {
+  const res = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'jane.smith@example.com', readerPin: 'JS-123456' }
+  });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/readers2fa');
+});
+
+test('login with another reader\'s cookie clears it and restarts the PIN flow', async () => {
+  // No fresh token from requestToken → the route falls back to the cookie
+  ssot.state.overrides.set('POST /auth/readers/requestToken', {
+    status: 200,
+    body: { success: true, reader: { readerPin: 'JS-123456', complianceSubmitted: true } }
+  });
+  const res = await inject('POST', '/readersAuth/login', {
+    token: ssot.login('KB-654321'),
+    payload: { email: 'jane.smith@example.com', readerPin: 'JS-123456' }
+  });
+  assert.equal(res.headers.location, '/readersLogin?readerPin=JS-123456');
+  assert.equal(res.cookies.find(c => c.name === 'qolaeReaderToken')?.value, '');
+});
+
+test('login reports the service as unavailable when the SSOT is down', async () => {
+  ssot.state.overrides.set('*', { down: true });
+  const res = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'jane.smith@example.com', readerPin: 'JS-123456' }
+  });
+  assert.equal(errorOf(res.headers.location), 'Authentication service unavailable. Please try again.');
+  assert.match(res.headers.location, /&ref=/);
+});
+
+test('error pages quote a well-formed ?ref= and fall back to their own request ID', async () => {
+  let res = await inject('GET', '/readersLogin?error=Try%20again&ref=a1b2c3d4-e5f6-4a00-8000-000000000001');
+  assert.match(res.body, /Reference: a1b2c3d4-e5f6-4a00-8000-000000000001/);
+
+  res = await inject('GET', `/readersLogin?error=Try%20again&ref=${encodeURIComponent('Call 0800 123 456 to unlock')}`);
+  assert.ok(!res.body.includes('Call 0800'));
+  assert.match(res.body, new RegExp(`Reference: ${res.headers['x-request-id']}`));
+});
+
+test('login is rate limited per IP', async () => {
+  const remoteAddress = clientAddress();
+  const payload = { email: 'someone@example.com', readerPin: 'JS-123456' };
+
+  for (let i = 0; i < 30; i++) {
+    await server.inject({ method: 'POST', url: '/readersAuth/login', payload, remoteAddress });
+  }
+  const res = await server.inject({ method: 'POST', url: '/readersAuth/login', payload, remoteAddress });
+  assert.equal(res.statusCode, 302);
+  assert.equal(errorOf(res.headers.location), 'Too many login attempts. Please try again in 15 minutes.');
+});
+
+// ──────────────────────────────────────────────
+// Per-PIN / per-email lockout
+// ──────────────────────────────────────────────
+
+const WRONG_EMAIL = { email: 'someone@example.com', readerPin: 'JS-123456' };
+
+function requestTokenCalls() {
+  return ssot.state.calls.filter(call => call.key === 'POST /auth/readers/requestToken').length;
+}
+
+test('failures for one PIN are delayed progressively, whatever the IP', async () => {
+  for (let i = 0; i < 3; i++) {
+    await inject('POST', '/readersAuth/login', { payload: WRONG_EMAIL });
+  }
+  const callsBefore = requestTokenCalls();
+
+  const res = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'jane.smith@example.com', readerPin: 'JS-123456' }
+  });
+  assert.equal(errorOf(res.headers.location), 'Too many failed attempts. Please wait 2 seconds and try again.');
+  assert.equal(requestTokenCalls(), callsBefore);
+  assert.ok(ssot.state.securityLog.some(entry => entry.eventType === 'loginThrottled' && entry.readerPin === 'JS-123456'));
+});
+
+test('the failure counter follows the email across PINs', async () => {
+  for (let i = 0; i < 3; i++) {
+    await inject('POST', '/readersAuth/login', { payload: WRONG_EMAIL });
+  }
+  const res = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'someone@example.com', readerPin: 'KB-654321' }
+  });
+  assert.match(errorOf(res.headers.location), /^Too many failed attempts/);
+});
+
+// Fail until locked, waiting out each progressive delay → last response
+async function lockOut(t) {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  let res;
+  for (let i = 0; i < 10; i++) {
+    res = await inject('POST', '/readersAuth/login', { payload: WRONG_EMAIL });
+    t.mock.timers.tick(61 * 1000);
+  }
+  return res;
+}
+
+test('ten failures lock the PIN and are reported to the security log', async (t) => {
+  const res = await lockOut(t);
+  assert.equal(res.headers.location, '/readersLogin/locked?readerPin=JS-123456');
+
+  const lockout = ssot.state.securityLog.find(entry => entry.eventType === 'loginLockout');
+  assert.equal(lockout.readerPin, 'JS-123456');
+  assert.equal(lockout.eventStatus, 'blocked');
+
+  // Locked even with the right email, and the SSOT is not asked
+  const callsBefore = requestTokenCalls();
+  const retry = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'jane.smith@example.com', readerPin: 'JS-123456' }
+  });
+  assert.equal(retry.headers.location, '/readersLogin/locked?readerPin=JS-123456');
+  assert.equal(requestTokenCalls(), callsBefore);
+
+  // Lock lapses after 30 minutes
+  t.mock.timers.tick(30 * 60 * 1000);
+  const later = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'jane.smith@example.com', readerPin: 'JS-123456' }
+  });
+  assert.equal(later.headers.location, '/readers2fa');
+});
+
+test('lockout page offers an unlock link by email without confirming the account', async () => {
+  const page = await inject('GET', '/readersLogin/locked?readerPin=JS-123456');
+  assert.equal(page.statusCode, 200);
+  assert.equal(views.at(-1).page, 'readersLocked.ejs');
+  assert.match(page.body, /action="\/readersAuth\/unlockRequest"/);
+
+  const matched = await inject('POST', '/readersAuth/unlockRequest', {
+    payload: { readerPin: 'JS-123456', email: 'jane.smith@example.com' }
+  });
+  const unmatched = await inject('POST', '/readersAuth/unlockRequest', {
+    payload: { readerPin: 'JS-123456', email: 'someone@example.com' }
+  });
+  assert.equal(matched.headers.location, '/readersLogin/locked?readerPin=JS-123456&sent=true');
+  assert.equal(unmatched.headers.location, matched.headers.location);
+  assert.equal(ssot.state.unlockTokens.size, 1);
+});
+
+test('the emailed unlock link clears the lockout once', async (t) => {
+  await lockOut(t);
+  await inject('POST', '/readersAuth/unlockRequest', {
+    payload: { readerPin: 'JS-123456', email: 'jane.smith@example.com' }
+  });
+  const [unlockToken] = ssot.state.unlockTokens.keys();
+
+  const res = await inject('GET', `/readersAuth/unlock?token=${unlockToken}`);
+  assert.match(res.headers.location, /^\/readersLogin\?success=/);
+  assert.ok(ssot.state.securityLog.some(entry => entry.eventType === 'loginUnlocked' && entry.eventStatus === 'resolved'));
+
+  const login = await inject('POST', '/readersAuth/login', {
+    payload: { email: 'jane.smith@example.com', readerPin: 'JS-123456' }
+  });
+  assert.equal(login.headers.location, '/readers2fa');
+
+  const reused = await inject('GET', `/readersAuth/unlock?token=${unlockToken}`);
+  assert.match(errorOf(reused.headers.location), /invalid or has expired/);
+});
+
+test('wrong 2FA codes and passwords count against the session PIN', async () => {
+  for (let i = 0; i < 2; i++) {
+    await inject('POST', '/readersAuth/verify2fa', { token: ssot.login('JS-123456'), payload: { verificationCode: '000000' } });
+  }
+  await inject('POST', '/readersAuth/secureLogin', {
+    token: ssot.login('JS-123456'),
+    payload: { password: 'wrong', readerPin: 'JS-123456' }
+  });
+
+  const res = await inject('POST', '/readersAuth/secureLogin', {
+    token: ssot.login('JS-123456'),
+    payload: { password: 'ReaderPass1!', readerPin: 'JS-123456' }
+  });
+  assert.match(errorOf(res.headers.location), /^Too many failed attempts/);
+});
+
+// ──────────────────────────────────────────────
+// 2FA
+// ──────────────────────────────────────────────
+
+test('requesting an email code needs a session cookie', async () => {
+  let res = await inject('POST', '/readersAuth/requestEmailCode');
+  assert.equal(errorOf(res.headers.location), 'No active session. Please log in again.');
+
+  res = await inject('POST', '/readersAuth/requestEmailCode', { token: ssot.login() });
+  assert.equal(res.headers.location, '/readers2fa?codeSent=true');
+});
+
+// Log in and have the SSOT send an email code → session cookie value
+async function withEmailCode(readerPin) {
+  const token = ssot.login(readerPin);
+  await inject('POST', '/readersAuth/requestEmailCode', { token });
+  return token;
+}
+
+test('wrong 2FA code stays on the 2FA page', async () => {
+  const res = await inject('POST', '/readersAuth/verify2fa', {
+    token: ssot.login(),
+    payload: { verificationCode: '000000' }
+  });
+  assert.ok(res.headers.location.startsWith('/readers2fa?'));
+  assert.equal(errorOf(res.headers.location), 'Invalid verification code');
+});
+
+test('correct 2FA code routes by password setup status', async () => {
+  let res = await inject('POST', '/readersAuth/verify2fa', {
+    token: await withEmailCode('JS-123456'),
+    payload: { verificationCode: '123456' }
+  });
+  assert.equal(res.headers.location, '/secureLogin?readerPin=JS-123456&setupCompleted=true');
+
+  res = await inject('POST', '/readersAuth/verify2fa', {
+    token: await withEmailCode('KB-654321'),
+    payload: { verificationCode: '123456' }
+  });
+  assert.equal(res.headers.location, '/secureLogin?readerPin=KB-654321&verified=true');
+});
+
+test('step-up from the dashboard explains why a code is needed', async () => {
+  await inject('GET', '/readers2fa?stepUp=newDevice', { token: ssot.login() });
+  assert.equal(views.at(-1).page, 'readers2fa.ejs');
+  assert.equal(views.at(-1).data.stepUp, true);
+});
+
+test('2FA binds the new session to the verifying device', async () => {
+  const res = await server.inject({
+    method: 'POST',
+    url: '/readersAuth/verify2fa',
+    payload: { verificationCode: '123456' },
+    headers: { 'user-agent': 'Phone/2.0' },
+    remoteAddress: clientAddress(),
+    cookies: { qolaeReaderToken: await withEmailCode('JS-123456') }
+  });
+  assert.equal(res.statusCode, 302);
+
+  const session = [...ssot.state.sessions.values()].at(-1);
+  assert.equal(session.deviceFingerprint, generateDeviceFingerprint({ headers: { 'user-agent': 'Phone/2.0' } }));
+});
+
+test('2FA sends readers without compliance to HR Compliance', async () => {
+  ssot.state.readers.find(r => r.readerPin === 'KB-654321').complianceSubmitted = false;
+  const res = await inject('POST', '/readersAuth/verify2fa', {
+    token: await withEmailCode('KB-654321'),
+    payload: { verificationCode: '123456' }
+  });
+  assert.match(res.headers.location, /\/readersCompliance\?readerPin=KB-654321$/);
+});
+
+// Jane with an authenticator app enrolled (normally done in the Management Hub)
+function enrolAuthenticator() {
+  const reader = ssot.state.readers.find(r => r.readerPin === 'JS-123456');
+  reader.totpSecret = generateTotpSecret();
+  reader.recoveryCodes = ['abcd-1234', 'ef56-7890'];
+  return reader;
+}
+
+test('2FA page offers the authenticator first, with email as a fallback', async () => {
+  enrolAuthenticator();
+  const token = ssot.login('JS-123456');
+
+  const res = await inject('GET', '/readers2fa', { token });
+  assert.equal(views.at(-1).data.method, 'totp');
+  assert.match(res.body, /Authenticator Verification/);
+  assert.match(res.body, /href="\/readers2fa\?method=email"/);
+
+  await inject('GET', '/readers2fa?method=email', { token });
+  assert.equal(views.at(-1).data.method, 'email');
+
+  // Readers without an authenticator only ever see email codes
+  await inject('GET', '/readers2fa?method=totp', { token: ssot.login('KB-654321') });
+  assert.equal(views.at(-1).data.method, 'email');
+  assert.equal(views.at(-1).data.totpEnabled, false);
+});
+
+test('authenticator code completes 2FA; a wrong one stays on the authenticator form', async () => {
+  const reader = enrolAuthenticator();
+
+  let res = await inject('POST', '/readersAuth/verify2fa', {
+    token: ssot.login('JS-123456'),
+    payload: { method: 'totp', verificationCode: '000000' }
+  });
+  assert.ok(res.headers.location.startsWith('/readers2fa?method=totp&'));
+  assert.equal(errorOf(res.headers.location), 'Invalid authenticator code');
+
+  res = await inject('POST', '/readersAuth/verify2fa', {
+    token: ssot.login('JS-123456'),
+    payload: { method: 'totp', verificationCode: totpCode(reader.totpSecret) }
+  });
+  assert.equal(res.headers.location, '/secureLogin?readerPin=JS-123456&setupCompleted=true');
+});
+
+test('recovery codes work once', async () => {
+  const reader = enrolAuthenticator();
+  const payload = { method: 'recovery', verificationCode: 'ABCD-1234' };
+
+  let res = await inject('POST', '/readersAuth/verify2fa', { token: ssot.login('JS-123456'), payload });
+  assert.equal(res.headers.location, '/secureLogin?readerPin=JS-123456&setupCompleted=true');
+  assert.deepEqual(reader.recoveryCodes, ['ef56-7890']);
+
+  res = await inject('POST', '/readersAuth/verify2fa', { token: ssot.login('JS-123456'), payload });
+  assert.equal(errorOf(res.headers.location), 'Invalid recovery code');
+});
+
+// ──────────────────────────────────────────────
+// POST /readersAuth/secureLogin
+// ──────────────────────────────────────────────
+
+test('returning reader with the right password lands on the dashboard', async () => {
+  const res = await inject('POST', '/readersAuth/secureLogin', {
+    token: ssot.login('JS-123456'),
+    payload: { password: 'ReaderPass1!', readerPin: 'JS-123456' }
+  });
+  assert.equal(res.headers.location, '/readersDashboard');
+  assert.ok(res.cookies.find(c => c.name === 'qolaeReaderToken')?.value);
+});
+
+test('wrong password returns to secure login', async () => {
+  const res = await inject('POST', '/readersAuth/secureLogin', {
+    token: ssot.login('JS-123456'),
+    payload: { password: 'wrong', readerPin: 'JS-123456' }
+  });
+  assert.equal(errorOf(res.headers.location), 'Invalid password. Please try again.');
+});
+
+test('new password must match its confirmation', async () => {
+  const res = await inject('POST', '/readersAuth/secureLogin', {
+    token: ssot.login('KB-654321'),
+    payload: { password: 'NewPass1!', passwordConfirm: 'Other1!', isNewUser: 'true', readerPin: 'KB-654321' }
+  });
+  assert.equal(errorOf(res.headers.location), 'Passwords do not match. Please try again.');
+});
+
+test('password setup succeeds once, then reports it is already set', async () => {
+  const payload = { password: 'NewPass1!', passwordConfirm: 'NewPass1!', isNewUser: 'true', readerPin: 'KB-654321' };
+
+  let res = await inject('POST', '/readersAuth/secureLogin', { token: ssot.login('KB-654321'), payload });
+  assert.equal(res.headers.location, '/readersDashboard');
+
+  res = await inject('POST', '/readersAuth/secureLogin', { token: ssot.login('KB-654321'), payload });
+  assert.match(res.headers.location, /setupCompleted=true/);
+  assert.equal(errorOf(res.headers.location), 'Password already set up. Please enter your password.');
+});
+
+test('secure login reports the service as unavailable when the SSOT is down', async () => {
+  const token = ssot.login('JS-123456');
+  ssot.state.overrides.set('POST /auth/readers/passwordVerify', { down: true });
+  const res = await inject('POST', '/readersAuth/secureLogin', {
+    token,
+    payload: { password: 'ReaderPass1!', readerPin: 'JS-123456' }
+  });
+  assert.equal(errorOf(res.headers.location), 'Authentication service unavailable');
+});
+
+// ──────────────────────────────────────────────
+// POST /readersAuth/logout
+// ──────────────────────────────────────────────
+
+// Stand-in for ReadersDashboard's internal revoke endpoint
+const dashboard = Fastify({ logger: false });
+const dashboardRevokes = [];
+dashboard.post('/internal/sessions/revoke', async (request) => {
+  dashboardRevokes.push({ secret: request.headers['x-internal-secret'], body: request.body });
+  return { success: true, evicted: 1 };
+});
+process.env.READERS_DASHBOARD_INTERNAL_URL = await dashboard.listen({ port: 0, host: '127.0.0.1' });
+after(() => dashboard.close());
+
+test('logout evicts the dashboard session cache', async () => {
+  dashboardRevokes.length = 0;
+  const token = ssot.login('JS-123456');
+  await inject('POST', '/readersAuth/logout', { token });
+
+  assert.equal(dashboardRevokes.length, 1);
+  assert.equal(dashboardRevokes[0].secret, TEST_INTERNAL_SECRET);
+  assert.deepEqual(dashboardRevokes[0].body, { readerPin: 'JS-123456', token });
+});
+
+test('logout invalidates the SSOT session and clears the cookie', async () => {
+  const res = await inject('POST', '/readersAuth/logout', { token: ssot.login('JS-123456') });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.json(), { success: true, redirect: '/readersLogin' });
+  assert.equal(res.cookies.find(c => c.name === 'qolaeReaderToken')?.value, '');
+  assert.ok(ssot.state.calls.some(call => call.key === 'POST /auth/invalidateSession'));
+});
+
+// ──────────────────────────────────────────────
+// Forgot password (emailed reset link)
+// ──────────────────────────────────────────────
+
+async function requestReset(email = 'jane.smith@example.com') {
+  return inject('POST', '/readersAuth/passwordResetRequest', { payload: { readerPin: 'JS-123456', email } });
+}
+
+test('forgot password asks for an email and never confirms the account', async () => {
+  await inject('GET', '/secureLogin?readerPin=JS-123456&reset=true', { token: ssot.login('JS-123456') });
+  assert.equal(views.at(-1).data.uiState, 'forgotPassword');
+
+  const matched = await requestReset();
+  const unmatched = await requestReset('someone@example.com');
+  assert.equal(matched.headers.location, '/secureLogin?readerPin=JS-123456&reset=true&resetSent=true');
+  assert.equal(unmatched.headers.location, matched.headers.location);
+  assert.equal(ssot.state.passwordResetTokens.size, 1);
+});
+
+test('reset link renders the new-password form, unknown links are gone', async () => {
+  await requestReset();
+  const [resetToken] = ssot.state.passwordResetTokens.keys();
+
+  let res = await inject('GET', `/secureLogin/reset/${resetToken}`);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['referrer-policy'], 'no-referrer');
+  assert.equal(views.at(-1).page, 'secureLoginReset.ejs');
+  assert.equal(views.at(-1).data.readerEmail, 'jane.smith@example.com');
+
+  res = await inject('GET', '/secureLogin/reset/not-a-token');
+  assert.equal(res.statusCode, 410);
+  assert.equal(views.at(-1).data.tokenValid, false);
+});
+
+test('reset sets the password once and signs out every session', async () => {
+  dashboardRevokes.length = 0;
+  const existing = ssot.login('JS-123456');
+  await requestReset();
+  const [resetToken] = ssot.state.passwordResetTokens.keys();
+  const payload = { token: resetToken, password: 'BrandNew1!', passwordConfirm: 'BrandNew1!' };
+
+  const res = await inject('POST', '/readersAuth/passwordReset', { payload });
+  assert.match(res.headers.location, /^\/readersLogin\?success=/);
+  assert.equal(ssot.state.readers.find(r => r.readerPin === 'JS-123456').password, 'BrandNew1!');
+  assert.equal(ssot.state.sessions.has(existing), false);
+  assert.deepEqual(dashboardRevokes.at(-1).body, { readerPin: 'JS-123456' });
+
+  const reused = await inject('POST', '/readersAuth/passwordReset', { payload });
+  assert.equal(errorOf(reused.headers.location), 'This reset link is invalid or has expired.');
+});
+
+test('reset keeps the link usable when the passwords do not match', async () => {
+  await requestReset();
+  const [resetToken] = ssot.state.passwordResetTokens.keys();
+
+  const res = await inject('POST', '/readersAuth/passwordReset', {
+    payload: { token: resetToken, password: 'BrandNew1!', passwordConfirm: 'Other1!' }
+  });
+  assert.equal(res.headers.location.split('?')[0], `/secureLogin/reset/${resetToken}`);
+  assert.equal(errorOf(res.headers.location), 'Passwords do not match. Please try again.');
+  assert.equal(ssot.state.passwordResetTokens.has(resetToken), true);
+});
+
+test('secure login no longer resets a password from a PIN alone', async () => {
+  await inject('POST', '/readersAuth/secureLogin', {
+    token: ssot.login('JS-123456'),
+    payload: { password: 'Hijack1!', passwordConfirm: 'Hijack1!', reset: 'true', readerPin: 'KB-654321' }
+  });
+  assert.notEqual(ssot.state.readers.find(r => r.readerPin === 'KB-654321').password, 'Hijack1!');
+});
+
+// ──────────────────────────────────────────────
+// Passkey sign-in (WebAuthn) — software authenticator plays the reader's device
+// ──────────────────────────────────────────────
+
+// A device holding a passkey for the reader, registered with the SSOT
+function passkeyDevice(readerPin = 'JS-123456') {
+  const device = createSoftAuthenticator();
+  const { id } = device.register({ challenge: 'seed', user: { id: Buffer.from(readerPin).toString('base64url') } });
+  ssot.state.readers.find(r => r.readerPin === readerPin).passkeys.push({
+    credentialId: id,
+    publicKey: device.credentials.get(id).publicKey,
+    counter: 0,
+    transports: ['internal'],
+    label: 'Test laptop',
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  });
+  return device;
+}
+
+async function passkeyOptions() {
+  const res = await inject('POST', '/readersAuth/passkey/options');
+  assert.equal(res.statusCode, 200);
+  return res.json();
+}
+
+test('login page offers passkey sign-in', async () => {
+  const res = await inject('GET', '/readersLogin');
+  assert.match(res.body, /id="passkeyButton"/);
+});
+
+test('passkey signs in without PIN, email code or password and is logged', async () => {
+  const device = passkeyDevice();
+  const assertion = device.authenticate(await passkeyOptions());
+
+  const res = await inject('POST', '/readersAuth/passkey/verify', { payload: assertion });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.json(), { success: true, redirect: '/readersDashboard' });
+
+  const cookie = res.cookies.find(c => c.name === 'qolaeReaderToken');
+  assert.equal(ssot.state.sessions.get(cookie.value).readerPin, 'JS-123456');
+  const passkey = ssot.state.readers.find(r => r.readerPin === 'JS-123456').passkeys[0];
+  assert.equal(passkey.counter, 1);
+  assert.ok(passkey.lastUsedAt);
+  assert.deepEqual(
+    ssot.state.securityLog.filter(e => e.eventType === 'passkeyAssertion').map(e => e.eventStatus),
+    ['success']
+  );
+});
+
+test('passkey assertions are single use and failures are logged', async () => {
+  const device = passkeyDevice();
+  const assertion = device.authenticate(await passkeyOptions());
+  await inject('POST', '/readersAuth/passkey/verify', { payload: assertion });
+
+  const replayed = await inject('POST', '/readersAuth/passkey/verify', { payload: assertion });
+  assert.equal(replayed.statusCode, 401);
+  assert.equal(replayed.cookies.find(c => c.name === 'qolaeReaderToken'), undefined);
+
+  const stranger = createSoftAuthenticator();
+  stranger.register({ challenge: 'seed', user: { id: Buffer.from('JS-123456').toString('base64url') } });
+  const unknown = await inject('POST', '/readersAuth/passkey/verify', { payload: stranger.authenticate(await passkeyOptions()) });
+  assert.equal(unknown.statusCode, 401);
+
+  const failures = ssot.state.securityLog.filter(e => e.eventType === 'passkeyAssertion' && e.eventStatus === 'failure');
+  assert.equal(failures.length, 2);
+  assert.equal(failures[0].readerPin, 'JS-123456');
+  assert.equal(failures[1].details.reason, 'unknownCredential');
+});
+
+test('passkey sign-in is refused for a revoked reader', async () => {
+  const device = passkeyDevice('RS-111111');
+  const res = await inject('POST', '/readersAuth/passkey/verify', { payload: device.authenticate(await passkeyOptions()) });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.cookies.find(c => c.name === 'qolaeReaderToken'), undefined);
+});
+
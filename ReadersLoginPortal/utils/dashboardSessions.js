@@ -0,0 +1,46 @@
+// ==============================================
+// dashboardSessions.js — Evict ReadersDashboard Session Cache on Logout
+// ==============================================
+// Purpose: ReadersDashboard caches SSOT session validations for 5 minutes;
+//   invalidating the SSOT session alone leaves a logged-out cookie working
+//   until that cache expires. Logout here tells the dashboard directly.
+// Endpoint: POST {READERS_DASHBOARD_INTERNAL_URL}/internal/sessions/revoke
+// Auth: x-internal-secret (same secret ssotFetch sends to the SSOT)
+// Never throws — logout must complete even if the dashboard is down
+// ==============================================
+
+import { getRequestId, REQUEST_ID_HEADER } from './requestContext.js';
+
+const REVOKE_TIMEOUT_MS = 2000;
+
+/**
+ * revokeDashboardSessions — evict a reader's (or one token's) cached sessions
+ * @param {object} target
+ * @param {string} [target.readerPin]
+ * @param {string} [target.token]
+ * @returns {Promise<boolean>} whether the dashboard confirmed the eviction
+ */
+export async function revokeDashboardSessions({ readerPin, token }) {
+  const baseUrl = process.env.READERS_DASHBOARD_INTERNAL_URL || 'http://127.0.0.1:3008';
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-internal-secret': process.env.INTERNAL_API_SECRET || ''
+  };
+  const requestId = getRequestId();
+  if (requestId) {
+    headers[REQUEST_ID_HEADER] = requestId;
+  }
+
+  try {
+    const res = await fetch(`${baseUrl}/internal/sessions/revoke`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ readerPin, token }),
+      signal: AbortSignal.timeout(REVOKE_TIMEOUT_MS)
+    });
+    return res.ok;
+  } catch (err) {
+    console.error('Dashboard session revoke failed:', err.message);
+    return false;
+  }
+}
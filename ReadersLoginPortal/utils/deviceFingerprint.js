@@ -0,0 +1,22 @@
+// ==============================================
+// deviceFingerprint.js — Browser Fingerprint for Session Binding
+// ==============================================
+// Purpose: Hash of the headers a browser sends unchanged on every request
+//   (not Accept-Encoding — Range requests and proxies change it)
+// Recorded by the SSOT with each session this portal creates; the
+//   ReadersDashboard sessionMiddleware recomputes it and asks for a
+//   step-up (/readers2fa?stepUp=newDevice) when it no longer matches
+// MUST stay identical to generateDeviceFingerprint in
+//   ReadersDashboard/middleware/sessionMiddleware.js
+// ==============================================
+
+import crypto from 'crypto';
+
+export function generateDeviceFingerprint(req) {
+  const components = [
+    req.headers['user-agent'],
+    req.headers['accept-language']
+  ].join('|');
+
+  return crypto.createHash('sha256').update(components).digest('hex');
+}
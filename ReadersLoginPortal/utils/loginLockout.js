@@ -0,0 +1,159 @@
+// ==============================================
+// loginLockout.js — Per-PIN / Per-Email Progressive Lockout
+// ==============================================
+// Purpose: Throttle credential guessing against one reader, wherever it
+//   comes from — the per-IP rate limits miss distributed guessing and
+//   lock out readers sharing a NAT
+// Counters are keyed by identity ('pin:JS-123456', 'email:jane@...'):
+//   first FREE_ATTEMPTS failures are free, then each attempt must wait
+//   2s, 4s, 8s ... (capped), and LOCKOUT_THRESHOLD failures lock the
+//   identity for LOCKOUT minutes (or until an emailed unlock link is used)
+// A success clears the counters; a quiet hour forgets them
+// Per process: counters reset on restart (the SSOT security log keeps the history)
+// ==============================================
+
+import ssotFetch from './ssotFetch.js';
+
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 60 * 1000;
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+export const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const LOCKOUT_MS = LOCKOUT_MINUTES * 60 * 1000;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_TRACKED_IDENTITIES = 10000;
+
+// identity key → { failures, lastFailureAt, lockedUntil }
+const COUNTERS = new Map();
+
+/**
+ * lockoutKeys — counter keys for whichever identifiers the attempt carries
+ * @param {object} identity
+ * @param {string} [identity.readerPin]
+ * @param {string} [identity.email]
+ * @returns {string[]}
+ */
+export function lockoutKeys({ readerPin, email } = {}) {
+  const keys = [];
+  if (readerPin) keys.push(`pin:${String(readerPin).trim().toUpperCase()}`);
+  if (email) keys.push(`email:${String(email).trim().toLowerCase()}`);
+  return keys;
+}
+
+// Current counter, dropping it once the window has passed and no lock is active
+function counterFor(key, now) {
+  const entry = COUNTERS.get(key);
+  if (entry && now - entry.lastFailureAt > FAILURE_WINDOW_MS && !(entry.lockedUntil > now)) {
+    COUNTERS.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+function delayAfter(failures) {
+  if (failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+}
+
+/**
+ * checkLockout — may this attempt go to the SSOT?
+ * @param {string[]} keys — from lockoutKeys()
+ * @returns {{ locked: boolean, lockedUntil: number|null, retryAfterMs: number }}
+ */
+export function checkLockout(keys) {
+  const now = Date.now();
+  let lockedUntil = null;
+  let retryAfterMs = 0;
+
+  for (const key of keys) {
+    const entry = counterFor(key, now);
+    if (!entry) continue;
+    if (entry.lockedUntil > now) {
+      lockedUntil = Math.max(lockedUntil || 0, entry.lockedUntil);
+    }
+    const waitUntil = entry.lastFailureAt + delayAfter(entry.failures);
+    retryAfterMs = Math.max(retryAfterMs, waitUntil - now);
+  }
+
+  return { locked: lockedUntil !== null, lockedUntil, retryAfterMs };
+}
+
+/**
+ * recordFailure — count a failed credential check against every key
+ * @param {string[]} keys
+ * @returns {{ failures: number, delayMs: number, lockedUntil: number|null, justLocked: boolean }}
+ */
+export function recordFailure(keys) {
+  const now = Date.now();
+  const result = { failures: 0, delayMs: 0, lockedUntil: null, justLocked: false };
+
+  for (const key of keys) {
+    const entry = counterFor(key, now) || { failures: 0, lastFailureAt: now, lockedUntil: null };
+    entry.failures += 1;
+    entry.lastFailureAt = now;
+    if (entry.failures >= LOCKOUT_THRESHOLD && !(entry.lockedUntil > now)) {
+      entry.lockedUntil = now + LOCKOUT_MS;
+      result.justLocked = true;
+    }
+    COUNTERS.delete(key);
+    COUNTERS.set(key, entry);
+
+    result.failures = Math.max(result.failures, entry.failures);
+    result.delayMs = Math.max(result.delayMs, delayAfter(entry.failures));
+    if (entry.lockedUntil > now) {
+      result.lockedUntil = Math.max(result.lockedUntil || 0, entry.lockedUntil);
+    }
+  }
+
+  // Bounded: oldest identities go first
+  while (COUNTERS.size > MAX_TRACKED_IDENTITIES) {
+    COUNTERS.delete(COUNTERS.keys().next().value);
+  }
+
+  return result;
+}
+
+/**
+ * clearFailures — successful login or emailed unlock
+ * @param {string[]} keys
+ */
+export function clearFailures(keys) {
+  keys.forEach(key => COUNTERS.delete(key));
+}
+
+// Tests / manual recovery
+export function resetLoginLockouts() {
+  COUNTERS.clear();
+}
+
+/**
+ * reportLockoutEvent — record throttling/lockout/unlock in the SSOT security log
+ * Never throws — logging must not change the login outcome
+ * @param {FastifyRequest} request
+ * @param {object} event
+ * @param {string} event.eventType — 'loginThrottled' | 'loginLockout' | 'loginUnlocked'
+ * @param {string} [event.readerPin]
+ * @param {object} [event.details]
+ * @param {number} [event.riskScore]
+ */
+export async function reportLockoutEvent(request, { eventType, readerPin, details = {}, riskScore = 40 }) {
+  try {
+    await ssotFetch('/auth/readers/securityLog', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        readerPin: readerPin || null,
+        eventType,
+        eventStatus: eventType === 'loginUnlocked' ? 'resolved' : 'blocked',
+        details: { ...details, path: request.url.split('?')[0], source: 'ReadersLoginPortal' },
+        ipAddress: request.ip,
+        userAgent: request.headers['user-agent'],
+        riskScore
+      })
+    });
+  } catch (err) {
+    request.log.error({ event: 'securityLogFailed', eventType, error: err.message });
+  }
+}
@@ -0,0 +1,87 @@
+// ==============================================
+// passkeys.js — WebAuthn Passkey Sign-in Helpers
+// ==============================================
+// Purpose: Relying-party settings, single-use sign-in challenges and the
+//   security-log record for every assertion
+// Portal and dashboard share one origin (readers.qolae.com), so a passkey
+//   registered in the Management Hub signs in here — keep WEBAUTHN_RP_ID /
+//   WEBAUTHN_ORIGIN identical in both .env files
+// Challenges are per process and expire after CHALLENGE_TTL_MS; each one is
+//   consumed by the first assertion that presents it, pass or fail
+// ==============================================
+
+import ssotFetch from './ssotFetch.js';
+
+export const WEBAUTHN_RP_ID = process.env.WEBAUTHN_RP_ID || 'readers.qolae.com';
+export const WEBAUTHN_ORIGIN = process.env.WEBAUTHN_ORIGIN || 'https://readers.qolae.com';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_PENDING_CHALLENGES = 10000;
+
+// challenge (base64url) → expiresAt
+const CHALLENGES = new Map();
+
+/**
+ * rememberChallenge — accept assertions for a challenge just sent to the browser
+ * @param {string} challenge — options.challenge from generateAuthenticationOptions()
+ */
+export function rememberChallenge(challenge) {
+  CHALLENGES.set(challenge, Date.now() + CHALLENGE_TTL_MS);
+
+  // Bounded: oldest challenges go first
+  while (CHALLENGES.size > MAX_PENDING_CHALLENGES) {
+    CHALLENGES.delete(CHALLENGES.keys().next().value);
+  }
+}
+
+/**
+ * consumeChallenge — was this challenge issued here and still live? Single use
+ * Pass as expectedChallenge to verifyAuthenticationResponse()
+ * @param {string} challenge — from the assertion's clientDataJSON
+ * @returns {boolean}
+ */
+export function consumeChallenge(challenge) {
+  const expiresAt = CHALLENGES.get(challenge);
+  CHALLENGES.delete(challenge);
+  return expiresAt !== undefined && expiresAt > Date.now();
+}
+
+// Tests
+export function resetPasskeyChallenges() {
+  CHALLENGES.clear();
+}
+
+/**
+ * reportPasskeyAssertion — record a passkey sign-in attempt in the SSOT security log
+ * Never throws — logging must not change the login outcome
+ * @param {FastifyRequest} request
+ * @param {object} event
+ * @param {boolean} event.success
+ * @param {string} [event.readerPin] — null when the credential is unknown
+ * @param {string} [event.credentialId]
+ * @param {string} [event.reason] — why the assertion was rejected
+ */
+export async function reportPasskeyAssertion(request, { success, readerPin, credentialId, reason }) {
+  try {
+    await ssotFetch('/auth/readers/securityLog', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        readerPin: readerPin || null,
+        eventType: 'passkeyAssertion',
+        eventStatus: success ? 'success' : 'failure',
+        details: {
+          credentialId: credentialId || null,
+          ...(reason && { reason }),
+          path: request.url.split('?')[0],
+          source: 'ReadersLoginPortal'
+        },
+        ipAddress: request.ip,
+        userAgent: request.headers['user-agent'],
+        riskScore: success ? 0 : 50
+      })
+    });
+  } catch (err) {
+    request.log.error({ event: 'securityLogFailed', eventType: 'passkeyAssertion', error: err.message });
+  }
+}
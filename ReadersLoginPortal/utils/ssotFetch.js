@@ -3,16 +3,146 @@
 // ==============================================
 // Purpose: Wraps fetch() for all server-to-server calls to the SSOT API
 // Injects x-internal-secret header on every request
+// Forwards the current X-Request-Id (see requestContext.js) for log correlation
 // Centralises SSOT_BASE_URL so route files don't define it individually
+// Resilience: per-attempt timeout, jittered retry for idempotent calls,
+//   per-endpoint circuit breaker (fails fast while SSOT is degraded)
 // ==============================================
 
+import { getRequestId, REQUEST_ID_HEADER } from './requestContext.js';
+
 const SSOT_BASE_URL = process.env.SSOT_BASE_URL || 'https://api.qolae.com';
 
+// Defaults — overridable per call via options.timeoutMs / options.retries
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 200;
+const RETRY_MAX_DELAY_MS = 2000;
+
+// Circuit breaker — keyed by METHOD + path template (see circuitKey)
+const BREAKER_FAILURE_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 30 * 1000;
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Retried, and counted as breaker failures along with network errors and timeouts
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const CIRCUITS = new Map();
+
+// Path segments that identify a record rather than an endpoint: numeric ids,
+//   hyphenated ids with a digit (reader PINs, UUIDs), long tokens, anything URL-encoded
+const DYNAMIC_SEGMENT = /^(\d+|[A-Za-z0-9]+-[A-Za-z0-9-]*\d[A-Za-z0-9-]*|(?=[A-Za-z_-]*\d)[A-Za-z0-9_-]{20,}|.*%.*)$/;
+
+/**
+ * circuitKey — one circuit per endpoint, not per reader or record
+ * 'GET /api/readers/nda/previewPdf/JS-123456?x=1' → 'GET /api/readers/nda/previewPdf/:id'
+ * An outage spread across readers trips one breaker, CIRCUITS stays bounded
+ *   and the /health snapshot never lists PINs
+ * @param {string} method
+ * @param {string} path
+ * @returns {string}
+ */
+export function circuitKey(method, path) {
+  const template = path.split('?')[0]
+    .split('/')
+    .map(segment => (DYNAMIC_SEGMENT.test(segment) ? ':id' : segment))
+    .join('/');
+  return `${method} ${template}`;
+}
+
+/**
+ * SsotDegradedError — thrown when an endpoint's circuit is open
+ * Callers can check err.ssotDegraded to show a degraded-service message
+ */
+export class SsotDegradedError extends Error {
+  constructor(endpoint, retryAt) {
+    super(`SSOT degraded: ${endpoint} unavailable`);
+    this.name = 'SsotDegradedError';
+    this.code = 'SSOT_DEGRADED';
+    this.ssotDegraded = true;
+    this.endpoint = endpoint;
+    this.retryAt = retryAt;
+  }
+}
+
+function getCircuit(endpoint) {
+  let circuit = CIRCUITS.get(endpoint);
+  if (!circuit) {
+    circuit = { state: 'closed', failures: 0, openedAt: 0, trialInFlight: false };
+    CIRCUITS.set(endpoint, circuit);
+  }
+  return circuit;
+}
+
+// Returns true if the call may proceed; moves open → halfOpen after cooldown
+function allowRequest(circuit) {
+  if (circuit.state === 'closed') return true;
+
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= BREAKER_COOLDOWN_MS) {
+    circuit.state = 'halfOpen';
+    circuit.trialInFlight = false;
+  }
+
+  if (circuit.state === 'halfOpen' && !circuit.trialInFlight) {
+    circuit.trialInFlight = true;
+    return true;
+  }
+
+  return false;
+}
+
+function recordSuccess(circuit) {
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.trialInFlight = false;
+}
+
+function recordFailure(circuit) {
+  circuit.failures += 1;
+  circuit.trialInFlight = false;
+  if (circuit.state === 'halfOpen' || circuit.failures >= BREAKER_FAILURE_THRESHOLD) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+// Full-jitter exponential backoff
+function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * getCircuitBreakerStates — snapshot of every tracked endpoint (for /health)
+ * @returns {object} — { 'GET /readers/workspace/bootstrap': { state, failures }, ... }
+ */
+export function getCircuitBreakerStates() {
+  const snapshot = {};
+  for (const [endpoint, circuit] of CIRCUITS) {
+    snapshot[endpoint] = { state: circuit.state, failures: circuit.failures };
+  }
+  return snapshot;
+}
+
+/**
+ * resetCircuitBreakers — clear all breaker state (tests / manual recovery)
+ */
+export function resetCircuitBreakers() {
+  CIRCUITS.clear();
+}
+
 /**
  * ssotFetch — authenticated fetch to SSOT API
  * @param {string} path — API path (e.g. '/auth/session/validate')
  * @param {object} options — standard fetch options (method, headers, body, etc.)
+ * @param {number} [options.timeoutMs] — per-attempt timeout (default 5000)
+ * @param {number} [options.retries] — extra attempts for idempotent methods (default 2)
  * @returns {Promise<Response>} — standard fetch Response
+ * @throws {SsotDegradedError} — when the endpoint's circuit is open
  */
 async function ssotFetch(path, options = {}) {
   const INTERNAL_API_SECRET = process.env.INTERNAL_API_SECRET;
@@ -20,17 +150,71 @@ async function ssotFetch(path, options = {}) {
     throw new Error('INTERNAL_API_SECRET not set in environment');
   }
 
+  const {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    ...fetchOptions
+  } = options;
+
   const url = `${SSOT_BASE_URL}${path}`;
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+  const endpoint = circuitKey(method, path);
+  const maxAttempts = IDEMPOTENT_METHODS.includes(method) ? retries + 1 : 1;
 
+  const requestId = getRequestId();
   const headers = {
-    ...options.headers,
+    ...(requestId && { [REQUEST_ID_HEADER]: requestId }),
+    ...fetchOptions.headers,
     'x-internal-secret': INTERNAL_API_SECRET
   };
 
-  return fetch(url, {
-    ...options,
-    headers
-  });
+  const circuit = getCircuit(endpoint);
+  let lastError;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (!allowRequest(circuit)) {
+      throw new SsotDegradedError(endpoint, circuit.openedAt + BREAKER_COOLDOWN_MS);
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        ...fetchOptions,
+        signal: controller.signal,
+        headers
+      });
+      clearTimeout(timeout);
+
+      // Only gateway/availability failures count against the breaker — a plain
+      //   500 is the SSOT answering (one bad record), not the SSOT being down
+      if (RETRYABLE_STATUSES.includes(response.status)) {
+        recordFailure(circuit);
+        if (attempt < maxAttempts - 1) {
+          await response.body?.cancel();
+          await sleep(backoffDelay(attempt));
+          continue;
+        }
+      } else {
+        recordSuccess(circuit);
+      }
+
+      return response;
+    } catch (err) {
+      clearTimeout(timeout);
+      recordFailure(circuit);
+      lastError = err.name === 'AbortError'
+        ? new Error(`SSOT request timed out after ${timeoutMs}ms: ${endpoint}`)
+        : err;
+
+      if (attempt < maxAttempts - 1) {
+        await sleep(backoffDelay(attempt));
+      }
+    }
+  }
+
+  throw lastError;
 }
 
 export default ssotFetch;